@@ -0,0 +1,578 @@
+/**
+ * Action Steps Module
+ * 
+ * Manages the ordered list of action steps in the Action card. Each step has its
+ * own action type and options form; steps can be added, reordered and removed.
+ */
+
+class ActionStepsEditor {
+    constructor() {
+        this.container = null;
+        this.nextStepId = 1;
+        this.onChange = () => {};
+    }
+
+    /**
+     * Bind the editor to the DOM and render the first step
+     */
+    init({ onChange } = {}) {
+        this.container = document.getElementById('actionSteps');
+        if (onChange) {
+            this.onChange = onChange;
+        }
+
+        document.getElementById('addActionStep').addEventListener('click', () => {
+            this.addStep();
+            this.onChange();
+        });
+
+        // Step controls (delegated)
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-step-action]');
+            if (!button) return;
+
+            const stepElement = button.closest('.action-step');
+            switch (button.dataset.stepAction) {
+                case 'up':
+                    this.moveStep(stepElement, -1);
+                    break;
+                case 'down':
+                    this.moveStep(stepElement, 1);
+                    break;
+                case 'remove':
+                    this.removeStep(stepElement);
+                    break;
+            }
+            this.onChange();
+        });
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.classList.contains('action-type')) {
+                this.renderOptions(e.target.closest('.action-step'), e.target.value);
+            }
+            this.onChange();
+        });
+
+        if (this.container.children.length === 0) {
+            this.addStep();
+        }
+    }
+
+    /**
+     * Append a step, optionally pre-filled with an action type and options
+     */
+    addStep(step = {}) {
+        const template = document.getElementById('actionStepTemplate');
+        const stepElement = template.content.firstElementChild.cloneNode(true);
+        stepElement.dataset.stepId = this.nextStepId++;
+        this.container.appendChild(stepElement);
+
+        if (step.actionType) {
+            stepElement.querySelector('.action-type').value = step.actionType;
+            this.renderOptions(stepElement, step.actionType, step.actionOptions);
+        }
+
+        this.renumberSteps();
+        return stepElement;
+    }
+
+    /**
+     * Remove a step, keeping at least one (empty) step in the list
+     */
+    removeStep(stepElement) {
+        stepElement.remove();
+        if (this.container.children.length === 0) {
+            this.addStep();
+        }
+        this.renumberSteps();
+    }
+
+    /**
+     * Move a step up (-1) or down (1) in the list
+     */
+    moveStep(stepElement, direction) {
+        if (direction < 0 && stepElement.previousElementSibling) {
+            this.container.insertBefore(stepElement, stepElement.previousElementSibling);
+        } else if (direction > 0 && stepElement.nextElementSibling) {
+            this.container.insertBefore(stepElement.nextElementSibling, stepElement);
+        }
+        this.renumberSteps();
+    }
+
+    renumberSteps() {
+        const steps = [...this.container.querySelectorAll('.action-step')];
+        steps.forEach((stepElement, index) => {
+            stepElement.querySelector('.action-step-number').textContent = `Step ${index + 1}`;
+            stepElement.querySelector('[data-step-action="up"]').disabled = index === 0;
+            stepElement.querySelector('[data-step-action="down"]').disabled = index === steps.length - 1;
+        });
+    }
+
+    /**
+     * Get the configured steps in order, skipping steps without an action type
+     */
+    getSteps() {
+        return [...this.container.querySelectorAll('.action-step')]
+            .map(stepElement => {
+                const actionOptions = {};
+                stepElement.querySelectorAll('.action-options [data-field]').forEach(input => {
+                    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(input.tagName)) {
+                        actionOptions[input.dataset.field] = input.value;
+                    }
+                });
+
+                return {
+                    actionType: stepElement.querySelector('.action-type').value,
+                    actionOptions
+                };
+            })
+            .filter(step => step.actionType);
+    }
+
+    /**
+     * Replace all steps
+     */
+    setSteps(steps = []) {
+        this.container.innerHTML = '';
+        steps.forEach(step => this.addStep(step));
+        if (this.container.children.length === 0) {
+            this.addStep();
+        }
+    }
+
+    /**
+     * Render the options form for a step's action type
+     */
+    renderOptions(stepElement, actionType, values = {}) {
+        const optionsContainer = stepElement.querySelector('.action-options');
+        optionsContainer.innerHTML = actionType ? this.getActionOptionsHTML(actionType) : '';
+
+        // Scope element IDs to the step so several steps can share an action type
+        const prefix = `step${stepElement.dataset.stepId}-`;
+        optionsContainer.querySelectorAll('[id]').forEach(element => {
+            element.dataset.field = element.id;
+            element.id = prefix + element.id;
+        });
+        optionsContainer.querySelectorAll('label[for]').forEach(label => {
+            label.htmlFor = prefix + label.htmlFor;
+        });
+
+        Object.keys(values || {}).forEach(key => {
+            const input = this.getField(optionsContainer, key);
+            if (input) {
+                input.value = values[key] || '';
+            }
+        });
+
+        this.bindOptionHandlers(optionsContainer, actionType);
+
+        // Re-initialize tooltips for new elements
+        initializeTooltips();
+    }
+
+    getField(optionsContainer, name) {
+        return optionsContainer.querySelector(`[data-field="${name}"]`);
+    }
+
+    /**
+     * Get the options form markup for an action type
+     */
+    getActionOptionsHTML(actionType) {
+        const options = {
+            'modify-text': `
+                <div class="form-group">
+                    <label for="newText">New Text Content <span class="required">*</span></label>
+                    <input type="text" id="newText" placeholder="Enter new text content">
+                </div>`,
+            
+            'modify-html': `
+                <div class="form-group">
+                    <label for="newHTML">New HTML Content <span class="required">*</span></label>
+                    <textarea id="newHTML" rows="4" placeholder="Enter new HTML content"></textarea>
+                </div>`,
+            
+            'add-element': `
+                <div class="form-group">
+                    <label for="elementCreationMode">Creation Mode <span class="required">*</span></label>
+                    <select id="elementCreationMode">
+                        <option value="standard">Standard Element</option>
+                        <option value="custom-html">Custom HTML</option>
+                    </select>
+                    <small class="help-text">Choose how to create the new element</small>
+                </div>
+                
+                <!-- Standard Element Mode -->
+                <div id="standardElementOptions">
+                    <div class="form-group">
+                        <label for="elementType">Element Type <span class="required">*</span></label>
+                        <select id="elementType">
+                            <option value="div">Div Container</option>
+                            <option value="span">Span (Inline)</option>
+                            <option value="button">Button</option>
+                            <option value="a">Link (Anchor)</option>
+                            <option value="img">Image</option>
+                            <option value="p">Paragraph</option>
+                            <option value="h1">Heading 1</option>
+                            <option value="h2">Heading 2</option>
+                            <option value="h3">Heading 3</option>
+                            <option value="h4">Heading 4</option>
+                            <option value="h5">Heading 5</option>
+                            <option value="h6">Heading 6</option>
+                            <option value="ul">Unordered List</option>
+                            <option value="ol">Ordered List</option>
+                            <option value="li">List Item</option>
+                            <option value="input">Input Field</option>
+                            <option value="textarea">Text Area</option>
+                            <option value="select">Select Dropdown</option>
+                            <option value="form">Form</option>
+                            <option value="section">Section</option>
+                            <option value="article">Article</option>
+                            <option value="header">Header</option>
+                            <option value="footer">Footer</option>
+                            <option value="nav">Navigation</option>
+                            <option value="aside">Aside</option>
+                            <option value="main">Main</option>
+                            <option value="iframe">iFrame</option>
+                            <option value="video">Video</option>
+                            <option value="audio">Audio</option>
+                            <option value="canvas">Canvas</option>
+                            <option value="svg">SVG</option>
+                            <option value="custom">Custom Tag</option>
+                        </select>
+                    </div>
+                    
+                    <div class="form-group" id="customTagGroup" style="display: none;">
+                        <label for="customTagName">Custom Tag Name <span class="required">*</span></label>
+                        <input type="text" id="customTagName" placeholder="e.g., my-custom-element">
+                        <small class="help-text">Enter the custom HTML tag name</small>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="position">Insert Position</label>
+                        <select id="position">
+                            <option value="afterend">After Element</option>
+                            <option value="beforebegin">Before Element</option>
+                            <option value="afterbegin">Inside Start</option>
+                            <option value="beforeend">Inside End</option>
+                            <option value="replace">Replace Element</option>
+                        </select>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="elementText">Text Content</label>
+                        <input type="text" id="elementText" placeholder="Text content for the element">
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="className">CSS Class</label>
+                        <input type="text" id="className" placeholder="e.g., custom-element btn-primary">
+                        <small class="help-text">Space-separated class names</small>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="elementId">Element ID</label>
+                        <input type="text" id="elementId" placeholder="e.g., my-element">
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="elementAttributes">Additional Attributes</label>
+                        <textarea id="elementAttributes" rows="2" placeholder="data-id=&quot;123&quot; href=&quot;#&quot; target=&quot;_blank&quot;"></textarea>
+                        <small class="help-text">One attribute per line in format: attribute="value"</small>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="innerHTML">Inner HTML</label>
+                        <textarea id="innerHTML" rows="3" placeholder="HTML content for the element"></textarea>
+                        <small class="help-text">Will override text content if provided</small>
+                    </div>
+                </div>
+                
+                <!-- Custom HTML Mode -->
+                <div id="customHtmlOptions" style="display: none;">
+                    <div class="form-group">
+                        <label for="customHtmlPosition">Insert Position</label>
+                        <select id="customHtmlPosition">
+                            <option value="afterend">After Element</option>
+                            <option value="beforebegin">Before Element</option>
+                            <option value="afterbegin">Inside Start</option>
+                            <option value="beforeend">Inside End</option>
+                            <option value="replace">Replace Element</option>
+                        </select>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="customHtmlContent">Custom HTML Content <span class="required">*</span></label>
+                        <textarea id="customHtmlContent" rows="6" placeholder="<div class=&quot;my-custom-element&quot;>&#10;    <h3>Custom Element</h3>&#10;    <p>This is completely custom HTML</p>&#10;    <button onclick=&quot;alert('Hello!')&quot;>Click me</button>&#10;</div>"></textarea>
+                        <small class="help-text">Enter complete HTML that will be inserted directly</small>
+                    </div>
+                </div>`,
+            
+            'remove-element': `
+                <div class="form-group">
+                    <small class="help-text">The selected element(s) will be removed from the DOM</small>
+                </div>`,
+            
+            'add-class': `
+                <div class="form-group">
+                    <label for="className">CSS Class to Add <span class="required">*</span></label>
+                    <input type="text" id="className" placeholder="e.g., highlighted">
+                </div>`,
+            
+            'remove-class': `
+                <div class="form-group">
+                    <label for="className">CSS Class to Remove <span class="required">*</span></label>
+                    <input type="text" id="className" placeholder="e.g., hidden">
+                </div>`,
+            
+            'set-attribute': `
+                <div class="form-group">
+                    <label for="attrName">Attribute Name <span class="required">*</span></label>
+                    <input type="text" id="attrName" placeholder="e.g., data-id, href">
+                </div>
+                <div class="form-group">
+                    <label for="attrValue">Attribute Value</label>
+                    <input type="text" id="attrValue" placeholder="Attribute value">
+                </div>`,
+            
+            'apply-styles': `
+                <div class="form-group">
+                    <label for="styles">CSS Styles <span class="required">*</span></label>
+                    <textarea id="styles" rows="4" placeholder="background-color: blue;&#10;color: white;&#10;padding: 10px;"></textarea>
+                    <small class="help-text">Enter CSS properties separated by semicolons</small>
+                </div>`,
+            
+            'add-listener': `
+                <div class="form-group">
+                    <label for="eventType">Event Type <span class="required">*</span></label>
+                    <select id="eventType">
+                        <option value="click">Click</option>
+                        <option value="mouseover">Mouse Over</option>
+                        <option value="mouseout">Mouse Out</option>
+                        <option value="focus">Focus</option>
+                        <option value="blur">Blur</option>
+                        <option value="change">Change</option>
+                        <option value="submit">Submit</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="eventCode">Event Handler Code</label>
+                    <textarea id="eventCode" rows="4" placeholder="console.log('Event triggered');&#10;// Your code here"></textarea>
+                </div>`,
+            
+            'insert-widget': `
+                <div class="form-group">
+                    <label for="widgetId">Widget ID</label>
+                    <input type="text" id="widgetId" placeholder="e.g., accutrade-widget">
+                </div>
+                <div class="form-group">
+                    <label for="widgetHTML">Widget HTML</label>
+                    <textarea id="widgetHTML" rows="4" placeholder="Widget HTML content"></textarea>
+                </div>
+                <div class="form-group">
+                    <label for="widgetScript">Widget Script URL</label>
+                    <input type="text" id="widgetScript" placeholder="https://example.com/widget.js">
+                </div>`,
+            
+            'toggle-visibility': `
+                <div class="form-group">
+                    <label for="visibilityAction">Visibility Action</label>
+                    <select id="visibilityAction">
+                        <option value="toggle">Toggle</option>
+                        <option value="show">Show</option>
+                        <option value="hide">Hide</option>
+                    </select>
+                </div>`,
+            
+            'scroll-to': `
+                <div class="form-group">
+                    <label for="scrollBehavior">Scroll Behavior</label>
+                    <select id="scrollBehavior">
+                        <option value="smooth">Smooth</option>
+                        <option value="instant">Instant</option>
+                        <option value="auto">Auto</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="scrollBlock">Scroll Position</label>
+                    <select id="scrollBlock">
+                        <option value="center">Center</option>
+                        <option value="start">Top</option>
+                        <option value="end">Bottom</option>
+                        <option value="nearest">Nearest</option>
+                    </select>
+                </div>`,
+            
+            'clone-element': `
+                <div class="form-group">
+                    <label for="cloneDeep">Deep Clone</label>
+                    <select id="cloneDeep">
+                        <option value="true">Yes (include children)</option>
+                        <option value="false">No (element only)</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="clonePosition">Insert Position</label>
+                    <select id="clonePosition">
+                        <option value="after">After Original</option>
+                        <option value="before">Before Original</option>
+                        <option value="append">Append to Parent</option>
+                    </select>
+                </div>`,
+            
+            'wrap-element': `
+                <div class="form-group">
+                    <label for="wrapperTag">Wrapper Tag <span class="required">*</span></label>
+                    <input type="text" id="wrapperTag" value="div" placeholder="e.g., div, section">
+                </div>
+                <div class="form-group">
+                    <label for="wrapperClass">Wrapper Class</label>
+                    <input type="text" id="wrapperClass" placeholder="e.g., wrapper-class">
+                </div>`,
+            
+            'unwrap-element': `
+                <div class="form-group">
+                    <small class="help-text">Removes the parent wrapper and preserves the element</small>
+                </div>`,
+            
+            'form-manipulation': `
+                <div class="form-group">
+                    <label for="formAction">Form Action</label>
+                    <select id="formAction">
+                        <option value="disable">Disable Field</option>
+                        <option value="enable">Enable Field</option>
+                        <option value="readonly">Make Read-only</option>
+                        <option value="required">Make Required</option>
+                        <option value="setValue">Set Value</option>
+                        <option value="clear">Clear Value</option>
+                    </select>
+                </div>
+                <div class="form-group" id="formValueGroup" style="display: none;">
+                    <label for="formValue">Field Value</label>
+                    <input type="text" id="formValue" placeholder="Value to set">
+                </div>`,
+            
+            'ajax-request': `
+                <div class="form-group">
+                    <label for="ajaxUrl">URL <span class="required">*</span></label>
+                    <input type="text" id="ajaxUrl" placeholder="https://api.example.com/endpoint">
+                </div>
+                <div class="form-group">
+                    <label for="ajaxMethod">Method</label>
+                    <select id="ajaxMethod">
+                        <option value="GET">GET</option>
+                        <option value="POST">POST</option>
+                        <option value="PUT">PUT</option>
+                        <option value="DELETE">DELETE</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="ajaxData">Request Data (JSON)</label>
+                    <textarea id="ajaxData" rows="3" placeholder='{"key": "value"}'></textarea>
+                </div>`,
+            
+            'cookie-management': `
+                <div class="form-group">
+                    <label for="cookieAction">Cookie Action</label>
+                    <select id="cookieAction">
+                        <option value="set">Set Cookie</option>
+                        <option value="get">Get Cookie</option>
+                        <option value="delete">Delete Cookie</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="cookieName">Cookie Name <span class="required">*</span></label>
+                    <input type="text" id="cookieName" placeholder="cookie_name">
+                </div>
+                <div class="form-group" id="cookieValueGroup">
+                    <label for="cookieValue">Cookie Value</label>
+                    <input type="text" id="cookieValue" placeholder="cookie_value">
+                </div>
+                <div class="form-group" id="cookieExpiryGroup">
+                    <label for="cookieExpiry">Expiry (days)</label>
+                    <input type="number" id="cookieExpiry" value="30" min="0">
+                </div>`,
+            
+            'local-storage': `
+                <div class="form-group">
+                    <label for="storageAction">Storage Action</label>
+                    <select id="storageAction">
+                        <option value="set">Set Item</option>
+                        <option value="get">Get Item</option>
+                        <option value="remove">Remove Item</option>
+                        <option value="clear">Clear All</option>
+                    </select>
+                </div>
+                <div class="form-group" id="storageKeyGroup">
+                    <label for="storageKey">Storage Key <span class="required">*</span></label>
+                    <input type="text" id="storageKey" placeholder="storage_key">
+                </div>
+                <div class="form-group" id="storageValueGroup">
+                    <label for="storageValue">Storage Value</label>
+                    <textarea id="storageValue" rows="2" placeholder="Value to store (can be JSON)"></textarea>
+                </div>`,
+            
+            'custom': `
+                <div class="form-group">
+                    <label for="customCode">Custom JavaScript Code <span class="required">*</span></label>
+                    <textarea id="customCode" rows="6" placeholder="// Your custom JavaScript code here&#10;// Access the element with 'element' variable"></textarea>
+                </div>`
+        };
+        
+        return options[actionType] || '';
+    }
+
+    /**
+     * Wire up show/hide behaviour for conditional option fields
+     */
+    bindOptionHandlers(optionsContainer, actionType) {
+        const field = (name) => this.getField(optionsContainer, name);
+        const bind = (select, update) => {
+            if (select) {
+                select.addEventListener('change', update);
+                update(); // Initialize
+            }
+        };
+
+        if (actionType === 'form-manipulation') {
+            const formActionSelect = field('formAction');
+            bind(formActionSelect, () => {
+                field('formValueGroup').style.display = formActionSelect.value === 'setValue' ? 'block' : 'none';
+            });
+        }
+        
+        if (actionType === 'cookie-management') {
+            const cookieActionSelect = field('cookieAction');
+            bind(cookieActionSelect, () => {
+                field('cookieValueGroup').style.display = cookieActionSelect.value === 'set' ? 'block' : 'none';
+                field('cookieExpiryGroup').style.display = cookieActionSelect.value === 'set' ? 'block' : 'none';
+            });
+        }
+        
+        if (actionType === 'local-storage') {
+            const storageActionSelect = field('storageAction');
+            bind(storageActionSelect, () => {
+                field('storageKeyGroup').style.display = storageActionSelect.value === 'clear' ? 'none' : 'block';
+                field('storageValueGroup').style.display = storageActionSelect.value === 'set' ? 'block' : 'none';
+            });
+        }
+        
+        if (actionType === 'add-element') {
+            // Handle creation mode switching
+            const creationModeSelect = field('elementCreationMode');
+            bind(creationModeSelect, () => {
+                const isCustomHtml = creationModeSelect.value === 'custom-html';
+                field('standardElementOptions').style.display = isCustomHtml ? 'none' : 'block';
+                field('customHtmlOptions').style.display = isCustomHtml ? 'block' : 'none';
+            });
+            
+            // Handle element type switching (show/hide custom tag input)
+            const elementTypeSelect = field('elementType');
+            bind(elementTypeSelect, () => {
+                field('customTagGroup').style.display = elementTypeSelect.value === 'custom' ? 'block' : 'none';
+            });
+        }
+    }
+}
+
+// Export as global
+window.actionSteps = new ActionStepsEditor();
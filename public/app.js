@@ -13,7 +13,11 @@
         currentConfig: {},
         isGenerating: false,
         lastGeneratedCode: null,
-        isEditing: false
+        isEditing: false,
+        // History record the editor is based on; the parent of the next version
+        activeScript: null,
+        // Last production build, reused while the code is unchanged
+        minified: null
     };
 
     // ===== Initialize Application =====
@@ -23,10 +27,19 @@
         // Register service worker
         registerServiceWorker();
         
+        // Apply persisted settings before anything is rendered
+        initSettingsHandlers();
+        
         // Initialize components
         initEventListeners();
         initActionTypeHandlers();
+        initTargetHandlers();
+        initFeatureHandlers();
+        initRunConditionHandlers();
+        initDetectionProfileHandlers();
         initHistoryHandlers();
+        initTemplateHandlers();
+        initSnapshotHandlers();
         initModalHandlers();
         initializeTooltips();
         
@@ -74,12 +87,16 @@
         // Testing tools
         document.getElementById('validateSelectorBtn').addEventListener('click', validateCurrentSelector);
         document.getElementById('testScriptBtn').addEventListener('click', testCurrentScript);
+        document.getElementById('runSandboxBtn').addEventListener('click', runSandboxPreview);
+        document.getElementById('sandboxFile').addEventListener('change', loadSandboxFile);
+        document.getElementById('testSelectorBtn').addEventListener('click', testCurrentSelector);
         
         // Output action buttons
         document.getElementById('editBtn').addEventListener('click', toggleCodeEditor);
         document.getElementById('copyBtn').addEventListener('click', copyGeneratedScript);
         document.getElementById('downloadBtn').addEventListener('click', downloadGeneratedScript);
         document.getElementById('saveToHistoryBtn').addEventListener('click', saveCurrentScript);
+        initOutputFormats();
         
         // Selector tabs
         const tabBtns = document.querySelectorAll('.tab-btn');
@@ -88,7 +105,7 @@
         });
         
         // Advanced builder
-        document.getElementById('addCondition').addEventListener('click', addConditionRow);
+        document.getElementById('addCondition').addEventListener('click', () => addConditionRow());
         
         // Initialize scroll behavior if advanced tab exists
         setTimeout(() => {
@@ -107,12 +124,12 @@
         
         // Settings button
         document.getElementById('settingsBtn').addEventListener('click', () => {
-            showToast('Settings coming soon!', 'info');
+            window.settingsPanel.open();
         });
         
         // Templates button
         document.getElementById('templatesBtn').addEventListener('click', () => {
-            showToast('Templates library coming soon!', 'info');
+            window.templateLibrary.open();
         });
         
         // Remove condition buttons (delegated)
@@ -127,27 +144,11 @@
         });
     }
 
-    // ===== Action Type Handlers =====
+    // ===== Action Step Handlers =====
     function initActionTypeHandlers() {
-        const actionTypeSelect = document.getElementById('actionType');
-        actionTypeSelect.addEventListener('change', updateActionOptions);
-    }
-
-    function updateActionOptions() {
-        const actionType = document.getElementById('actionType').value;
-        const optionsContainer = document.getElementById('actionOptions');
-        
-        if (!actionType) {
-            optionsContainer.innerHTML = '';
-            return;
-        }
-        
-        // Generate options based on action type
-        const optionsHTML = getActionOptionsHTML(actionType);
-        optionsContainer.innerHTML = optionsHTML;
-        
-        // Re-initialize tooltips for new elements
-        initializeTooltips();
+        window.actionSteps.init({
+            onChange: debounce(saveConfiguration, 500)
+        });
     }
 
     // ===== Selector Tab Management =====
@@ -179,7 +180,7 @@
     }
     
     // ===== Advanced Selector Builder =====
-    function addConditionRow() {
+    function addConditionRow(condition = {}) {
         const conditionsContainer = document.getElementById('conditionsContainer');
         const newRow = document.createElement('div');
         newRow.className = 'condition-row';
@@ -213,6 +214,10 @@
         const typeSelect = newRow.querySelector('.condition-type');
         const valueInput = newRow.querySelector('.condition-value');
         
+        if (condition.attribute) attributeSelect.value = condition.attribute;
+        if (condition.condition) typeSelect.value = condition.condition;
+        if (condition.value) valueInput.value = condition.value;
+        
         attributeSelect.addEventListener('change', updateSelectorPreview);
         typeSelect.addEventListener('change', updateSelectorPreview);
         valueInput.addEventListener('input', debounce(updateSelectorPreview, 300));
@@ -379,6 +384,14 @@
         }
     }
     
+    function readConditionRows() {
+        return [...document.querySelectorAll('#conditionsContainer .condition-row')].map(row => ({
+            attribute: row.querySelector('.condition-attribute').value,
+            condition: row.querySelector('.condition-type').value,
+            value: row.querySelector('.condition-value').value
+        }));
+    }
+    
     function buildAdvancedSelector() {
         // This function is now handled by real-time preview
         updateSelectorPreview();
@@ -441,548 +454,191 @@
         showToast('Opening test URL in new tab', 'info');
     }
     
-    // ===== Testing Tools =====
-    function testCurrentSelector() {
-        const activeTab = document.querySelector('.tab-btn.active').dataset.tab;
-        let selector = '';
-        let elements = [];
+    // ===== Sandbox Preview =====
+    async function loadSandboxFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
         
         try {
-            switch (activeTab) {
-                case 'css':
-                    selector = document.getElementById('targetSelector').value;
-                    if (selector) {
-                        elements = document.querySelectorAll(selector);
-                    }
-                    break;
-                case 'xpath':
-                    const xpath = document.getElementById('xpathSelector').value;
-                    if (xpath) {
-                        const result = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
-                        for (let i = 0; i < result.snapshotLength; i++) {
-                            elements.push(result.snapshotItem(i));
-                        }
-                    }
-                    break;
-                case 'advanced':
-                    const generatedSelector = document.getElementById('generatedSelector').textContent;
-                    if (generatedSelector && generatedSelector !== 'No conditions added') {
-                        elements = document.querySelectorAll(generatedSelector);
-                    }
-                    break;
-            }
-            
-            // Show results
-            const resultsDiv = document.getElementById('testResults');
-            resultsDiv.className = 'test-results show';
-            
-            if (elements.length > 0) {
-                resultsDiv.classList.add('success');
-                resultsDiv.innerHTML = `
-                    <i class="fas fa-check-circle"></i>
-                    Found ${elements.length} element(s)<br>
-                    <small>First element: ${elements[0].tagName.toLowerCase()}${elements[0].className ? '.' + elements[0].className.split(' ').join('.') : ''}</small>
-                `;
-            } else {
-                resultsDiv.classList.add('warning');
-                resultsDiv.innerHTML = `
-                    <i class="fas fa-exclamation-triangle"></i>
-                    No elements found
-                `;
-            }
+            setInputValue('sandboxHtml', await file.text());
+            showToast(`Loaded ${file.name}`, 'success');
         } catch (error) {
-            const resultsDiv = document.getElementById('testResults');
-            resultsDiv.className = 'test-results show error';
-            resultsDiv.innerHTML = `
-                <i class="fas fa-exclamation-circle"></i>
-                Error: ${error.message}
-            `;
+            console.error('Failed to read snapshot:', error);
+            showToast('Failed to read the HTML file', 'error');
+        } finally {
+            event.target.value = '';
         }
     }
     
-    function highlightMatchingElements() {
-        // Remove previous highlights
-        document.querySelectorAll('.element-highlight').forEach(el => {
-            el.classList.remove('element-highlight');
-        });
+    async function runSandboxPreview() {
+        if (!app.lastGeneratedCode) {
+            showToast('Please generate a script first', 'warning');
+            return;
+        }
         
-        const activeTab = document.querySelector('.tab-btn.active').dataset.tab;
-        let elements = [];
+        const html = getInputValue('sandboxHtml');
+        if (!html.trim()) {
+            showToast('Paste or upload an HTML snapshot to run the script against', 'warning');
+            return;
+        }
         
-        try {
-            switch (activeTab) {
-                case 'css':
-                    const selector = document.getElementById('targetSelector').value;
-                    if (selector) {
-                        elements = document.querySelectorAll(selector);
-                    }
-                    break;
-                case 'xpath':
-                    const xpath = document.getElementById('xpathSelector').value;
-                    if (xpath) {
-                        const result = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
-                        for (let i = 0; i < result.snapshotLength; i++) {
-                            elements.push(result.snapshotItem(i));
-                        }
-                    }
-                    break;
-                case 'advanced':
-                    const generatedSelector = document.getElementById('generatedSelector').textContent;
-                    if (generatedSelector && generatedSelector !== 'No conditions added') {
-                        elements = document.querySelectorAll(generatedSelector);
-                    }
-                    break;
+        const baseUrl = getInputValue('testUrl').trim();
+        if (baseUrl) {
+            try {
+                new URL(baseUrl);
+            } catch (error) {
+                showToast('Please enter a valid URL (e.g., https://example.com)', 'error');
+                return;
             }
-            
-            // Highlight elements
-            elements.forEach(el => {
-                el.classList.add('element-highlight');
+        }
+        
+        const runBtn = document.getElementById('runSandboxBtn');
+        runBtn.disabled = true;
+        runBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Running...';
+        
+        try {
+            const code = getCurrentCode();
+            const result = await window.sandboxRunner.run(html, code, {
+                container: document.getElementById('sandboxFrameContainer'),
+                targets: window.scriptBuilder.normalizeTargets(gatherConfiguration()),
+                baseUrl,
+                stripScripts: getCheckboxValue('sandboxStripScripts')
             });
-            
-            if (elements.length > 0) {
-                showToast(`Highlighting ${elements.length} element(s)`, 'info');
-                
-                // Scroll to first element
-                elements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
-                
-                // Remove highlights after 5 seconds
-                setTimeout(() => {
-                    document.querySelectorAll('.element-highlight').forEach(el => {
-                        el.classList.remove('element-highlight');
-                    });
-                }, 5000);
-            } else {
-                showToast('No elements to highlight', 'warning');
-            }
+            renderSandboxResults(result);
         } catch (error) {
-            showToast('Error highlighting elements', 'error');
+            console.error('Sandbox run failed:', error);
+            showToast(error.message || 'Sandbox run failed', 'error');
+        } finally {
+            runBtn.disabled = false;
+            runBtn.innerHTML = '<i class="fas fa-flask"></i> Run in Sandbox';
         }
     }
     
-    function getActionOptionsHTML(actionType) {
-        const options = {
-            'modify-text': `
-                <div class="form-group">
-                    <label for="newText">New Text Content <span class="required">*</span></label>
-                    <input type="text" id="newText" placeholder="Enter new text content">
-                </div>`,
-            
-            'modify-html': `
-                <div class="form-group">
-                    <label for="newHTML">New HTML Content <span class="required">*</span></label>
-                    <textarea id="newHTML" rows="4" placeholder="Enter new HTML content"></textarea>
-                </div>`,
-            
-            'add-element': `
-                <div class="form-group">
-                    <label for="elementCreationMode">Creation Mode <span class="required">*</span></label>
-                    <select id="elementCreationMode">
-                        <option value="standard">Standard Element</option>
-                        <option value="custom-html">Custom HTML</option>
-                    </select>
-                    <small class="help-text">Choose how to create the new element</small>
-                </div>
-                
-                <!-- Standard Element Mode -->
-                <div id="standardElementOptions">
-                    <div class="form-group">
-                        <label for="elementType">Element Type <span class="required">*</span></label>
-                        <select id="elementType">
-                            <option value="div">Div Container</option>
-                            <option value="span">Span (Inline)</option>
-                            <option value="button">Button</option>
-                            <option value="a">Link (Anchor)</option>
-                            <option value="img">Image</option>
-                            <option value="p">Paragraph</option>
-                            <option value="h1">Heading 1</option>
-                            <option value="h2">Heading 2</option>
-                            <option value="h3">Heading 3</option>
-                            <option value="h4">Heading 4</option>
-                            <option value="h5">Heading 5</option>
-                            <option value="h6">Heading 6</option>
-                            <option value="ul">Unordered List</option>
-                            <option value="ol">Ordered List</option>
-                            <option value="li">List Item</option>
-                            <option value="input">Input Field</option>
-                            <option value="textarea">Text Area</option>
-                            <option value="select">Select Dropdown</option>
-                            <option value="form">Form</option>
-                            <option value="section">Section</option>
-                            <option value="article">Article</option>
-                            <option value="header">Header</option>
-                            <option value="footer">Footer</option>
-                            <option value="nav">Navigation</option>
-                            <option value="aside">Aside</option>
-                            <option value="main">Main</option>
-                            <option value="iframe">iFrame</option>
-                            <option value="video">Video</option>
-                            <option value="audio">Audio</option>
-                            <option value="canvas">Canvas</option>
-                            <option value="svg">SVG</option>
-                            <option value="custom">Custom Tag</option>
-                        </select>
-                    </div>
-                    
-                    <div class="form-group" id="customTagGroup" style="display: none;">
-                        <label for="customTagName">Custom Tag Name <span class="required">*</span></label>
-                        <input type="text" id="customTagName" placeholder="e.g., my-custom-element">
-                        <small class="help-text">Enter the custom HTML tag name</small>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label for="position">Insert Position</label>
-                        <select id="position">
-                            <option value="afterend">After Element</option>
-                            <option value="beforebegin">Before Element</option>
-                            <option value="afterbegin">Inside Start</option>
-                            <option value="beforeend">Inside End</option>
-                            <option value="replace">Replace Element</option>
-                        </select>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label for="elementText">Text Content</label>
-                        <input type="text" id="elementText" placeholder="Text content for the element">
-                    </div>
-                    
-                    <div class="form-group">
-                        <label for="className">CSS Class</label>
-                        <input type="text" id="className" placeholder="e.g., custom-element btn-primary">
-                        <small class="help-text">Space-separated class names</small>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label for="elementId">Element ID</label>
-                        <input type="text" id="elementId" placeholder="e.g., my-element">
-                    </div>
-                    
-                    <div class="form-group">
-                        <label for="elementAttributes">Additional Attributes</label>
-                        <textarea id="elementAttributes" rows="2" placeholder="data-id=&quot;123&quot; href=&quot;#&quot; target=&quot;_blank&quot;"></textarea>
-                        <small class="help-text">One attribute per line in format: attribute="value"</small>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label for="innerHTML">Inner HTML</label>
-                        <textarea id="innerHTML" rows="3" placeholder="HTML content for the element"></textarea>
-                        <small class="help-text">Will override text content if provided</small>
-                    </div>
-                </div>
-                
-                <!-- Custom HTML Mode -->
-                <div id="customHtmlOptions" style="display: none;">
-                    <div class="form-group">
-                        <label for="customHtmlPosition">Insert Position</label>
-                        <select id="customHtmlPosition">
-                            <option value="afterend">After Element</option>
-                            <option value="beforebegin">Before Element</option>
-                            <option value="afterbegin">Inside Start</option>
-                            <option value="beforeend">Inside End</option>
-                            <option value="replace">Replace Element</option>
-                        </select>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label for="customHtmlContent">Custom HTML Content <span class="required">*</span></label>
-                        <textarea id="customHtmlContent" rows="6" placeholder="<div class=&quot;my-custom-element&quot;>&#10;    <h3>Custom Element</h3>&#10;    <p>This is completely custom HTML</p>&#10;    <button onclick=&quot;alert('Hello!')&quot;>Click me</button>&#10;</div>"></textarea>
-                        <small class="help-text">Enter complete HTML that will be inserted directly</small>
-                    </div>
-                </div>`,
-            
-            'remove-element': `
-                <div class="form-group">
-                    <small class="help-text">The selected element(s) will be removed from the DOM</small>
-                </div>`,
-            
-            'add-class': `
-                <div class="form-group">
-                    <label for="className">CSS Class to Add <span class="required">*</span></label>
-                    <input type="text" id="className" placeholder="e.g., highlighted">
-                </div>`,
-            
-            'remove-class': `
-                <div class="form-group">
-                    <label for="className">CSS Class to Remove <span class="required">*</span></label>
-                    <input type="text" id="className" placeholder="e.g., hidden">
-                </div>`,
-            
-            'set-attribute': `
-                <div class="form-group">
-                    <label for="attrName">Attribute Name <span class="required">*</span></label>
-                    <input type="text" id="attrName" placeholder="e.g., data-id, href">
-                </div>
-                <div class="form-group">
-                    <label for="attrValue">Attribute Value</label>
-                    <input type="text" id="attrValue" placeholder="Attribute value">
-                </div>`,
-            
-            'apply-styles': `
-                <div class="form-group">
-                    <label for="styles">CSS Styles <span class="required">*</span></label>
-                    <textarea id="styles" rows="4" placeholder="background-color: blue;&#10;color: white;&#10;padding: 10px;"></textarea>
-                    <small class="help-text">Enter CSS properties separated by semicolons</small>
-                </div>`,
-            
-            'add-listener': `
-                <div class="form-group">
-                    <label for="eventType">Event Type <span class="required">*</span></label>
-                    <select id="eventType">
-                        <option value="click">Click</option>
-                        <option value="mouseover">Mouse Over</option>
-                        <option value="mouseout">Mouse Out</option>
-                        <option value="focus">Focus</option>
-                        <option value="blur">Blur</option>
-                        <option value="change">Change</option>
-                        <option value="submit">Submit</option>
-                    </select>
-                </div>
-                <div class="form-group">
-                    <label for="eventCode">Event Handler Code</label>
-                    <textarea id="eventCode" rows="4" placeholder="console.log('Event triggered');&#10;// Your code here"></textarea>
-                </div>`,
-            
-            'insert-widget': `
-                <div class="form-group">
-                    <label for="widgetId">Widget ID</label>
-                    <input type="text" id="widgetId" placeholder="e.g., accutrade-widget">
-                </div>
-                <div class="form-group">
-                    <label for="widgetHTML">Widget HTML</label>
-                    <textarea id="widgetHTML" rows="4" placeholder="Widget HTML content"></textarea>
-                </div>
-                <div class="form-group">
-                    <label for="widgetScript">Widget Script URL</label>
-                    <input type="text" id="widgetScript" placeholder="https://example.com/widget.js">
-                </div>`,
-            
-            'toggle-visibility': `
-                <div class="form-group">
-                    <label for="visibilityAction">Visibility Action</label>
-                    <select id="visibilityAction">
-                        <option value="toggle">Toggle</option>
-                        <option value="show">Show</option>
-                        <option value="hide">Hide</option>
-                    </select>
-                </div>`,
-            
-            'scroll-to': `
-                <div class="form-group">
-                    <label for="scrollBehavior">Scroll Behavior</label>
-                    <select id="scrollBehavior">
-                        <option value="smooth">Smooth</option>
-                        <option value="instant">Instant</option>
-                        <option value="auto">Auto</option>
-                    </select>
-                </div>
-                <div class="form-group">
-                    <label for="scrollBlock">Scroll Position</label>
-                    <select id="scrollBlock">
-                        <option value="center">Center</option>
-                        <option value="start">Top</option>
-                        <option value="end">Bottom</option>
-                        <option value="nearest">Nearest</option>
-                    </select>
-                </div>`,
-            
-            'clone-element': `
-                <div class="form-group">
-                    <label for="cloneDeep">Deep Clone</label>
-                    <select id="cloneDeep">
-                        <option value="true">Yes (include children)</option>
-                        <option value="false">No (element only)</option>
-                    </select>
-                </div>
-                <div class="form-group">
-                    <label for="clonePosition">Insert Position</label>
-                    <select id="clonePosition">
-                        <option value="after">After Original</option>
-                        <option value="before">Before Original</option>
-                        <option value="append">Append to Parent</option>
-                    </select>
-                </div>`,
-            
-            'wrap-element': `
-                <div class="form-group">
-                    <label for="wrapperTag">Wrapper Tag <span class="required">*</span></label>
-                    <input type="text" id="wrapperTag" value="div" placeholder="e.g., div, section">
-                </div>
-                <div class="form-group">
-                    <label for="wrapperClass">Wrapper Class</label>
-                    <input type="text" id="wrapperClass" placeholder="e.g., wrapper-class">
-                </div>`,
-            
-            'unwrap-element': `
-                <div class="form-group">
-                    <small class="help-text">Removes the parent wrapper and preserves the element</small>
-                </div>`,
-            
-            'form-manipulation': `
-                <div class="form-group">
-                    <label for="formAction">Form Action</label>
-                    <select id="formAction">
-                        <option value="disable">Disable Field</option>
-                        <option value="enable">Enable Field</option>
-                        <option value="readonly">Make Read-only</option>
-                        <option value="required">Make Required</option>
-                        <option value="setValue">Set Value</option>
-                        <option value="clear">Clear Value</option>
-                    </select>
-                </div>
-                <div class="form-group" id="formValueGroup" style="display: none;">
-                    <label for="formValue">Field Value</label>
-                    <input type="text" id="formValue" placeholder="Value to set">
-                </div>`,
-            
-            'ajax-request': `
-                <div class="form-group">
-                    <label for="ajaxUrl">URL <span class="required">*</span></label>
-                    <input type="text" id="ajaxUrl" placeholder="https://api.example.com/endpoint">
-                </div>
-                <div class="form-group">
-                    <label for="ajaxMethod">Method</label>
-                    <select id="ajaxMethod">
-                        <option value="GET">GET</option>
-                        <option value="POST">POST</option>
-                        <option value="PUT">PUT</option>
-                        <option value="DELETE">DELETE</option>
-                    </select>
-                </div>
-                <div class="form-group">
-                    <label for="ajaxData">Request Data (JSON)</label>
-                    <textarea id="ajaxData" rows="3" placeholder='{"key": "value"}'></textarea>
-                </div>`,
-            
-            'cookie-management': `
-                <div class="form-group">
-                    <label for="cookieAction">Cookie Action</label>
-                    <select id="cookieAction">
-                        <option value="set">Set Cookie</option>
-                        <option value="get">Get Cookie</option>
-                        <option value="delete">Delete Cookie</option>
-                    </select>
-                </div>
-                <div class="form-group">
-                    <label for="cookieName">Cookie Name <span class="required">*</span></label>
-                    <input type="text" id="cookieName" placeholder="cookie_name">
-                </div>
-                <div class="form-group" id="cookieValueGroup">
-                    <label for="cookieValue">Cookie Value</label>
-                    <input type="text" id="cookieValue" placeholder="cookie_value">
-                </div>
-                <div class="form-group" id="cookieExpiryGroup">
-                    <label for="cookieExpiry">Expiry (days)</label>
-                    <input type="number" id="cookieExpiry" value="30" min="0">
-                </div>`,
-            
-            'local-storage': `
-                <div class="form-group">
-                    <label for="storageAction">Storage Action</label>
-                    <select id="storageAction">
-                        <option value="set">Set Item</option>
-                        <option value="get">Get Item</option>
-                        <option value="remove">Remove Item</option>
-                        <option value="clear">Clear All</option>
-                    </select>
-                </div>
-                <div class="form-group" id="storageKeyGroup">
-                    <label for="storageKey">Storage Key <span class="required">*</span></label>
-                    <input type="text" id="storageKey" placeholder="storage_key">
-                </div>
-                <div class="form-group" id="storageValueGroup">
-                    <label for="storageValue">Storage Value</label>
-                    <textarea id="storageValue" rows="2" placeholder="Value to store (can be JSON)"></textarea>
-                </div>`,
-            
-            'custom': `
-                <div class="form-group">
-                    <label for="customCode">Custom JavaScript Code <span class="required">*</span></label>
-                    <textarea id="customCode" rows="6" placeholder="// Your custom JavaScript code here&#10;// Access the element with 'element' variable"></textarea>
-                </div>`
-        };
+    function renderSandboxResults({ before, after, logs, matches }) {
+        const summary = document.getElementById('sandboxSummary');
+        summary.innerHTML = '';
+        matches.forEach((match, index) => {
+            const item = document.createElement('div');
+            item.className = `sandbox-match${match.count === 0 ? ' none' : ''}`;
+            item.textContent = `Target ${index + 1}: ${match.count} element(s) matched ${match.selector || '(no selector)'}` +
+                (match.error ? ` (${match.error})` : '');
+            summary.appendChild(item);
+        });
         
-        // Add dynamic show/hide for conditional fields
-        if (actionType === 'form-manipulation') {
-            setTimeout(() => {
-                const formActionSelect = document.getElementById('formAction');
-                if (formActionSelect) {
-                    formActionSelect.addEventListener('change', (e) => {
-                        const valueGroup = document.getElementById('formValueGroup');
-                        valueGroup.style.display = e.target.value === 'setValue' ? 'block' : 'none';
-                    });
-                }
-            }, 100);
+        const consoleDiv = document.getElementById('sandboxConsole');
+        consoleDiv.innerHTML = '';
+        logs.forEach(({ level, message }) => {
+            const line = document.createElement('div');
+            line.className = `sandbox-log ${level}`;
+            line.textContent = `[${level}] ${message}`;
+            consoleDiv.appendChild(line);
+        });
+        if (logs.length === 0) {
+            consoleDiv.innerHTML = '<div class="sandbox-empty">No console output</div>';
         }
         
-        if (actionType === 'cookie-management') {
-            setTimeout(() => {
-                const cookieActionSelect = document.getElementById('cookieAction');
-                if (cookieActionSelect) {
-                    cookieActionSelect.addEventListener('change', (e) => {
-                        const valueGroup = document.getElementById('cookieValueGroup');
-                        const expiryGroup = document.getElementById('cookieExpiryGroup');
-                        valueGroup.style.display = e.target.value === 'set' ? 'block' : 'none';
-                        expiryGroup.style.display = e.target.value === 'set' ? 'block' : 'none';
-                    });
-                }
-            }, 100);
+        const diffPre = document.getElementById('sandboxDiff');
+        diffPre.innerHTML = '';
+        const changes = window.sandboxRunner.diffSnapshots(before, after);
+        const prefixes = { same: '  ', added: '+ ', removed: '- ', gap: '  ' };
+        changes.forEach(({ type, text }) => {
+            const line = document.createElement('span');
+            line.className = `diff-line ${type}`;
+            line.textContent = prefixes[type] + text;
+            diffPre.appendChild(line);
+        });
+        if (changes.length === 0) {
+            diffPre.innerHTML = '<span class="sandbox-empty">The script made no DOM changes</span>';
         }
         
-        if (actionType === 'local-storage') {
-            setTimeout(() => {
-                const storageActionSelect = document.getElementById('storageAction');
-                if (storageActionSelect) {
-                    storageActionSelect.addEventListener('change', (e) => {
-                        const keyGroup = document.getElementById('storageKeyGroup');
-                        const valueGroup = document.getElementById('storageValueGroup');
-                        keyGroup.style.display = e.target.value === 'clear' ? 'none' : 'block';
-                        valueGroup.style.display = e.target.value === 'set' ? 'block' : 'none';
-                    });
-                }
-            }, 100);
+        document.getElementById('sandboxResults').classList.add('show');
+        
+        const errors = logs.filter(log => log.level === 'error').length;
+        showToast(errors > 0 ?
+            `Sandbox run finished with ${errors} error(s)` :
+            'Sandbox run finished', errors > 0 ? 'warning' : 'success');
+    }
+    
+    // ===== Testing Tools =====
+    function testCurrentSelector() {
+        const resultsDiv = document.getElementById('testResults');
+        const doc = window.selectorTester.getDocument();
+        
+        if (!doc) {
+            resultsDiv.className = 'test-results show warning';
+            resultsDiv.textContent = 'Attach a page snapshot (or paste its HTML) under Test Script to test selectors against the dealer page.';
+            return;
         }
         
-        if (actionType === 'add-element') {
-            setTimeout(() => {
-                // Handle creation mode switching
-                const creationModeSelect = document.getElementById('elementCreationMode');
-                const standardOptions = document.getElementById('standardElementOptions');
-                const customHtmlOptions = document.getElementById('customHtmlOptions');
+        const target = readTargetForm();
+        if (!target.targetSelector && target.fallbackSelectors.length === 0) {
+            resultsDiv.className = 'test-results show warning';
+            resultsDiv.textContent = 'Enter a selector to test.';
+            return;
+        }
+        
+        const { results, usedIndex, fallbacksIgnored } = window.selectorTester.testTarget(doc, target);
+        const used = results[usedIndex];
+        
+        resultsDiv.className = `test-results show ${used ? 'success' : results.some(result => result.error) ? 'error' : 'warning'}`;
+        resultsDiv.innerHTML = '';
+        
+        const summary = document.createElement('div');
+        summary.className = 'test-summary';
+        summary.textContent = used ?
+            `Found ${used.count} element(s) in ${window.selectorTester.getDocumentLabel()} with ${used.selector}` :
+            `No elements found in ${window.selectorTester.getDocumentLabel()}`;
+        resultsDiv.appendChild(summary);
+        
+        if (fallbacksIgnored) {
+            const note = document.createElement('div');
+            note.className = 'test-note';
+            note.textContent = 'Fallback selectors are CSS and are not used with an XPath target.';
+            resultsDiv.appendChild(note);
+        }
+        
+        let fallbackNumber = 0;
+        results.forEach((result, index) => {
+            const block = document.createElement('div');
+            block.className = `selector-result${index === usedIndex ? ' used' : ''}`;
+            
+            const header = document.createElement('div');
+            header.className = 'selector-result-header';
+            const label = result.fallback ? `Fallback ${++fallbackNumber}` : (result.selectorType === 'xpath' ? 'XPath' : 'Selector');
+            const status = result.error ?
+                `invalid: ${result.error}` :
+                `${result.count} match(es)${index === usedIndex ? ', used by the script' : ''}`;
+            header.textContent = `${label}: ${result.selector} (${status})`;
+            block.appendChild(header);
+            
+            result.matches.forEach(match => {
+                const item = document.createElement('div');
+                item.className = 'selector-match';
                 
-                if (creationModeSelect && standardOptions && customHtmlOptions) {
-                    const toggleCreationMode = () => {
-                        const mode = creationModeSelect.value;
-                        if (mode === 'custom-html') {
-                            standardOptions.style.display = 'none';
-                            customHtmlOptions.style.display = 'block';
-                        } else {
-                            standardOptions.style.display = 'block';
-                            customHtmlOptions.style.display = 'none';
-                        }
-                    };
-                    
-                    creationModeSelect.addEventListener('change', toggleCreationMode);
-                    toggleCreationMode(); // Initialize
-                }
+                const element = document.createElement('code');
+                element.textContent = `<${match.tag}>` +
+                    (match.id ? `#${match.id}` : '') +
+                    match.classes.map(className => `.${className}`).join('');
+                item.appendChild(element);
                 
-                // Handle element type switching (show/hide custom tag input)
-                const elementTypeSelect = document.getElementById('elementType');
-                const customTagGroup = document.getElementById('customTagGroup');
+                const path = document.createElement('small');
+                path.textContent = match.path;
+                item.appendChild(path);
                 
-                if (elementTypeSelect && customTagGroup) {
-                    const toggleCustomTag = () => {
-                        const isCustom = elementTypeSelect.value === 'custom';
-                        customTagGroup.style.display = isCustom ? 'block' : 'none';
-                    };
-                    
-                    elementTypeSelect.addEventListener('change', toggleCustomTag);
-                    toggleCustomTag(); // Initialize
-                }
-            }, 100);
-        }
-        
-        return options[actionType] || '';
+                block.appendChild(item);
+            });
+            
+            if (result.count > result.matches.length) {
+                const more = document.createElement('div');
+                more.className = 'test-note';
+                more.textContent = `…and ${result.count - result.matches.length} more`;
+                block.appendChild(more);
+            }
+            
+            resultsDiv.appendChild(block);
+        });
     }
-
+    
     // ===== History Handlers =====
     function initHistoryHandlers() {
         // History button
@@ -994,24 +650,116 @@
         );
         
         document.getElementById('historySort').addEventListener('change', refreshHistoryList);
+        ['historyDealerFilter', 'historyEnvironmentFilter', 'historyTagFilter'].forEach(id => {
+            document.getElementById(id).addEventListener('change', refreshHistoryList);
+        });
         
         document.getElementById('exportHistory').addEventListener('click', exportHistory);
         
         document.getElementById('clearHistory').addEventListener('click', clearHistory);
         
-        // Listen for history events
-        window.historyManager.on('scriptAdded', () => {
-            refreshHistoryList();
-            updateHistoryCount();
+        // Search index, list, compare mode, import and extension export
+        window.historySearch.init();
+        window.historyListView.init();
+        window.historyCompare.init();
+        window.historyImport.init();
+        window.extensionExport.init();
+        
+        // Warn when history falls back to localStorage or memory
+        window.historyManager.initStorage().then(showStorageWarning).catch(() => {
+            showToast('History could not be loaded', 'error');
         });
         
-        window.historyManager.on('scriptDeleted', () => {
+        // Listen for history events; bulk changes fire one event per script
+        const refreshHistorySoon = debounce(() => {
             refreshHistoryList();
             updateHistoryCount();
+        }, 50);
+        
+        window.historyManager.on('scriptAdded', refreshHistorySoon);
+        
+        window.historyManager.on('scriptDeleted', (id) => {
+            if (app.activeScript && app.activeScript.id === id) {
+                setActiveScript(null);
+            }
+            refreshHistorySoon();
+        });
+        
+        window.historyManager.on('historyCleared', () => setActiveScript(null));
+        window.historyManager.on('scriptRestored', (script) => {
+            if (script) {
+                app.lastGeneratedCode = script.code;
+                app.currentConfig = script.config || {};
+                updateScriptStats(script.code);
+            }
+            setActiveScript(script);
+            renderFormatOutput();
         });
     }
+    
+    function showStorageWarning() {
+        const warning = window.historyManager.getStorageWarning();
+        if (!warning) return;
+        
+        document.getElementById('storageWarningText').textContent = warning;
+        document.getElementById('storageWarning').classList.add('show');
+        showToast(warning, 'warning', 8000);
+    }
+    
+    // ===== Script Versions =====
+    function setActiveScript(script) {
+        app.activeScript = script;
+        storage.set('scriptBuilderActiveScript', script ? script.id : null);
+        setCheckboxValue('saveAsNewVersion', true);
+        updateVersionOption();
+    }
+    
+    async function updateVersionOption() {
+        const option = document.getElementById('versionOption');
+        const script = app.activeScript;
+        
+        if (!script) {
+            option.style.display = 'none';
+            return;
+        }
+        
+        try {
+            const { versionNumber } = await window.historyManager.getNextVersion(script.id);
+            if (app.activeScript !== script) return;
+            
+            document.getElementById('versionOptionLabel').textContent =
+                `Save as V${versionNumber} of ${script.name} (uncheck to start a new script)`;
+            option.style.display = '';
+        } catch (error) {
+            // The parent was deleted in the meantime
+            console.error('Failed to load script versions:', error);
+            option.style.display = 'none';
+        }
+    }
+    
+    function getVersionParentId() {
+        return app.activeScript && getCheckboxValue('saveAsNewVersion') ? app.activeScript.id : null;
+    }
+    
+    async function restoreActiveScript(id) {
+        if (!id) return;
+        
+        try {
+            const script = await window.historyManager.getScript(id);
+            if (script) {
+                app.activeScript = script;
+                updateVersionOption();
+            }
+        } catch (error) {
+            console.error('Failed to restore active script:', error);
+        }
+    }
 
     function openHistoryModal() {
+        window.historyCompare.setActive(false);
+        // Rebuild the search index and filters once per opening to pick up other tabs' changes
+        window.historySearch.invalidate();
+        window.historyListView.invalidate();
         refreshHistoryList();
         modalManager.openModal('historyModal');
     }
@@ -1043,6 +791,25 @@
         await window.historyManager.updateHistoryCount();
     }
 
+    // ===== Settings Handlers =====
+    function initSettingsHandlers() {
+        window.settingsPanel.init();
+    }
+
+    // ===== Template Handlers =====
+    function initTemplateHandlers() {
+        window.templateLibrary.init({
+            getConfig: gatherConfiguration
+        });
+    }
+
+    // ===== Page Snapshots =====
+    function initSnapshotHandlers() {
+        window.selectorTester.init({
+            onChange: saveConfiguration
+        });
+    }
+
     // ===== Modal Handlers =====
     function initModalHandlers() {
         // Close buttons
@@ -1055,6 +822,88 @@
         });
     }
 
+    // ===== Feature Dependencies =====
+    function initFeatureHandlers() {
+        window.featureToggles.init({
+            onChange: debounce(saveConfiguration, 500)
+        });
+    }
+
+    // ===== Run Conditions =====
+    function initRunConditionHandlers() {
+        window.runConditions.init({
+            onChange: debounce(saveConfiguration, 500)
+        });
+    }
+
+    // ===== Detection Profiles =====
+    function initDetectionProfileHandlers() {
+        window.detectionProfiles.init({
+            onChange: debounce(saveConfiguration, 500)
+        });
+    }
+
+    // ===== Target Blocks =====
+    function initTargetHandlers() {
+        window.targetBlocks.init({
+            readForm: readTargetForm,
+            writeForm: writeTargetForm,
+            onChange: debounce(saveConfiguration, 500)
+        });
+    }
+    
+    function readTargetForm() {
+        // Determine active selector based on tab
+        const activeTab = document.querySelector('.tab-btn.active');
+        const selectorType = activeTab ? activeTab.dataset.tab : 'css';
+        let targetSelector = '';
+        let conditions = [];
+        
+        switch (selectorType) {
+            case 'xpath':
+                targetSelector = getInputValue('xpathSelector');
+                break;
+            case 'advanced':
+                const generatedSelector = document.getElementById('generatedSelector');
+                if (generatedSelector && !generatedSelector.classList.contains('selector-placeholder')) {
+                    targetSelector = generatedSelector.textContent;
+                }
+                conditions = readConditionRows();
+                break;
+            default:
+                targetSelector = getInputValue('targetSelector');
+        }
+        
+        return {
+            selectorType: selectorType,
+            targetSelector: targetSelector,
+            conditions: conditions,
+            fallbackSelectors: getInputValue('fallbackSelectors').split('\n').filter(s => s.trim()),
+            waitForElement: getCheckboxValue('waitForElement'),
+            multipleElements: getCheckboxValue('multipleElements'),
+            actions: window.actionSteps.getSteps()
+        };
+    }
+    
+    function writeTargetForm(target) {
+        const selectorType = target.selectorType || 'css';
+        
+        setInputValue('targetSelector', selectorType === 'xpath' ? '' : target.targetSelector);
+        setInputValue('xpathSelector', selectorType === 'xpath' ? target.targetSelector : '');
+        
+        // Rebuild advanced builder conditions
+        document.getElementById('conditionsContainer').innerHTML = '';
+        (target.conditions || []).forEach(condition => addConditionRow(condition));
+        updateSelectorPreview();
+        switchSelectorTab(selectorType);
+        
+        setInputValue('fallbackSelectors', (target.fallbackSelectors || []).join('\n'));
+        setCheckboxValue('waitForElement', target.waitForElement);
+        setCheckboxValue('multipleElements', target.multipleElements);
+        
+        window.actionSteps.setSteps(target.actions || []);
+    }
+
     // ===== Script Generation =====
     async function generateScript() {
         if (app.isGenerating) return;
@@ -1069,11 +918,13 @@
             const config = gatherConfiguration();
             
             // Generate and save script
-            const result = await window.scriptBuilder.generateAndSave(config);
+            const parentId = getVersionParentId();
+            const result = await window.scriptBuilder.generateAndSave(config, { parentId });
             
             // Update UI
             app.lastGeneratedCode = result.code;
             app.currentConfig = config;
+            setActiveScript(result.script);
             
             const codeElement = document.getElementById('generatedCode');
             codeElement.textContent = result.code;
@@ -1083,8 +934,10 @@
                 Prism.highlightElement(codeElement);
             }
             
-            // Update stats
+            // Update stats, lint diagnostics and the formatted output
             updateScriptStats(result.code);
+            renderLintResults(result.lint);
+            renderFormatOutput();
             
             // Enable output actions
             enableOutputActions();
@@ -1092,7 +945,9 @@
             // Save configuration
             saveConfiguration();
             
-            showToast('Script generated and saved to history!', 'success');
+            showToast(parentId ?
+                `Script generated and saved to history as ${result.script.version}!` :
+                'Script generated and saved to history!', 'success');
             
         } catch (error) {
             console.error('Failed to generate script:', error);
@@ -1106,73 +961,33 @@
     }
 
     function gatherConfiguration() {
-        // Gather action options
-        const actionOptions = {};
-        const actionType = getInputValue('actionType');
-        
-        // Get all inputs in action options container
-        const optionsContainer = document.getElementById('actionOptions');
-        const inputs = optionsContainer.querySelectorAll('input, textarea, select');
-        inputs.forEach(input => {
-            actionOptions[input.id] = input.value;
-        });
-        
-        // Determine active selector based on tab
-        const activeTab = document.querySelector('.tab-btn.active');
-        let targetSelector = '';
-        let selectorType = 'css';
-        
-        if (activeTab) {
-            selectorType = activeTab.dataset.tab;
-            switch (selectorType) {
-                case 'css':
-                    targetSelector = getInputValue('targetSelector');
-                    break;
-                case 'xpath':
-                    targetSelector = getInputValue('xpathSelector');
-                    break;
-                case 'advanced':
-                    const generatedSelector = document.getElementById('generatedSelector');
-                    if (generatedSelector && generatedSelector.textContent !== 'No conditions added') {
-                        targetSelector = generatedSelector.textContent;
-                    }
-                    break;
-            }
-        } else {
-            targetSelector = getInputValue('targetSelector');
-        }
+        // Gather targets; the first target is kept at the top level for older consumers
+        const targets = window.targetBlocks.getTargets();
+        const firstTarget = targets[0];
+        const firstAction = firstTarget.actions[0] || { actionType: '', actionOptions: {} };
         
         return {
             scriptName: getInputValue('scriptName'),
             scriptDescription: getInputValue('scriptDescription'),
-            targetSelector: targetSelector,
-            selectorType: selectorType,
-            fallbackSelectors: getInputValue('fallbackSelectors').split('\n').filter(s => s.trim()),
-            waitForElement: getCheckboxValue('waitForElement'),
-            multipleElements: getCheckboxValue('multipleElements'),
-            actionType: actionType,
-            actionOptions: actionOptions,
-            features: {
-                spaFriendly: getCheckboxValue('spaFriendly'),
-                domReady: getCheckboxValue('domReady'),
-                errorHandling: getCheckboxValue('errorHandling'),
-                preventDuplicates: getCheckboxValue('preventDuplicates'),
-                debouncing: getCheckboxValue('debouncing'),
-                elementCaching: getCheckboxValue('elementCaching'),
-                resourceCleanup: getCheckboxValue('resourceCleanup'),
-                mutationObserver: getCheckboxValue('mutationObserver'),
-                intervalMonitoring: getCheckboxValue('intervalMonitoring'),
-                urlChangeMonitoring: getCheckboxValue('urlChangeMonitoring'),
-                debugMode: getCheckboxValue('debugMode'),
-                consoleLogging: getCheckboxValue('consoleLogging'),
-                elementHighlighting: getCheckboxValue('elementHighlighting'),
-                widgetLoader: getCheckboxValue('widgetLoader'),
-                asyncLoading: getCheckboxValue('asyncLoading'),
-                fallbackMechanisms: getCheckboxValue('fallbackMechanisms'),
-                vdpDetection: getCheckboxValue('vdpDetection'),
-                srpDetection: getCheckboxValue('srpDetection'),
-                customPageDetection: getCheckboxValue('customPageDetection'),
-                cleanup: getCheckboxValue('cleanup')
+            targetSelector: firstTarget.targetSelector,
+            selectorType: firstTarget.selectorType,
+            fallbackSelectors: firstTarget.fallbackSelectors,
+            waitForElement: firstTarget.waitForElement,
+            multipleElements: firstTarget.multipleElements,
+            actionType: firstAction.actionType,
+            actionOptions: firstAction.actionOptions,
+            actions: firstTarget.actions,
+            targets: targets,
+            features: window.featureToggles.getFeatures(),
+            snapshotId: window.selectorTester.getSnapshotId(),
+            urlPatterns: getInputValue('urlPatterns').split('\n').map(pattern => pattern.trim()).filter(pattern => pattern),
+            runConditions: window.runConditions.getConditions(),
+            detectionProfile: window.detectionProfiles.getSelectedProfile(),
+            metadata: {
+                dealerId: getInputValue('metaDealerId').trim(),
+                environment: getInputValue('metaEnvironment'),
+                tags: getInputValue('metaTags').split(',').map(tag => tag.trim()).filter(tag => tag),
+                ticket: getInputValue('metaTicket').trim()
             }
         };
     }
@@ -1190,6 +1005,15 @@
             <span><i class="fas fa-file"></i> ${window.historyManager.formatFileSize(stats.size)}</span>
             <span><i class="fas fa-text-width"></i> ${stats.characters.toLocaleString()} characters</span>
         `;
+        
+        if (isProductionBuild()) {
+            const result = minifyScript(code);
+            const size = new Blob([result.code]).size;
+            const saved = stats.size > 0 ? Math.round((1 - size / stats.size) * 100) : 0;
+            statsElement.insertAdjacentHTML('beforeend', result.issues.length > 0 ?
+                '<span class="stats-warning"><i class="fas fa-compress"></i> Not minified</span>' :
+                `<span><i class="fas fa-compress"></i> ${window.historyManager.formatFileSize(size)} minified (${saved}% smaller)</span>`);
+        }
     }
 
     // ===== Selector Validation =====
@@ -1200,54 +1024,72 @@
             return;
         }
         
-        try {
-            // Create a function from the generated code to check for syntax errors
-            const scriptCode = app.lastGeneratedCode;
-            
-            // Basic syntax validation using Function constructor
-            new Function(scriptCode);
-            
-            // If we get here, the syntax is valid
-            showValidationResult('✓ Script syntax is valid! No JavaScript errors detected.', 'success');
-            
-        } catch (error) {
-            // Show the specific syntax error
-            showValidationResult(`✗ JavaScript syntax error: ${error.message}`, 'error');
+        // Lint the script as currently shown, including unsaved edits
+        const scriptCode = getCurrentCode();
+        const result = window.scriptLinter.lint(scriptCode);
+        renderLintResults(result);
+        
+        if (!window.scriptLinter.isAvailable()) {
+            showValidationResult(result.valid ?
+                '✓ Script syntax is valid! (Parser unavailable, only syntax was checked.)' :
+                `✗ JavaScript syntax error: ${result.diagnostics[0].message}`, result.valid ? 'success' : 'error');
+        } else if (result.errors > 0) {
+            showValidationResult(`✗ Found ${result.errors} error(s) and ${result.warnings} warning(s). See the markers under the generated script.`, 'error');
+        } else if (result.warnings > 0) {
+            showValidationResult(`✓ No errors, but found ${result.warnings} warning(s). See the markers under the generated script.`, 'info');
+        } else {
+            showValidationResult('✓ Script is valid! No JavaScript errors detected.', 'success');
         }
     }
     
-    function validateCSSSelector(selector) {
-        try {
-            // Test syntax
-            document.querySelector(selector);
+    function renderLintResults(result) {
+        const container = document.getElementById('lintResults');
+        container.innerHTML = '';
+        
+        const diagnostics = result ? result.diagnostics : [];
+        container.classList.toggle('show', diagnostics.length > 0);
+        
+        diagnostics.forEach(diagnostic => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `lint-item ${diagnostic.severity}`;
+            item.title = 'Go to this location in the editor';
             
-            // Count elements
-            const elements = document.querySelectorAll(selector);
-            const count = elements.length;
+            [
+                ['lint-location', `${diagnostic.line}:${diagnostic.column}`],
+                ['lint-severity', diagnostic.severity],
+                ['lint-message', diagnostic.message],
+                ['lint-rule', diagnostic.rule]
+            ].forEach(([className, text]) => {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = text;
+                item.appendChild(span);
+            });
             
-            if (count > 0) {
-                showValidationResult(`✓ Valid CSS selector! Found ${count} element(s) on current page.`, 'success');
-            } else {
-                showValidationResult(`✓ Valid CSS selector syntax, but found 0 elements on current page.`, 'info');
-            }
-        } catch (error) {
-            showValidationResult(`✗ Invalid CSS selector: ${error.message}`, 'error');
-        }
+            item.addEventListener('click', () => goToCodeLocation(diagnostic.line, diagnostic.column));
+            container.appendChild(item);
+        });
     }
     
-    function validateXPath(xpath) {
-        try {
-            const result = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
-            const count = result.snapshotLength;
-            
-            if (count > 0) {
-                showValidationResult(`✓ Valid XPath expression! Found ${count} element(s) on current page.`, 'success');
-            } else {
-                showValidationResult(`✓ Valid XPath syntax, but found 0 elements on current page.`, 'info');
-            }
-        } catch (error) {
-            showValidationResult(`✗ Invalid XPath expression: ${error.message}`, 'error');
+    function goToCodeLocation(line, column) {
+        if (!app.isEditing) {
+            toggleCodeEditor();
         }
+        
+        const codeEditor = document.getElementById('codeEditor');
+        const lines = codeEditor.value.split('\n');
+        const lineIndex = Math.min(line, lines.length) - 1;
+        const lineStart = lines.slice(0, lineIndex).reduce((offset, text) => offset + text.length + 1, 0);
+        const lineEnd = lineStart + lines[lineIndex].length;
+        
+        // Select from the marker to the end of the line
+        codeEditor.focus();
+        codeEditor.setSelectionRange(Math.min(lineStart + column - 1, lineEnd), lineEnd);
+        
+        // Scroll the line into view
+        const lineHeight = parseFloat(getComputedStyle(codeEditor).lineHeight) || 20;
+        codeEditor.scrollTop = Math.max(0, lineIndex * lineHeight - codeEditor.clientHeight / 2);
     }
     
     function showValidationResult(message, type) {
@@ -1283,6 +1125,7 @@
             
             // Add input event listener for real-time syntax highlighting
             codeEditor.addEventListener('input', updateSyntaxHighlighting);
+            codeEditor.addEventListener('input', renderEditedFormatOutput);
             codeEditor.addEventListener('scroll', syncHighlightScroll);
             
             showToast('Edit mode enabled. Press Ctrl/Cmd+S to save changes.', 'info');
@@ -1292,6 +1135,9 @@
         }
     }
     
+    // Keep the output format preview in step with unsaved edits
+    const renderEditedFormatOutput = debounce(() => renderFormatOutput(), 300);
+    
     function saveEditorChanges() {
         const codeDisplay = document.getElementById('codeDisplay');
         const codeEditor = document.getElementById('codeEditor');
@@ -1308,8 +1154,10 @@
             Prism.highlightElement(generatedCode);
         }
         
-        // Update stats
+        // Update stats and output, and re-lint the hand-edited script
         updateScriptStats(editedCode);
+        renderLintResults(window.scriptLinter.lint(editedCode));
+        renderFormatOutput();
         
         // Switch back to view mode
         app.isEditing = false;
@@ -1323,6 +1171,7 @@
         // Remove event listeners
         codeEditor.removeEventListener('keydown', handleEditorKeydown);
         codeEditor.removeEventListener('input', updateSyntaxHighlighting);
+        codeEditor.removeEventListener('input', renderEditedFormatOutput);
         codeEditor.removeEventListener('scroll', syncHighlightScroll);
         
         // Remove syntax highlighting overlay
@@ -1348,21 +1197,26 @@
             const start = textarea.selectionStart;
             const end = textarea.selectionEnd;
             
-            // Insert 4 spaces
-            textarea.value = textarea.value.substring(0, start) + '    ' + textarea.value.substring(end);
-            textarea.selectionStart = textarea.selectionEnd = start + 4;
+            // Insert one indent level
+            const indent = ' '.repeat(window.scriptBuilder.settings.indentWidth);
+            textarea.value = textarea.value.substring(0, start) + indent + textarea.value.substring(end);
+            textarea.selectionStart = textarea.selectionEnd = start + indent.length;
         }
     }
 
     // ===== Output Actions =====
+    // The script as currently shown, including unsaved edits
+    function getCurrentCode() {
+        return app.isEditing ? document.getElementById('codeEditor').value : app.lastGeneratedCode;
+    }
+    
     async function copyGeneratedScript() {
-        const codeToUse = app.isEditing ? 
-            document.getElementById('codeEditor').value : 
-            app.lastGeneratedCode;
+        const codeToUse = getCurrentCode();
             
         if (!codeToUse) return;
         
-        const success = await copyToClipboard(codeToUse);
+        const { code } = window.outputFormats.build(getInputValue('outputFormat'), getPackagedCode(codeToUse), getOutputContext());
+        const success = await copyToClipboard(code);
         if (success) {
             showToast('Script copied to clipboard', 'success');
         } else {
@@ -1371,33 +1225,126 @@
     }
 
     function downloadGeneratedScript() {
-        const codeToUse = app.isEditing ? 
-            document.getElementById('codeEditor').value : 
-            app.lastGeneratedCode;
+        const codeToUse = getCurrentCode();
             
         if (!codeToUse) return;
         
-        const filename = `${app.currentConfig.scriptName || 'script'}.js`;
-        downloadFile(filename, codeToUse, 'application/javascript');
+        const context = getOutputContext();
+        const { download } = window.outputFormats.build(getInputValue('outputFormat'), getPackagedCode(codeToUse), context);
+        const suffix = isProductionBuild() ? '.min' : '';
+        downloadFile(`${context.name}${suffix}${download.extension}`, download.content, download.mime);
         showToast('Script downloaded', 'success');
     }
 
+    // ===== Output Formats =====
+    function initOutputFormats() {
+        const select = document.getElementById('outputFormat');
+        window.outputFormats.getFormats().forEach(({ id, label }) => {
+            select.add(new Option(label, id));
+        });
+        
+        // Fall back to the plain script if the saved format no longer exists
+        select.value = storage.get('scriptBuilderOutputFormat') || 'script';
+        if (!select.value) {
+            select.value = 'script';
+        }
+        
+        select.addEventListener('change', () => {
+            storage.set('scriptBuilderOutputFormat', select.value);
+            renderFormatOutput();
+        });
+        
+        const production = document.getElementById('productionBuild');
+        production.checked = !!storage.get('scriptBuilderProductionBuild');
+        production.addEventListener('change', () => {
+            storage.set('scriptBuilderProductionBuild', production.checked);
+            if (app.lastGeneratedCode) {
+                updateScriptStats(getCurrentCode());
+            }
+            renderFormatOutput();
+        });
+    }
+    
+    function isProductionBuild() {
+        return document.getElementById('productionBuild').checked;
+    }
+    
+    function minifyScript(code) {
+        if (!app.minified || app.minified.source !== code) {
+            app.minified = { source: code, result: window.scriptMinifier.minify(code) };
+        }
+        return app.minified.result;
+    }
+    
+    // The code Copy, Download and the output formats package
+    function getPackagedCode(code) {
+        return isProductionBuild() ? minifyScript(code).code : code;
+    }
+    
+    function getOutputContext() {
+        return window.outputFormats.getContext(app.currentConfig, app.activeScript);
+    }
+    
+    function renderFormatOutput() {
+        const container = document.getElementById('formatOutput');
+        const formatId = getInputValue('outputFormat');
+        container.innerHTML = '';
+        
+        const production = isProductionBuild();
+        const code = getCurrentCode();
+        const show = !!code && (formatId !== 'script' || production);
+        container.classList.toggle('show', show);
+        if (!show) return;
+        
+        const notes = [];
+        if (production) {
+            const { removed, issues } = minifyScript(code);
+            notes.push(issues.length > 0 ?
+                { severity: 'error', message: `Using the readable script, as it couldn't be minified: ${issues[0].message}` } :
+                { severity: 'info', message: removed.length > 0 ? `Minified: ${removed.join(', ')}.` : 'Minified.' });
+        }
+        
+        const output = window.outputFormats.build(formatId, getPackagedCode(code), getOutputContext());
+        
+        [...notes, ...output.notes].forEach(({ severity, message }) => {
+            const note = document.createElement('div');
+            note.className = `format-note ${severity}`;
+            note.textContent = message;
+            container.appendChild(note);
+        });
+        
+        if (output.link) {
+            const link = document.createElement('a');
+            link.className = 'format-link';
+            link.href = output.link.href;
+            link.textContent = output.link.label;
+            link.title = 'Drag to your bookmarks bar';
+            // Clicking would run the script on this page instead of the dealer site
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                showToast('Drag the link to your bookmarks bar, then click it on the page to test', 'info');
+            });
+            container.appendChild(link);
+        }
+        
+        const preview = document.createElement('pre');
+        preview.className = 'format-preview';
+        preview.textContent = output.code;
+        container.appendChild(preview);
+    }
+
     async function saveCurrentScript() {
         if (!app.lastGeneratedCode) return;
         
         try {
-            const scriptData = {
-                name: app.currentConfig.scriptName || 'Untitled Script',
-                description: app.currentConfig.scriptDescription,
-                code: app.isEditing ? document.getElementById('codeEditor').value : app.lastGeneratedCode,
-                config: app.currentConfig,
-                features: Object.keys(app.currentConfig.features).filter(f => app.currentConfig.features[f]),
-                actionType: app.currentConfig.actionType
-            };
+            const code = getCurrentCode();
+            const parentId = getVersionParentId();
+            const script = await window.scriptBuilder.saveScript(app.currentConfig, code, { parentId });
             
-            await window.historyManager.saveScript(scriptData);
-            showToast('Script saved to history', 'success');
+            setActiveScript(script);
+            showToast(parentId ? `Script saved to history as ${script.version}` : 'Script saved to history', 'success');
         } catch (error) {
+            console.error('Failed to save script:', error);
             showToast('Failed to save script', 'error');
         }
     }
@@ -1409,10 +1356,15 @@
     }
 
     function loadSavedConfiguration() {
+        // Read before restoring, which resets the active script
+        const activeScriptId = storage.get('scriptBuilderActiveScript');
         const savedConfig = storage.get('scriptBuilderConfig');
         if (savedConfig) {
             restoreScriptToEditor({ config: savedConfig });
+        } else {
+            window.featureToggles.setFeatures(window.settingsPanel.getDefaultFeatures());
         }
+        restoreActiveScript(activeScriptId);
     }
 
     // ===== Syntax Highlighting Functions =====
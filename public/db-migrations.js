@@ -0,0 +1,185 @@
+/**
+ * Database Migrations Module
+ *
+ * Versioned schema for the ScriptBuilderHistory IndexedDB database, shared by
+ * the page (ScriptHistoryManager) and the service worker (via importScripts).
+ * Each migration upgrades the schema by one version and may backfill fields
+ * on existing records; opening the database runs every migration newer than
+ * the stored version inside the upgrade transaction.
+ *
+ * To change the schema, append a migration with the next version number.
+ * Never edit a migration that has shipped.
+ */
+
+class DBMigrations {
+    constructor() {
+        this.dbName = 'ScriptBuilderHistory';
+        this.migrations = this.loadMigrations();
+    }
+
+    /**
+     * Define the migrations, oldest first
+     */
+    loadMigrations() {
+        return [
+            {
+                version: 1,
+                description: 'Create the scripts store',
+                upgrade: (db) => {
+                    const scripts = db.createObjectStore('scripts', { keyPath: 'id', autoIncrement: false });
+                    scripts.createIndex('name', 'name', { unique: false });
+                    scripts.createIndex('timestamp', 'timestamp', { unique: false });
+                    scripts.createIndex('actionType', 'actionType', { unique: false });
+                }
+            },
+            {
+                version: 2,
+                description: 'Create the templates store',
+                upgrade: (db) => {
+                    const templates = db.createObjectStore('templates', { keyPath: 'id', autoIncrement: false });
+                    templates.createIndex('name', 'name', { unique: false });
+                    templates.createIndex('category', 'category', { unique: false });
+                }
+            },
+            {
+                version: 3,
+                description: 'Create the page snapshots store',
+                upgrade: (db) => {
+                    const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: false });
+                    snapshots.createIndex('name', 'name', { unique: false });
+                    snapshots.createIndex('timestamp', 'timestamp', { unique: false });
+                }
+            },
+            {
+                version: 4,
+                description: 'Index script metadata',
+                upgrade: (db, transaction) => {
+                    const scripts = transaction.objectStore('scripts');
+                    scripts.createIndex('dealerId', 'dealerId', { unique: false });
+                    scripts.createIndex('environment', 'environment', { unique: false });
+                    scripts.createIndex('ticket', 'ticket', { unique: false });
+                    scripts.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                }
+            },
+            {
+                version: 5,
+                description: 'Backfill lineage and metadata on scripts saved before they existed',
+                upgrade: (db, transaction) => {
+                    this.backfill(transaction.objectStore('scripts'), (script) => this.backfillScript(script));
+                }
+            },
+            {
+                version: 6,
+                description: 'Index script lineages',
+                upgrade: (db, transaction) => {
+                    transaction.objectStore('scripts').createIndex('lineageId', 'lineageId', { unique: false });
+                }
+            },
+            {
+                version: 7,
+                description: 'Create the detection profiles store',
+                upgrade: (db) => {
+                    const profiles = db.createObjectStore('profiles', { keyPath: 'id', autoIncrement: false });
+                    profiles.createIndex('name', 'name', { unique: false });
+                }
+            }
+        ];
+    }
+
+    /**
+     * Get the newest schema version
+     */
+    get latestVersion() {
+        return Math.max(...this.migrations.map(migration => migration.version));
+    }
+
+    /**
+     * Open the database at the newest version, running pending migrations
+     */
+    open(factory = indexedDB) {
+        return new Promise((resolve, reject) => {
+            const request = factory.open(this.dbName, this.latestVersion);
+
+            request.onupgradeneeded = (event) => {
+                try {
+                    this.upgrade(request.result, request.transaction, event.oldVersion, event.newVersion);
+                } catch (error) {
+                    // Aborting rolls the whole upgrade back; the stored version is unchanged
+                    console.error('Database migration failed:', error);
+                    request.transaction.abort();
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer page or worker upgrade the schema instead of blocking it
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                console.warn('Database upgrade is waiting for another tab to close the database');
+            };
+        });
+    }
+
+    /**
+     * Run the migrations between two versions in order
+     */
+    upgrade(db, transaction, oldVersion, newVersion = this.latestVersion) {
+        this.migrations
+            .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+            .sort((a, b) => a.version - b.version)
+            .forEach(migration => {
+                console.log(`Database migration ${migration.version}: ${migration.description}`);
+                migration.upgrade(db, transaction);
+            });
+    }
+
+    /**
+     * Update every record of a store in place. update() returns the changed
+     * record, or nothing to leave it as is.
+     */
+    backfill(store, update) {
+        const request = store.openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+
+            const updated = update({ ...cursor.value });
+            if (updated) {
+                cursor.update(updated);
+            }
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Add the lineage and metadata fields to a script record that lacks them
+     */
+    backfillScript(script) {
+        if (script.lineageId && Array.isArray(script.tags)) {
+            return null;
+        }
+
+        const versionMatch = /^V(\d+)$/i.exec(script.version || '');
+        const metadata = (script.config && script.config.metadata) || {};
+        const tags = Array.isArray(metadata.tags) ? metadata.tags : [];
+
+        return {
+            ...script,
+            lineageId: script.lineageId || script.id,
+            parentId: script.parentId || null,
+            versionNumber: script.versionNumber || (versionMatch ? parseInt(versionMatch[1], 10) : 1),
+            dealerId: script.dealerId || metadata.dealerId || '',
+            environment: script.environment || metadata.environment || '',
+            tags: Array.isArray(script.tags) ? script.tags : [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(tag => tag))],
+            ticket: script.ticket || metadata.ticket || ''
+        };
+    }
+}
+
+// Export as global; self is the window on the page and the worker scope in the service worker
+self.dbMigrations = new DBMigrations();
@@ -0,0 +1,426 @@
+/**
+ * Detection Profiles Module
+ *
+ * Named sets of VDP and SRP checks for a dealer website platform: URL path
+ * patterns, required and forbidden selectors and meta tags. VDP and SRP
+ * Detection generate isVDP() and isSRP() from the profile selected for the
+ * script, which is saved with its configuration. Profiles are stored in
+ * IndexedDB next to the templates and shared as JSON files.
+ */
+
+class DetectionProfileLibrary {
+    constructor() {
+        this.builtInProfiles = [{ ...window.scriptBuilder.getDefaultDetectionProfile(), builtIn: true }];
+        this.profiles = [...this.builtInProfiles];
+        this.selectedId = this.builtInProfiles[0].id;
+        // The script's own copy, used while its profile isn't in the library
+        this.scriptProfile = null;
+        this.editingId = null;
+        this.exportVersion = '1.0';
+        this.onChange = () => {};
+
+        // Checks of each page type, in form order
+        this.fields = [
+            { key: 'urlPatterns', label: 'URL path patterns', placeholder: '*/vehicle/*\n/used/*.htm', help: 'One per line. * matches any characters, e.g. /inventory/*-* or */vdp*.' },
+            { key: 'requiredSelectors', label: 'Required selectors', placeholder: '.vehicle-details\n[data-vehicle-id]', help: 'Elements that mark the page, one selector per line.' },
+            { key: 'metaTags', label: 'Meta tags', placeholder: 'og:type=vehicle\ngenerator=Dealer', help: 'name, or name=text for a content containing the text. Matches name and property.' },
+            { key: 'forbiddenSelectors', label: 'Forbidden selectors', placeholder: '.vehicle-grid', help: 'The page is never a match when one of these is present.' }
+        ];
+    }
+
+    /**
+     * Bind the profile select and the library modal, and load saved profiles
+     */
+    init({ onChange } = {}) {
+        if (onChange) {
+            this.onChange = onChange;
+        }
+
+        this.renderPageFields();
+
+        document.getElementById('detectionProfile').addEventListener('change', (e) => {
+            this.selectedId = e.target.value;
+            this.onChange();
+        });
+        document.getElementById('manageDetectionProfiles').addEventListener('click', () => this.open());
+
+        document.getElementById('closeDetectionProfilesModal').addEventListener('click', () => {
+            modalManager.closeModal('detectionProfilesModal');
+        });
+        document.getElementById('detectionProfilesList').addEventListener('click', (e) => {
+            const item = e.target.closest('.template-item');
+            if (item) {
+                this.editProfile(item.dataset.id);
+            }
+        });
+        document.getElementById('newDetectionProfile').addEventListener('click', () => this.editProfile(null));
+        document.getElementById('detectionProfileImportFile').addEventListener('change', (e) => this.importFile(e));
+
+        const form = document.getElementById('detectionProfileForm');
+        form.addEventListener('input', debounce(() => this.renderErrors(), 300));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProfile();
+        });
+        document.getElementById('useDetectionProfile').addEventListener('click', () => this.useProfile(this.editingId));
+        document.getElementById('exportDetectionProfile').addEventListener('click', () => this.exportProfile(this.editingId));
+        document.getElementById('deleteDetectionProfile').addEventListener('click', () => this.deleteProfile(this.editingId));
+
+        this.refresh();
+    }
+
+    /**
+     * Reload built-in and saved profiles and re-render
+     */
+    async refresh() {
+        let savedProfiles = [];
+        try {
+            savedProfiles = await window.historyManager.getAllProfiles();
+        } catch (error) {
+            console.error('Failed to load detection profiles:', error);
+            showToast('Failed to load detection profiles', 'error');
+        }
+
+        this.profiles = [
+            ...this.builtInProfiles,
+            ...savedProfiles.sort((a, b) => a.name.localeCompare(b.name))
+        ];
+        this.renderSelect();
+        this.renderList();
+    }
+
+    /**
+     * Get a library profile by ID
+     */
+    getProfile(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * Get the script's profile for its configuration, with the checks as
+     * they are in the library now
+     */
+    getSelectedProfile() {
+        const profile = this.getProfile(this.selectedId) || this.scriptProfile || this.builtInProfiles[0];
+        return window.scriptBuilder.normalizeDetectionProfile({ detectionProfile: profile });
+    }
+
+    /**
+     * Select the profile of a restored configuration. A profile that isn't in
+     * the library, e.g. from an imported script, is kept as the script's copy.
+     */
+    setSelectedProfile(profile) {
+        const normalized = window.scriptBuilder.normalizeDetectionProfile({ detectionProfile: profile });
+        this.selectedId = normalized.id;
+        this.scriptProfile = profile ? normalized : null;
+        this.renderSelect();
+    }
+
+    /**
+     * Fill the profile select, keeping the script's profile selected
+     */
+    renderSelect() {
+        const select = document.getElementById('detectionProfile');
+        const options = this.profiles.map(profile => `<option value="${escapeHTML(profile.id)}">${escapeHTML(profile.name)}</option>`);
+
+        if (!this.getProfile(this.selectedId) && this.scriptProfile) {
+            options.push(`<option value="${escapeHTML(this.selectedId)}">${escapeHTML(this.scriptProfile.name)} (from script)</option>`);
+        }
+
+        select.innerHTML = options.join('');
+        select.value = this.selectedId;
+    }
+
+    /**
+     * Open the library modal on the script's profile
+     */
+    async open() {
+        modalManager.openModal('detectionProfilesModal');
+        await this.refresh();
+        this.editProfile(this.getProfile(this.selectedId) ? this.selectedId : this.builtInProfiles[0].id);
+    }
+
+    /**
+     * Render the profile list
+     */
+    renderList() {
+        document.getElementById('detectionProfilesList').innerHTML = this.profiles.map(profile => `
+            <div class="template-item${profile.id === this.editingId ? ' active' : ''}" data-id="${escapeHTML(profile.id)}">
+                <div class="template-item-header">
+                    <div class="template-item-title">${escapeHTML(profile.name)}</div>
+                    ${profile.id === this.selectedId ? '<span class="template-category">This script</span>' : ''}
+                </div>
+                ${profile.description ? `<div class="template-item-description">${escapeHTML(profile.description)}</div>` : ''}
+                <div class="template-item-meta">
+                    <span><i class="fas ${profile.builtIn ? 'fa-box' : 'fa-user'}"></i> ${profile.builtIn ? 'Built-in' : 'Saved'}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render a fieldset of checks per page type into the form
+     */
+    renderPageFields() {
+        document.getElementById('detectionProfilePages').innerHTML = Object.entries(window.scriptBuilder.detectionPages)
+            .map(([page, definition]) => `
+                <fieldset class="detection-profile-page" data-page="${page}">
+                    <legend>${escapeHTML(definition.label)} (${escapeHTML(definition.title)})</legend>
+                    <div class="form-group">
+                        <label for="detectionProfile-${page}-match">Detected when</label>
+                        <select id="detectionProfile-${page}-match" data-field="match">
+                            <option value="any">any check matches (OR)</option>
+                            <option value="all">every check matches (AND)</option>
+                        </select>
+                    </div>
+                    ${this.fields.map(field => `
+                        <div class="form-group">
+                            <label for="detectionProfile-${page}-${field.key}">${field.label}</label>
+                            <textarea id="detectionProfile-${page}-${field.key}" data-field="${field.key}" rows="2" placeholder="${escapeHTML(field.placeholder)}"></textarea>
+                            <small class="help-text">${escapeHTML(field.help)}</small>
+                        </div>`).join('')}
+                </fieldset>`)
+            .join('');
+    }
+
+    /**
+     * Load a profile into the form; null starts a new profile
+     */
+    editProfile(id) {
+        const profile = id ? this.getProfile(id) : null;
+        this.editingId = profile ? profile.id : null;
+
+        const normalized = window.scriptBuilder.normalizeDetectionProfile({ detectionProfile: profile || {} });
+        this.writeForm({ ...normalized, name: profile ? normalized.name : '' });
+
+        const builtIn = !!(profile && profile.builtIn);
+        document.getElementById('saveDetectionProfile').innerHTML = builtIn ?
+            '<i class="fas fa-copy"></i> Save as New Profile' :
+            '<i class="fas fa-save"></i> Save';
+        document.getElementById('deleteDetectionProfile').style.display = profile && !builtIn ? '' : 'none';
+        document.getElementById('useDetectionProfile').disabled = !profile;
+        document.getElementById('exportDetectionProfile').disabled = !profile;
+
+        this.renderList();
+        this.renderErrors();
+    }
+
+    /**
+     * Fill the form from a normalized profile
+     */
+    writeForm(profile) {
+        setInputValue('detectionProfileName', profile.name);
+        setInputValue('detectionProfileDescription', profile.description);
+
+        document.querySelectorAll('#detectionProfilePages [data-page]').forEach(fieldset => {
+            const checks = profile[fieldset.dataset.page];
+            fieldset.querySelectorAll('[data-field]').forEach(input => {
+                const value = checks[input.dataset.field];
+                input.value = Array.isArray(value) ? value.join('\n') : value;
+            });
+        });
+    }
+
+    /**
+     * Read the profile in the form
+     */
+    readForm() {
+        const profile = {
+            name: getInputValue('detectionProfileName').trim(),
+            description: getInputValue('detectionProfileDescription').trim()
+        };
+
+        document.querySelectorAll('#detectionProfilePages [data-page]').forEach(fieldset => {
+            const checks = {};
+            fieldset.querySelectorAll('[data-field]').forEach(input => {
+                checks[input.dataset.field] = input.tagName === 'TEXTAREA' ?
+                    input.value.split('\n').map(line => line.trim()).filter(line => line) :
+                    input.value;
+            });
+            profile[fieldset.dataset.page] = checks;
+        });
+
+        return profile;
+    }
+
+    /**
+     * Check a profile, returning error messages
+     */
+    validateProfile(profile) {
+        const builder = window.scriptBuilder;
+        const normalized = builder.normalizeDetectionProfile({ detectionProfile: profile });
+        const errors = [];
+
+        if (!String(profile.name || '').trim()) {
+            errors.push('Profile name is required');
+        }
+
+        const pagesWithChecks = Object.keys(builder.detectionPages).filter(page => {
+            const checks = normalized[page];
+            return checks.urlPatterns.length + checks.requiredSelectors.length + checks.metaTags.length > 0;
+        });
+        if (pagesWithChecks.length === 0) {
+            errors.push('Add a URL pattern, selector or meta tag for at least one page type');
+        }
+
+        return errors.concat(builder.validateDetectionProfile(normalized, pagesWithChecks));
+    }
+
+    /**
+     * Show the form's validation errors, enabling Save only for a valid profile
+     */
+    renderErrors() {
+        const errors = this.validateProfile(this.readForm());
+
+        document.getElementById('detectionProfileErrors').innerHTML = errors.length > 0 ?
+            `<ul class="extension-errors">${errors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}</ul>` :
+            '';
+        document.getElementById('saveDetectionProfile').disabled = errors.length > 0;
+        return errors;
+    }
+
+    /**
+     * Save the form as the edited profile, or as a new one for built-ins
+     */
+    async saveProfile() {
+        if (this.renderErrors().length > 0) {
+            showToast('Fix the profile errors before saving', 'error');
+            return;
+        }
+
+        const existing = this.getProfile(this.editingId);
+        const profileData = this.readForm();
+        if (existing && !existing.builtIn) {
+            profileData.id = existing.id;
+        }
+
+        try {
+            const profile = await window.historyManager.saveProfile(
+                window.scriptBuilder.normalizeDetectionProfile({ detectionProfile: profileData })
+            );
+            await this.refresh();
+            this.editProfile(profile.id);
+
+            // Scripts pick up their profile's changes when they are regenerated
+            if (profile.id === this.selectedId) {
+                this.onChange();
+            }
+            showToast(`Detection profile "${profile.name}" saved`, 'success');
+        } catch (error) {
+            console.error('Failed to save detection profile:', error);
+            showToast('Failed to save detection profile', 'error');
+        }
+    }
+
+    /**
+     * Select a profile for the script in the editor
+     */
+    useProfile(id) {
+        if (!this.getProfile(id)) return;
+
+        this.selectedId = id;
+        this.scriptProfile = null;
+        this.renderSelect();
+        this.renderList();
+        this.onChange();
+        showToast(`The script now uses the "${this.getProfile(id).name}" detection profile`, 'success');
+    }
+
+    /**
+     * Delete a saved profile. A script using it keeps its copy of the checks.
+     */
+    async deleteProfile(id) {
+        const profile = this.getProfile(id);
+        if (!profile || profile.builtIn) return;
+
+        if (!confirm(`Are you sure you want to delete the detection profile "${profile.name}"?`)) {
+            return;
+        }
+
+        try {
+            await window.historyManager.deleteProfile(id);
+            if (id === this.selectedId) {
+                this.scriptProfile = window.scriptBuilder.normalizeDetectionProfile({ detectionProfile: profile });
+            }
+            await this.refresh();
+            this.editProfile(this.builtInProfiles[0].id);
+            showToast('Detection profile deleted', 'success');
+        } catch (error) {
+            showToast('Failed to delete detection profile', 'error');
+        }
+    }
+
+    /**
+     * Download a profile as a JSON file to share
+     */
+    exportProfile(id) {
+        const profile = this.getProfile(id);
+        if (!profile) return;
+
+        const exportData = {
+            version: this.exportVersion,
+            exportDate: new Date().toISOString(),
+            profiles: [window.scriptBuilder.normalizeDetectionProfile({ detectionProfile: profile })]
+        };
+
+        const name = window.zipWriter.sanitizeFileName(profile.name, 'profile');
+        downloadFile(`detection-profile-${name}.json`, JSON.stringify(exportData, null, 2), 'application/json');
+    }
+
+    /**
+     * Import shared profiles. A profile with the ID of a saved one replaces
+     * it; one with a built-in's ID is saved as a new profile.
+     */
+    async importFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            let importData;
+            try {
+                importData = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error('The file is not valid JSON');
+            }
+            if (!importData || !Array.isArray(importData.profiles)) {
+                throw new Error('The file is not a detection profile export');
+            }
+
+            const result = { added: 0, updated: 0, invalid: 0 };
+            for (const imported of importData.profiles) {
+                if (!imported || typeof imported !== 'object' || this.validateProfile(imported).length > 0) {
+                    result.invalid++;
+                    continue;
+                }
+
+                const profile = window.scriptBuilder.normalizeDetectionProfile({ detectionProfile: imported });
+                const existing = this.getProfile(profile.id);
+                if (existing && existing.builtIn) {
+                    profile.id = '';
+                }
+                await window.historyManager.saveProfile(profile);
+                result[existing && !existing.builtIn ? 'updated' : 'added']++;
+            }
+
+            await this.refresh();
+            this.editProfile(this.editingId);
+
+            const imported = result.added + result.updated;
+            const skipped = result.invalid > 0 ? `, skipped ${result.invalid} invalid` : '';
+            showToast(`Imported ${imported} detection profile${imported === 1 ? '' : 's'} (${result.updated} updated${skipped})`, imported > 0 ? 'success' : 'warning');
+
+            // A replaced profile may be the script's
+            if (result.updated > 0) {
+                this.onChange();
+            }
+        } catch (error) {
+            console.error('Failed to import detection profiles:', error);
+            showToast(error.message || 'Failed to import detection profiles', 'error');
+        } finally {
+            event.target.value = '';
+        }
+    }
+}
+
+// Export as global
+window.detectionProfiles = new DetectionProfileLibrary();
@@ -0,0 +1,270 @@
+/**
+ * Extension Export Module
+ *
+ * Packages history scripts as an unpacked Chrome extension (Manifest V3) for
+ * demos. Each script becomes a content script matched by its Page URLs, or
+ * its page detection feature, and injected according to DOM Ready Handling
+ * into the page's main world, where it sees the site's own globals.
+ * The manifest is checked against the parts of the MV3 schema it uses before
+ * the zip can be downloaded, so Chrome loads it without errors.
+ */
+
+class ExtensionExport {
+    constructor() {
+        this.scripts = [];
+
+        // Subset of Chrome's manifest schema covering the keys the export writes
+        this.manifestSchema = {
+            type: 'object',
+            required: ['manifest_version', 'name', 'version'],
+            properties: {
+                manifest_version: { enum: [3] },
+                name: { type: 'string', minLength: 1, maxLength: 75 },
+                version: { type: 'string', format: 'extensionVersion' },
+                description: { type: 'string', maxLength: 132 },
+                content_scripts: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['matches', 'js'],
+                        additionalProperties: false,
+                        properties: {
+                            matches: { type: 'array', minItems: 1, items: { type: 'string', format: 'matchPattern' } },
+                            js: { type: 'array', minItems: 1, items: { type: 'string', format: 'packagedFile' } },
+                            run_at: { enum: ['document_start', 'document_end', 'document_idle'] },
+                            world: { enum: ['ISOLATED', 'MAIN'] }
+                        }
+                    }
+                }
+            }
+        };
+
+        // Checks for schema "format" keywords; files is the set of paths in the package
+        this.formats = {
+            extensionVersion: (value) => /^\d{1,5}(\.\d{1,5}){0,3}$/.test(value) &&
+                value.split('.').every(part => Number(part) <= 65535 && (part === '0' || !part.startsWith('0'))) ||
+                'must be 1 to 4 dot-separated numbers from 0 to 65535, e.g. 1.0.2',
+            matchPattern: (value) => window.outputFormats.isValidMatchPattern(value) || 'is not a valid match pattern',
+            packagedFile: (value, files) => files.has(value) || 'is not in the package'
+        };
+    }
+
+    /**
+     * Bind the export modal's controls
+     */
+    init() {
+        ['extensionName', 'extensionVersion', 'extensionDescription'].forEach(id => {
+            document.getElementById(id).addEventListener('input', debounce(() => this.render(), 300));
+        });
+        document.getElementById('confirmExtension').addEventListener('click', () => this.download());
+        document.getElementById('cancelExtension').addEventListener('click', () => this.close());
+        document.getElementById('closeExtensionModal').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Preview an extension of the latest version of each script's lineage
+     */
+    open(scripts) {
+        const latest = new Map();
+        scripts.forEach(script => {
+            const key = script.lineageId || script.id;
+            const current = latest.get(key);
+            if (!current || window.historyManager.getVersionNumber(script) > window.historyManager.getVersionNumber(current)) {
+                latest.set(key, script);
+            }
+        });
+        this.scripts = Array.from(latest.values());
+
+        const single = this.scripts.length === 1 ? this.scripts[0] : null;
+        setInputValue('extensionName', (single ? single.name : 'Script Builder Demo') || 'Script Builder Demo');
+        setInputValue('extensionVersion', '1.0');
+        setInputValue('extensionDescription', single ? single.description || '' : `${this.scripts.length} scripts from Script Builder`);
+
+        this.render();
+        modalManager.openModal('extensionModal');
+    }
+
+    /**
+     * Build the manifest and files for the scripts: { manifest, files, entries }.
+     * entries pairs each script with its file and where its matches came from.
+     */
+    buildPackage(scripts, details) {
+        const usedNames = new Set();
+        const files = [];
+        const entries = [];
+
+        scripts.forEach(script => {
+            const base = window.zipWriter.sanitizeFileName(script.name, 'script');
+            let name = base;
+            for (let copy = 2; usedNames.has(name.toLowerCase()); copy++) {
+                name = `${base} (${copy})`;
+            }
+            usedNames.add(name.toLowerCase());
+
+            const config = script.config || {};
+            const file = `scripts/${name}.js`;
+            files.push({ name: file, content: script.code || '' });
+            entries.push({
+                script,
+                file,
+                matches: window.outputFormats.getMatchPatterns(config),
+                runAt: window.outputFormats.getRunAt(config).replace('-', '_')
+            });
+        });
+
+        const manifest = {
+            manifest_version: 3,
+            name: details.name,
+            version: details.version,
+            description: details.description || undefined,
+            content_scripts: entries.map(entry => ({
+                matches: entry.matches.patterns,
+                js: [entry.file],
+                run_at: entry.runAt,
+                // Run in the page's own JavaScript context, like the deployed script
+                world: 'MAIN'
+            }))
+        };
+
+        files.unshift({ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) });
+        return { manifest, files, entries };
+    }
+
+    /**
+     * Check a manifest against the schema, returning messages like
+     * "content_scripts[0].run_at must be one of ..."
+     */
+    validateManifest(manifest, files) {
+        const paths = new Set(files.map(file => file.name));
+        return this.validate(JSON.parse(JSON.stringify(manifest)), this.manifestSchema, 'manifest', paths);
+    }
+
+    /**
+     * Validate a value against a schema node, collecting every failure
+     */
+    validate(value, schema, path, files) {
+        const errors = [];
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+            return errors;
+        }
+
+        const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+        if (schema.type && schema.type !== type) {
+            errors.push(`${path} must be ${schema.type === 'array' ? 'a list' : `a ${schema.type}`}`);
+            return errors;
+        }
+
+        if (type === 'string') {
+            if (schema.minLength && value.length < schema.minLength) {
+                errors.push(`${path} is required`);
+            }
+            if (schema.maxLength && value.length > schema.maxLength) {
+                errors.push(`${path} must be at most ${schema.maxLength} characters (it has ${value.length})`);
+            }
+            if (schema.format) {
+                const result = this.formats[schema.format](value, files);
+                if (result !== true) errors.push(`${path} "${value}" ${result}`);
+            }
+        }
+
+        if (type === 'array') {
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push(`${path} needs at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => errors.push(...this.validate(item, schema.items, `${path}[${index}]`, files)));
+            }
+        }
+
+        if (type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push(`${path}.${key} is required`);
+            });
+            Object.entries(value).forEach(([key, item]) => {
+                const child = schema.properties && schema.properties[key];
+                if (child) {
+                    errors.push(...this.validate(item, child, `${path}.${key}`, files));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}.${key} is not allowed`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Read the extension details from the modal
+     */
+    getDetails() {
+        return {
+            name: getInputValue('extensionName').trim(),
+            version: getInputValue('extensionVersion').trim(),
+            description: getInputValue('extensionDescription').trim()
+        };
+    }
+
+    /**
+     * Render the content scripts and validation result, enabling the
+     * download only for a valid manifest
+     */
+    render() {
+        const { manifest, files, entries } = this.buildPackage(this.scripts, this.getDetails());
+        const errors = this.validateManifest(manifest, files);
+
+        document.getElementById('extensionScripts').innerHTML = entries.map(entry => {
+            const notes = window.outputFormats.describeMatches(entry.matches)
+                .filter(note => note.severity !== 'info')
+                .map(note => `<div class="format-note ${note.severity}">${escapeHTML(note.message)}</div>`)
+                .join('');
+            return `
+                <tr>
+                    <td>${window.historyImport.describeScript(entry.script)}<div class="extension-file">${escapeHTML(entry.file)}</div></td>
+                    <td>${entry.matches.patterns.map(pattern => escapeHTML(pattern)).join('\n')}${notes}</td>
+                    <td>${escapeHTML(entry.runAt)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        document.getElementById('extensionErrors').innerHTML = errors.length > 0 ?
+            `<ul class="extension-errors">${errors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}</ul>` :
+            '<p class="extension-valid"><i class="fas fa-check"></i> The manifest is valid for Manifest V3.</p>';
+
+        document.getElementById('confirmExtension').disabled = errors.length > 0;
+        return errors;
+    }
+
+    /**
+     * Download the extension as a zip to unpack and load in chrome://extensions
+     */
+    download() {
+        if (this.scripts.length === 0) return;
+
+        const details = this.getDetails();
+        const { manifest, files } = this.buildPackage(this.scripts, details);
+        if (this.validateManifest(manifest, files).length > 0) {
+            this.render();
+            showToast('Fix the manifest errors before downloading', 'error');
+            return;
+        }
+
+        const name = window.zipWriter.sanitizeFileName(details.name, 'extension');
+        downloadFile(`${name}-${details.version}.zip`, window.zipWriter.createZip(files), 'application/zip');
+        showToast(`Packaged ${this.scripts.length} script${this.scripts.length === 1 ? '' : 's'} as an extension`, 'success');
+        this.close();
+    }
+
+    /**
+     * Close the preview and forget the scripts
+     */
+    close() {
+        this.scripts = [];
+        modalManager.closeModal('extensionModal');
+    }
+}
+
+// Export as global
+window.extensionExport = new ExtensionExport();
@@ -0,0 +1,133 @@
+/**
+ * Feature Toggles Module
+ *
+ * Keeps the Script Features checkboxes consistent with the feature dependency
+ * model in ScriptBuilder: enabling a feature enables what it depends on,
+ * disabling one disables what depends on it, and conflicting features are
+ * disabled with a warning.
+ */
+
+class FeatureTogglesEditor {
+    constructor() {
+        this.warnings = null;
+        this.onChange = () => {};
+    }
+
+    /**
+     * Bind the checkboxes to the DOM and apply the initial state
+     */
+    init({ onChange } = {}) {
+        this.warnings = document.getElementById('featureWarnings');
+        if (onChange) {
+            this.onChange = onChange;
+        }
+
+        this.getFeatureKeys().forEach(feature => {
+            const checkbox = document.getElementById(feature);
+            if (!checkbox) return;
+
+            checkbox.addEventListener('change', () => {
+                this.applyDependencies(feature, checkbox.checked);
+                this.onChange();
+            });
+        });
+
+        this.refresh();
+    }
+
+    /**
+     * Get the feature keys in display order
+     */
+    getFeatureKeys() {
+        return Object.keys(window.scriptBuilder.featureDefinitions);
+    }
+
+    /**
+     * Get the checked state of every feature
+     */
+    getFeatures() {
+        return this.getFeatureKeys().reduce((features, feature) => {
+            features[feature] = getCheckboxValue(feature);
+            return features;
+        }, {});
+    }
+
+    /**
+     * Load features into the checkboxes, e.g. when restoring a script
+     */
+    setFeatures(features = {}) {
+        Object.keys(features).forEach(feature => {
+            setCheckboxValue(feature, features[feature]);
+        });
+        this.refresh();
+    }
+
+    /**
+     * Enable dependencies of a checked feature, or disable dependents of an
+     * unchecked one
+     */
+    applyDependencies(feature, checked) {
+        const builder = window.scriptBuilder;
+
+        if (checked) {
+            builder.resolveFeatures(this.getFeatures()).added.forEach(({ feature: added, requiredBy }) => {
+                setCheckboxValue(added, true);
+                showToast(`Enabled ${builder.getFeatureLabel(added)}, required by ${builder.getFeatureLabel(requiredBy)}`, 'info');
+            });
+        } else {
+            builder.getDependentFeatures(feature, this.getFeatures()).forEach(dependent => {
+                setCheckboxValue(dependent, false);
+                showToast(`Disabled ${builder.getFeatureLabel(dependent)}, it requires ${builder.getFeatureLabel(feature)}`, 'info');
+            });
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Disable features that conflict with a checked feature and list warnings
+     */
+    refresh() {
+        const builder = window.scriptBuilder;
+        const features = this.getFeatures();
+        const messages = [];
+
+        this.getFeatureKeys().forEach(feature => {
+            const checkbox = document.getElementById(feature);
+            if (!checkbox) return;
+
+            const blockedBy = (builder.featureDefinitions[feature].conflicts || [])
+                .filter(other => features[other]);
+            const blocked = !features[feature] && blockedBy.length > 0;
+
+            checkbox.disabled = blocked;
+            checkbox.closest('.form-check').classList.toggle('feature-blocked', blocked);
+            checkbox.closest('.form-check').title = blocked ?
+                `Can't be combined with ${blockedBy.map(other => builder.getFeatureLabel(other)).join(', ')}` :
+                '';
+        });
+
+        builder.getFeatureConflicts(features).forEach(([feature, other]) => {
+            messages.push(`${builder.getFeatureLabel(feature)} and ${builder.getFeatureLabel(other)} can't be enabled together. Disable one of them.`);
+        });
+
+        builder.resolveFeatures(features).added.forEach(({ feature, requiredBy }) => {
+            messages.push(`${builder.getFeatureLabel(requiredBy)} requires ${builder.getFeatureLabel(feature)}, which will be included.`);
+        });
+
+        if (this.warnings) {
+            this.warnings.innerHTML = '';
+            messages.forEach(message => {
+                const item = document.createElement('div');
+                item.className = 'feature-warning';
+                item.innerHTML = '<i class="fas fa-exclamation-triangle"></i> ';
+                item.appendChild(document.createTextNode(message));
+                this.warnings.appendChild(item);
+            });
+            this.warnings.classList.toggle('show', messages.length > 0);
+        }
+    }
+}
+
+// Export as global
+window.featureToggles = new FeatureTogglesEditor();
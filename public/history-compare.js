@@ -0,0 +1,334 @@
+/**
+ * History Compare Module
+ *
+ * Compare mode for the history modal: pick two saved scripts (or two versions
+ * of one script) and see a side-by-side line diff of their code and a
+ * structured diff of their configs.
+ */
+
+class HistoryCompare {
+    constructor() {
+        this.active = false;
+        this.selectedIds = [];
+        this.contextLines = 3;
+    }
+
+    /**
+     * Bind the compare controls
+     */
+    init() {
+        document.getElementById('compareModeBtn').addEventListener('click', () => this.setActive(!this.active));
+        document.getElementById('cancelCompare').addEventListener('click', () => this.setActive(false));
+        document.getElementById('runCompare').addEventListener('click', () => this.compareSelected());
+        document.getElementById('closeCompareModal').addEventListener('click', () => {
+            modalManager.closeModal('compareModal');
+        });
+
+        // Selection survives list refreshes, but not deleted scripts
+        window.historyManager.on('scriptDeleted', (id) => {
+            this.selectedIds = this.selectedIds.filter(selectedId => selectedId !== id);
+            this.updateSelection();
+        });
+        window.historyManager.on('historyCleared', () => this.setActive(false));
+    }
+
+    /**
+     * Turn compare mode on or off
+     */
+    setActive(active) {
+        this.active = active;
+        this.selectedIds = [];
+
+        document.getElementById('historyList').classList.toggle('compare-mode', active);
+        document.getElementById('compareBar').style.display = active ? 'flex' : 'none';
+        document.getElementById('compareModeBtn').classList.toggle('active', active);
+        this.updateSelection();
+    }
+
+    /**
+     * Select or unselect a script; selecting a third drops the oldest pick
+     */
+    toggleSelection(id) {
+        if (this.selectedIds.includes(id)) {
+            this.selectedIds = this.selectedIds.filter(selectedId => selectedId !== id);
+        } else {
+            this.selectedIds = [...this.selectedIds, id].slice(-2);
+        }
+
+        this.updateSelection();
+    }
+
+    /**
+     * Reflect the selection in the list and the compare bar
+     */
+    updateSelection() {
+        document.querySelectorAll('#historyList [data-compare-id]').forEach(button => {
+            const selected = this.selectedIds.includes(button.dataset.compareId);
+            button.classList.toggle('selected', selected);
+            button.innerHTML = selected ?
+                '<i class="fas fa-check-square"></i> Selected' :
+                '<i class="far fa-square"></i> Select';
+        });
+
+        document.getElementById('compareStatus').textContent = `${this.selectedIds.length} of 2 scripts selected`;
+        document.getElementById('runCompare').disabled = this.selectedIds.length !== 2;
+    }
+
+    /**
+     * Compare the two selected scripts, older first
+     */
+    async compareSelected() {
+        if (this.selectedIds.length !== 2) return;
+
+        try {
+            const scripts = await Promise.all(this.selectedIds.map(id => window.historyManager.getScript(id)));
+            if (scripts.some(script => !script)) {
+                showToast('One of the selected scripts no longer exists', 'error');
+                return;
+            }
+
+            scripts.sort((a, b) => a.timestamp - b.timestamp);
+            this.render(scripts[0], scripts[1]);
+            modalManager.openModal('compareModal');
+        } catch (error) {
+            console.error('Failed to compare scripts:', error);
+            showToast('Failed to compare scripts', 'error');
+        }
+    }
+
+    /**
+     * Render both panes of the compare modal
+     */
+    render(before, after) {
+        const describe = (script) => `${script.name} · V${window.historyManager.getVersionNumber(script)} · ${new Date(script.timestamp).toLocaleString()}`;
+        document.getElementById('compareBefore').textContent = describe(before);
+        document.getElementById('compareAfter').textContent = describe(after);
+
+        this.renderConfigDiff(this.diffConfigs(before.config || {}, after.config || {}));
+        this.renderCodeDiff(this.buildRows(diffLines((before.code || '').split('\n'), (after.code || '').split('\n'))));
+    }
+
+    /**
+     * Flatten a config into labelled settings, one per target, step and option
+     */
+    flattenConfig(config) {
+        const settings = new Map();
+        settings.set('Script name', config.scriptName || '');
+        settings.set('Description', config.scriptDescription || '');
+
+        const metadata = window.scriptBuilder.normalizeMetadata(config);
+        settings.set('Dealer / site ID', metadata.dealerId);
+        settings.set('Environment', metadata.environment);
+        settings.set('Tags', metadata.tags.join(', '));
+        settings.set('Ticket', metadata.ticket);
+        settings.set('Page URLs', (config.urlPatterns || []).join('\n'));
+
+        const runConditions = window.scriptBuilder.normalizeRunConditions(config);
+        runConditions.groups.forEach((group, groupIndex) => {
+            settings.set(`Run conditions › Group ${groupIndex + 1}`, [
+                group.match === 'any' ? 'Any of:' : 'All of:',
+                ...group.conditions.map(condition => window.scriptBuilder.describeRunCondition(condition))
+            ].join('\n'));
+        });
+        if (runConditions.groups.length > 1) {
+            settings.set('Run conditions › Combine groups', runConditions.match === 'any' ? 'Any group' : 'Every group');
+        }
+
+        const profile = window.scriptBuilder.normalizeDetectionProfile(config);
+        settings.set('Detection profile', profile.name);
+        Object.entries(window.scriptBuilder.detectionPages).forEach(([page, definition]) => {
+            settings.set(`Detection profile › ${definition.label}`, window.scriptBuilder.describeDetectionChecks(profile[page]).join('\n'));
+        });
+
+        window.scriptBuilder.normalizeTargets(config).forEach((target, targetIndex) => {
+            const prefix = `Target ${targetIndex + 1}`;
+            settings.set(`${prefix} › Selector type`, target.selectorType);
+            settings.set(`${prefix} › Selector`, target.targetSelector);
+            settings.set(`${prefix} › Fallback selectors`, target.fallbackSelectors.join('\n'));
+            settings.set(`${prefix} › Wait for element`, target.waitForElement);
+            settings.set(`${prefix} › Apply to all matches`, !!target.multipleElements);
+
+            target.actions.forEach((action, actionIndex) => {
+                const step = `${prefix} › Step ${actionIndex + 1}`;
+                settings.set(`${step} › Action`, action.actionType);
+                Object.keys(action.actionOptions).forEach(option => {
+                    settings.set(`${step} › ${option}`, action.actionOptions[option]);
+                });
+            });
+        });
+
+        return settings;
+    }
+
+    /**
+     * Diff two configs into changed settings and features turned on or off
+     */
+    diffConfigs(before, after) {
+        const beforeSettings = this.flattenConfig(before);
+        const afterSettings = this.flattenConfig(after);
+        const labels = [...new Set([...beforeSettings.keys(), ...afterSettings.keys()])];
+
+        const changes = labels
+            .filter(label => JSON.stringify(beforeSettings.get(label)) !== JSON.stringify(afterSettings.get(label)))
+            .map(label => ({
+                label,
+                before: beforeSettings.get(label),
+                after: afterSettings.get(label)
+            }));
+
+        const beforeFeatures = before.features || {};
+        const afterFeatures = after.features || {};
+        const features = [...new Set([...Object.keys(beforeFeatures), ...Object.keys(afterFeatures)])];
+
+        return {
+            changes,
+            featuresOn: features.filter(feature => afterFeatures[feature] && !beforeFeatures[feature]),
+            featuresOff: features.filter(feature => beforeFeatures[feature] && !afterFeatures[feature])
+        };
+    }
+
+    /**
+     * Format a setting value for display
+     */
+    formatValue(value) {
+        if (value === undefined) return '(not set)';
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (value === '') return '(empty)';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Render the config diff table and feature changes
+     */
+    renderConfigDiff({ changes, featuresOn, featuresOff }) {
+        const container = document.getElementById('compareConfig');
+        const builder = window.scriptBuilder;
+        const featureList = (features) => features.map(feature => escapeHTML(builder.getFeatureLabel(feature))).join(', ');
+
+        if (changes.length === 0 && featuresOn.length === 0 && featuresOff.length === 0) {
+            container.innerHTML = '<p class="compare-empty">The configurations are identical.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            ${featuresOn.length > 0 ? `<div class="compare-features on"><i class="fas fa-toggle-on"></i> Turned on: ${featureList(featuresOn)}</div>` : ''}
+            ${featuresOff.length > 0 ? `<div class="compare-features off"><i class="fas fa-toggle-off"></i> Turned off: ${featureList(featuresOff)}</div>` : ''}
+            ${changes.length > 0 ? `
+                <table class="compare-table">
+                    <thead>
+                        <tr><th>Setting</th><th>Before</th><th>After</th></tr>
+                    </thead>
+                    <tbody>
+                        ${changes.map(change => `
+                            <tr>
+                                <td>${escapeHTML(change.label)}</td>
+                                <td class="removed">${escapeHTML(this.formatValue(change.before))}</td>
+                                <td class="added">${escapeHTML(this.formatValue(change.after))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Pair a line diff into side-by-side rows: runs of removed lines are
+     * lined up with the added lines that replace them. Unchanged lines away
+     * from any change are folded into gap rows.
+     */
+    buildRows(lines) {
+        const rows = [];
+        let beforeLine = 0;
+        let afterLine = 0;
+        let index = 0;
+
+        while (index < lines.length) {
+            if (lines[index].type === 'same') {
+                beforeLine++;
+                afterLine++;
+                rows.push({ type: 'same', before: { number: beforeLine, text: lines[index].text }, after: { number: afterLine, text: lines[index].text } });
+                index++;
+                continue;
+            }
+
+            const removed = [];
+            const added = [];
+            while (index < lines.length && lines[index].type !== 'same') {
+                if (lines[index].type === 'removed') {
+                    removed.push({ number: ++beforeLine, text: lines[index].text });
+                } else {
+                    added.push({ number: ++afterLine, text: lines[index].text });
+                }
+                index++;
+            }
+
+            for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+                rows.push({ type: 'changed', before: removed[i] || null, after: added[i] || null });
+            }
+        }
+
+        // Keep context around changes and fold the rest
+        const keep = rows.map(() => false);
+        rows.forEach((row, rowIndex) => {
+            if (row.type === 'same') return;
+            for (let i = Math.max(0, rowIndex - this.contextLines); i <= Math.min(rows.length - 1, rowIndex + this.contextLines); i++) {
+                keep[i] = true;
+            }
+        });
+
+        const visible = [];
+        let folded = 0;
+        rows.forEach((row, rowIndex) => {
+            if (keep[rowIndex]) {
+                if (folded > 0) {
+                    visible.push({ type: 'gap', count: folded });
+                    folded = 0;
+                }
+                visible.push(row);
+            } else {
+                folded++;
+            }
+        });
+        if (folded > 0 && visible.length > 0) {
+            visible.push({ type: 'gap', count: folded });
+        }
+
+        return visible;
+    }
+
+    /**
+     * Render the side-by-side code diff
+     */
+    renderCodeDiff(rows) {
+        const container = document.getElementById('compareCode');
+
+        if (rows.length === 0) {
+            container.innerHTML = '<p class="compare-empty">The generated code is identical.</p>';
+            return;
+        }
+
+        const cell = (line, type) => line ?
+            `<td class="diff-number">${line.number}</td><td class="diff-text ${type}">${escapeHTML(line.text)}</td>` :
+            '<td class="diff-number"></td><td class="diff-text empty"></td>';
+
+        container.innerHTML = `
+            <table class="diff-table">
+                <colgroup>
+                    <col class="diff-number-col"><col><col class="diff-number-col"><col>
+                </colgroup>
+                <tbody>
+                    ${rows.map(row => {
+                        if (row.type === 'gap') {
+                            return `<tr class="diff-gap"><td colspan="4">… ${row.count} unchanged line${row.count === 1 ? '' : 's'}</td></tr>`;
+                        }
+                        return `<tr>${cell(row.before, row.type === 'changed' ? 'removed' : '')}${cell(row.after, row.type === 'changed' ? 'added' : '')}</tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+}
+
+// Export as global
+window.historyCompare = new HistoryCompare();
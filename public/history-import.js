@@ -0,0 +1,183 @@
+/**
+ * History Import Module
+ *
+ * Imports a history export into the history modal. The file is validated and
+ * matched against the saved scripts first; the preview lists what will be
+ * added and lets each conflict (same ID, or identical code) be skipped,
+ * overwritten or kept as a new copy.
+ */
+
+class HistoryImport {
+    constructor() {
+        this.fileContent = null;
+        this.fileName = '';
+        this.entries = [];
+    }
+
+    /**
+     * Bind the import controls
+     */
+    init() {
+        document.getElementById('historyImportFile').addEventListener('change', (e) => this.loadFile(e));
+        document.getElementById('confirmImport').addEventListener('click', () => this.confirm());
+        document.getElementById('cancelImport').addEventListener('click', () => this.close());
+        document.getElementById('closeImportModal').addEventListener('click', () => this.close());
+
+        // Apply one resolution to every conflict
+        document.getElementById('importResolveAll').addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            document.querySelectorAll('#importConflicts [data-import-key]').forEach(select => {
+                select.value = e.target.value;
+            });
+            e.target.value = '';
+        });
+    }
+
+    /**
+     * Read an export file and preview it
+     */
+    async loadFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const fileContent = await file.text();
+
+            // A single configuration export restores into the editor instead
+            if (this.isConfigExport(fileContent)) {
+                if (window.importConfig(fileContent)) {
+                    modalManager.closeModal('historyModal');
+                }
+                return;
+            }
+
+            const importData = window.historyManager.parseImport(fileContent);
+
+            if (importData.scripts.length === 0) {
+                showToast('The file has no scripts to import', 'warning');
+                return;
+            }
+
+            this.fileContent = fileContent;
+            this.fileName = file.name;
+            this.entries = await window.historyManager.planImport(importData);
+            this.render(importData);
+            modalManager.openModal('importModal');
+        } catch (error) {
+            console.error('Failed to read history export:', error);
+            showToast(error.message || 'Failed to read the history file', 'error');
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    /**
+     * Check if a file is a configuration export rather than a history export
+     */
+    isConfigExport(fileContent) {
+        try {
+            const data = JSON.parse(fileContent);
+            return !!(data && data.config && !data.scripts);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Render the summary, the new scripts and the conflicts
+     */
+    render(importData) {
+        const added = this.entries.filter(entry => !entry.conflict);
+        const conflicts = this.entries.filter(entry => entry.conflict);
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+        document.getElementById('importSummary').innerHTML = `
+            <strong>${escapeHTML(this.fileName)}</strong>
+            (version ${escapeHTML(String(importData.version))}${importData.exportDate ? `, exported ${escapeHTML(new Date(importData.exportDate).toLocaleString())}` : ''}):
+            ${plural(this.entries.length, 'script')}, ${added.length} new, ${plural(conflicts.length, 'conflict')}.
+            ${importData.invalid > 0 ? `<span class="import-invalid">${importData.invalid} ${importData.invalid === 1 ? 'entry has' : 'entries have'} no code and will be ignored.</span>` : ''}
+        `;
+
+        document.getElementById('importNew').innerHTML = added.length > 0 ?
+            `<ul class="import-list">${added.map(entry => `<li>${this.describeScript(entry.script)}</li>`).join('')}</ul>` :
+            '<p class="compare-empty">Every script in the file is already in your history.</p>';
+
+        document.getElementById('importConflictSection').style.display = conflicts.length > 0 ? 'block' : 'none';
+        document.getElementById('importConflicts').innerHTML = conflicts.map(entry => `
+            <tr>
+                <td>${this.describeScript(entry.script)}</td>
+                <td>${this.describeConflict(entry.conflict)}</td>
+                <td>
+                    <select data-import-key="${entry.key}">
+                        <option value="skip">Skip</option>
+                        <option value="overwrite">Overwrite</option>
+                        <option value="keep">Keep both</option>
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Describe a script by name, version and date
+     */
+    describeScript(script) {
+        const version = window.historyManager.getVersionNumber(script);
+        const date = script.timestamp ? ` · ${escapeHTML(new Date(script.timestamp).toLocaleString())}` : '';
+        return `<strong>${escapeHTML(script.name || 'Untitled Script')}</strong> <span class="version-badge">V${escapeHTML(version)}</span>${date}`;
+    }
+
+    /**
+     * Describe what an imported script conflicts with
+     */
+    describeConflict(conflict) {
+        const name = escapeHTML(conflict.existing.name || 'Untitled Script');
+        const version = window.historyManager.getVersionNumber(conflict.existing);
+
+        if (conflict.type === 'id') {
+            return conflict.sameCode ?
+                `Already in history as "${name}" V${version}` :
+                `Same ID as "${name}" V${version}, with different code`;
+        }
+        return `Same code as "${name}" V${version}`;
+    }
+
+    /**
+     * Import with the chosen resolutions
+     */
+    async confirm() {
+        if (!this.fileContent) return;
+
+        const resolutions = {};
+        document.querySelectorAll('#importConflicts [data-import-key]').forEach(select => {
+            resolutions[select.dataset.importKey] = select.value;
+        });
+
+        try {
+            const result = await window.historyManager.importHistory(this.fileContent, resolutions);
+            this.close();
+            refreshHistoryList();
+            window.historyManager.updateHistoryCount();
+
+            const parts = [`${result.added} added`];
+            if (result.overwritten > 0) parts.push(`${result.overwritten} overwritten`);
+            if (result.skipped > 0) parts.push(`${result.skipped} skipped`);
+            showToast(`History imported: ${parts.join(', ')}`, 'success');
+        } catch (error) {
+            showToast(error.message || 'Failed to import history', 'error');
+        }
+    }
+
+    /**
+     * Close the preview and forget the file
+     */
+    close() {
+        this.fileContent = null;
+        this.fileName = '';
+        this.entries = [];
+        modalManager.closeModal('importModal');
+    }
+}
+
+// Export as global
+window.historyImport = new HistoryImport();
@@ -0,0 +1,496 @@
+/**
+ * History List Module
+ *
+ * Renders the history modal's list. Without a search or filter, scripts are
+ * read a page at a time with a cursor over the sort index, and the next page
+ * loads as the list scrolls to its end; searches come from the in-memory
+ * search index. Either way only the rows near the viewport are in the DOM.
+ * Rows are lineages, so bulk selection, delete, export and tagging apply to
+ * every version of the selected scripts.
+ */
+
+class HistoryListView {
+    constructor() {
+        this.pageSize = 50;
+        this.estimatedRowHeight = 180;
+        this.rowGap = 16;
+        this.overscan = 5;
+
+        this.rows = [];
+        this.heights = new Map();
+        this.offsets = [0];
+        this.renderedRange = null;
+
+        this.cursor = null;
+        this.hasMore = false;
+        this.loading = null;
+        this.seenLineages = new Set();
+        this.generation = 0;
+        this.viewKey = '';
+
+        this.selected = new Set();
+        this.filtersStale = true;
+        this.frame = null;
+    }
+
+    /**
+     * Bind scrolling, selection and the bulk actions
+     */
+    init() {
+        this.container = document.getElementById('historyList');
+
+        this.container.addEventListener('scroll', () => this.scheduleRender());
+        // Expanding a version chain changes the row height
+        this.container.addEventListener('toggle', () => this.scheduleRender(true), true);
+        this.container.addEventListener('change', (e) => {
+            if (e.target.matches('.history-select')) {
+                this.toggleSelection(e.target.dataset.selectId, e.target.checked);
+            }
+        });
+
+        document.getElementById('historySelectAll').addEventListener('change', (e) => this.selectAll(e.target.checked));
+        document.getElementById('bulkDelete').addEventListener('click', () => this.deleteSelected());
+        document.getElementById('bulkExport').addEventListener('click', () => this.exportSelected());
+        document.getElementById('bulkZip').addEventListener('click', () => this.exportSelectedZip());
+        document.getElementById('bulkExtension').addEventListener('click', () => this.exportSelectedExtension());
+        document.getElementById('bulkTag').addEventListener('click', () => this.tagSelected());
+        document.getElementById('bulkClear').addEventListener('click', () => this.clearSelection());
+
+        // Saves and edits can add or remove dealer IDs, environments and tags
+        const history = window.historyManager;
+        ['scriptAdded', 'scriptUpdated', 'historyImported'].forEach(event => {
+            history.on(event, () => this.refreshFilters());
+        });
+        history.on('scriptDeleted', () => {
+            this.refreshFilters();
+            this.pruneSelection();
+        });
+        history.on('historyCleared', () => {
+            this.refreshFilters();
+            this.clearSelection();
+        });
+    }
+
+    /**
+     * Rebuild the filter options from the saved scripts
+     */
+    async refreshFilters() {
+        this.filtersStale = false;
+        try {
+            await refreshHistoryFilters();
+        } catch (error) {
+            this.filtersStale = true;
+            console.error('Failed to refresh history filters:', error);
+        }
+    }
+
+    /**
+     * Reload the filter options on the next refresh, e.g. when the modal opens
+     */
+    invalidate() {
+        this.filtersStale = true;
+    }
+
+    /**
+     * Reload the list for the current search, filters and sort. The scroll
+     * position is kept when only the data changed.
+     */
+    async refresh() {
+        const generation = ++this.generation;
+        const query = getInputValue('historySearch').trim();
+        const filters = {
+            dealerId: getInputValue('historyDealerFilter'),
+            environment: getInputValue('historyEnvironmentFilter'),
+            tag: getInputValue('historyTagFilter')
+        };
+        const sortBy = getInputValue('historySort') || 'date-desc';
+
+        if (this.filtersStale) {
+            await this.refreshFilters();
+        }
+
+        const viewKey = JSON.stringify([query, filters, sortBy]);
+        const viewChanged = viewKey !== this.viewKey;
+        const loadedRows = viewChanged ? 0 : this.rows.length;
+        this.viewKey = viewKey;
+
+        let rows;
+        let cursor = null;
+        let hasMore = false;
+        const seenLineages = new Set();
+
+        if (query || filters.dealerId || filters.environment || filters.tag) {
+            const results = await window.historySearch.search(query, filters);
+            const resultsById = new Map(results.map(result => [result.script.id, result]));
+            const scripts = window.historyManager.sortScripts(results.map(result => result.script), sortBy);
+            const allScripts = await window.historySearch.getAllScripts();
+
+            rows = window.historyManager.groupByLineage(scripts, allScripts).map(({ script, versions }) => ({
+                key: window.historyManager.getLineageId(script),
+                script,
+                versions,
+                searchResult: resultsById.get(script.id)
+            }));
+        } else {
+            // Page in at least as many rows as were loaded before
+            rows = [];
+            do {
+                const page = await this.loadPage(sortBy, cursor, seenLineages);
+                rows.push(...page.rows);
+                cursor = page.next;
+                hasMore = !!cursor;
+            } while (hasMore && rows.length < Math.max(loadedRows, this.pageSize));
+        }
+
+        // A newer refresh started while this one was loading
+        if (generation !== this.generation) return;
+
+        this.rows = rows;
+        this.cursor = cursor;
+        this.hasMore = hasMore;
+        this.seenLineages = seenLineages;
+        this.loading = null;
+
+        if (viewChanged) {
+            this.container.scrollTop = 0;
+        }
+        this.layout();
+        this.render(true);
+    }
+
+    /**
+     * Read one page of scripts and turn the lineages not seen yet into rows
+     */
+    async loadPage(sortBy, after, seenLineages) {
+        const history = window.historyManager;
+        const page = await history.getScriptsPage({ sortBy, after, limit: this.pageSize });
+
+        const lineageIds = [];
+        page.records.forEach(script => {
+            const lineageId = history.getLineageId(script);
+            if (!seenLineages.has(lineageId)) {
+                seenLineages.add(lineageId);
+                lineageIds.push(lineageId);
+            }
+        });
+
+        // Each row shows the newest version of its lineage
+        const rows = await Promise.all(lineageIds.map(async lineageId => {
+            const versions = await history.getLineage(lineageId);
+            return { key: lineageId, script: versions[versions.length - 1], versions, searchResult: null };
+        }));
+
+        return { rows: rows.filter(row => row.script), next: page.next };
+    }
+
+    /**
+     * Load the next page when the list is scrolled near its end
+     */
+    loadMore() {
+        if (!this.hasMore || this.loading) return this.loading;
+
+        const generation = this.generation;
+        const sortBy = getInputValue('historySort') || 'date-desc';
+
+        this.loading = this.loadPage(sortBy, this.cursor, this.seenLineages).then(page => {
+            if (generation !== this.generation) return;
+
+            this.rows.push(...page.rows);
+            this.cursor = page.next;
+            this.hasMore = !!page.next;
+            this.loading = null;
+            this.layout();
+            this.render(true);
+        }).catch(error => {
+            this.loading = null;
+            console.error('Failed to load more history:', error);
+            showToast('Failed to load more history', 'error');
+        });
+
+        return this.loading;
+    }
+
+    /**
+     * Recompute the row offsets from the measured (or estimated) heights
+     */
+    layout() {
+        this.offsets = [0];
+        this.rows.forEach((row, index) => {
+            this.offsets.push(this.offsets[index] + (this.heights.get(row.key) || this.estimatedRowHeight));
+        });
+    }
+
+    /**
+     * Find the row at a scroll offset
+     */
+    findRow(offset) {
+        let low = 0;
+        let high = this.rows.length - 1;
+
+        while (low < high) {
+            const middle = Math.floor((low + high + 1) / 2);
+            if (this.offsets[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return Math.max(0, low);
+    }
+
+    /**
+     * Render on the next frame, once per frame
+     */
+    scheduleRender(measure = false) {
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            if (measure && this.measure()) {
+                this.layout();
+            }
+            this.render(measure);
+        });
+    }
+
+    /**
+     * Render the rows near the viewport between two spacers
+     */
+    render(force = false) {
+        const historyEmpty = document.getElementById('historyEmpty');
+
+        if (this.rows.length === 0) {
+            this.container.style.display = 'none';
+            this.container.innerHTML = '';
+            this.renderedRange = null;
+            if (historyEmpty) historyEmpty.style.display = 'block';
+            this.updateSelectionUI();
+            return;
+        }
+
+        this.container.style.display = 'block';
+        if (historyEmpty) historyEmpty.style.display = 'none';
+
+        const viewport = this.container.clientHeight || 500;
+        const scrollTop = this.container.scrollTop;
+        const start = Math.max(0, this.findRow(scrollTop) - this.overscan);
+        const end = Math.min(this.rows.length, this.findRow(scrollTop + viewport) + this.overscan + 1);
+
+        if (!force && this.renderedRange && this.renderedRange[0] === start && this.renderedRange[1] === end) {
+            return;
+        }
+        this.renderedRange = [start, end];
+
+        const total = this.offsets[this.rows.length];
+        this.container.innerHTML = `
+            <div class="history-spacer" style="height: ${this.offsets[start]}px"></div>
+            ${this.rows.slice(start, end).map(row => window.historyManager.createHistoryItemHTML(row.script, row.versions, row.searchResult)).join('')}
+            <div class="history-spacer" style="height: ${total - this.offsets[end]}px"></div>
+        `;
+
+        // Replace the estimates with real heights for the rendered rows
+        if (this.measure()) {
+            this.layout();
+            this.scheduleRender(true);
+        }
+
+        this.updateSelectionUI();
+        if (window.historyCompare) {
+            window.historyCompare.updateSelection();
+        }
+
+        if (end >= this.rows.length - this.overscan) {
+            this.loadMore();
+        }
+    }
+
+    /**
+     * Measure the rendered rows; returns true if any height changed
+     */
+    measure() {
+        let changed = false;
+
+        this.container.querySelectorAll('.history-item').forEach(element => {
+            const row = this.rows.find(candidate => candidate.script.id === element.dataset.id);
+            const height = element.offsetHeight;
+            // Detached or hidden lists measure 0; keep the estimate
+            if (!row || !height) return;
+
+            if (this.heights.get(row.key) !== height + this.rowGap) {
+                this.heights.set(row.key, height + this.rowGap);
+                changed = true;
+            }
+        });
+
+        return changed;
+    }
+
+    /**
+     * Select or unselect a row
+     */
+    toggleSelection(key, selected) {
+        if (selected) {
+            this.selected.add(key);
+        } else {
+            this.selected.delete(key);
+        }
+        this.updateSelectionUI();
+    }
+
+    /**
+     * Select or unselect every loaded row
+     */
+    selectAll(selected) {
+        this.rows.forEach(row => this.toggleSelection(row.key, selected));
+    }
+
+    /**
+     * Clear the selection
+     */
+    clearSelection() {
+        this.selected.clear();
+        this.updateSelectionUI();
+    }
+
+    /**
+     * Unselect the lineages that no longer have any versions. Selection keys
+     * are lineage IDs, so deleting one version must not drop its lineage.
+     */
+    async pruneSelection() {
+        try {
+            const lineageIds = Array.from(this.selected);
+            const lineages = await Promise.all(lineageIds.map(lineageId => window.historyManager.getLineage(lineageId)));
+
+            lineageIds.forEach((lineageId, index) => {
+                if (lineages[index].length === 0) {
+                    this.selected.delete(lineageId);
+                }
+            });
+            this.updateSelectionUI();
+        } catch (error) {
+            console.error('Failed to update the history selection:', error);
+        }
+    }
+
+    /**
+     * Reflect the selection in the rows, the select-all box and the bulk bar
+     */
+    updateSelectionUI() {
+        this.container.querySelectorAll('.history-select').forEach(checkbox => {
+            checkbox.checked = this.selected.has(checkbox.dataset.selectId);
+            checkbox.closest('.history-item').classList.toggle('selected', checkbox.checked);
+        });
+
+        const selectAll = document.getElementById('historySelectAll');
+        const selectedRows = this.rows.filter(row => this.selected.has(row.key)).length;
+        selectAll.checked = this.rows.length > 0 && selectedRows === this.rows.length;
+        selectAll.indeterminate = selectedRows > 0 && selectedRows < this.rows.length;
+
+        document.getElementById('bulkBar').style.display = this.selected.size > 0 ? 'flex' : 'none';
+        document.getElementById('bulkStatus').textContent = `${this.selected.size} script${this.selected.size === 1 ? '' : 's'} selected`;
+    }
+
+    /**
+     * Get every version of the selected lineages
+     */
+    async getSelectedScripts() {
+        const lineages = await Promise.all(Array.from(this.selected, lineageId => window.historyManager.getLineage(lineageId)));
+        return lineages.flat();
+    }
+
+    /**
+     * Delete the selected scripts and all their versions
+     */
+    async deleteSelected() {
+        try {
+            const scripts = await this.getSelectedScripts();
+            if (scripts.length === 0) return;
+
+            const versions = scripts.length > this.selected.size ? ` (${scripts.length} versions)` : '';
+            if (!confirm(`Are you sure you want to delete ${this.selected.size} selected script${this.selected.size === 1 ? '' : 's'}${versions}? This cannot be undone.`)) {
+                return;
+            }
+
+            await window.historyManager.deleteScripts(scripts.map(script => script.id));
+            this.clearSelection();
+            refreshHistoryList();
+            showToast(`Deleted ${scripts.length} script${scripts.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Failed to delete scripts:', error);
+            showToast('Failed to delete the selected scripts', 'error');
+        }
+    }
+
+    /**
+     * Export the selected scripts and all their versions
+     */
+    async exportSelected() {
+        try {
+            const scripts = await this.getSelectedScripts();
+            if (scripts.length === 0) return;
+
+            window.historyManager.exportScripts(scripts);
+            showToast(`Exported ${scripts.length} script${scripts.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Failed to export scripts:', error);
+            showToast('Failed to export the selected scripts', 'error');
+        }
+    }
+
+    /**
+     * Download the selected scripts and all their versions as a zip of
+     * script files, configs and a manifest
+     */
+    async exportSelectedZip() {
+        try {
+            const scripts = await this.getSelectedScripts();
+            if (scripts.length === 0) return;
+
+            window.historyManager.exportScriptsZip(scripts);
+            showToast(`Zipped ${scripts.length} script${scripts.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Failed to zip scripts:', error);
+            showToast('Failed to zip the selected scripts', 'error');
+        }
+    }
+
+    /**
+     * Preview the selected scripts as a Chrome extension
+     */
+    async exportSelectedExtension() {
+        try {
+            const scripts = await this.getSelectedScripts();
+            if (scripts.length === 0) return;
+
+            window.extensionExport.open(scripts);
+        } catch (error) {
+            console.error('Failed to package scripts:', error);
+            showToast('Failed to package the selected scripts', 'error');
+        }
+    }
+
+    /**
+     * Add the tag in the bulk bar to the selected scripts and their versions
+     */
+    async tagSelected() {
+        const tag = getInputValue('bulkTagInput').trim();
+        if (!tag) {
+            showToast('Enter a tag to add', 'warning');
+            return;
+        }
+
+        try {
+            const scripts = await this.getSelectedScripts();
+            const updated = await window.historyManager.addTag(scripts.map(script => script.id), tag);
+            setInputValue('bulkTagInput', '');
+            refreshHistoryList();
+            showToast(`Tagged ${updated} script${updated === 1 ? '' : 's'} "${tag.toLowerCase()}"`, 'success');
+        } catch (error) {
+            console.error('Failed to tag scripts:', error);
+            showToast('Failed to tag the selected scripts', 'error');
+        }
+    }
+}
+
+// Export as global
+window.historyListView = new HistoryListView();
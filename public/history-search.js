@@ -0,0 +1,328 @@
+/**
+ * History Search Module
+ *
+ * Searches saved scripts by name, description, metadata, generated code and
+ * configuration. Queries are free text plus field terms:
+ *
+ *   action:insert-widget -feature:spaFriendly selector:.vehicle-price dealer:1234
+ *
+ * Terms are combined with AND, a leading "-" excludes matches and quotes keep
+ * spaces in a value. The index is built from the store once and then kept up
+ * to date from history events, so typing never reads the store.
+ */
+
+class HistorySearch {
+    constructor() {
+        // Query field → entry property
+        this.fields = {
+            action: 'actions',
+            feature: 'features',
+            selector: 'selectors',
+            dealer: 'dealer',
+            env: 'environment',
+            environment: 'environment',
+            tag: 'tags',
+            ticket: 'ticket',
+            name: 'name',
+            code: 'code'
+        };
+        // Fields with few distinct values get an inverted index
+        this.postingFields = ['actions', 'features', 'dealer', 'environment', 'tags'];
+        this.textFields = ['name', 'description', 'dealer', 'ticket', 'tags', 'actions', 'selectors', 'config', 'code'];
+        this.maxSnippets = 3;
+        this.snippetContext = 40;
+
+        this.entries = new Map();
+        this.postings = new Map(this.postingFields.map(field => [field, new Map()]));
+        this.buildPromise = null;
+        this.deletedWhileBuilding = new Set();
+    }
+
+    /**
+     * Keep the index in step with the history
+     */
+    init() {
+        const history = window.historyManager;
+        history.on('scriptAdded', (script) => this.addScript(script));
+        history.on('scriptUpdated', (script) => this.addScript(script));
+        history.on('scriptDeleted', (id) => {
+            this.deletedWhileBuilding.add(id);
+            this.removeScript(id);
+        });
+        history.on('historyCleared', () => this.clear());
+    }
+
+    /**
+     * Build the index from the store unless it is already built
+     */
+    ensureIndex() {
+        if (!this.buildPromise) {
+            this.deletedWhileBuilding.clear();
+            this.buildPromise = window.historyManager.getAllScripts().then(scripts => {
+                scripts
+                    .filter(script => !this.deletedWhileBuilding.has(script.id))
+                    .forEach(script => this.addScript(script));
+            }).catch(error => {
+                this.buildPromise = null;
+                throw error;
+            });
+        }
+
+        return this.buildPromise;
+    }
+
+    /**
+     * Rebuild the index on next use, e.g. to pick up changes from other tabs
+     */
+    invalidate() {
+        this.clear();
+        this.buildPromise = null;
+    }
+
+    /**
+     * Empty the index
+     */
+    clear() {
+        this.entries.clear();
+        this.postings.forEach(values => values.clear());
+    }
+
+    /**
+     * Index a script, replacing any previous copy
+     */
+    addScript(script) {
+        this.removeScript(script.id);
+
+        const entry = this.createEntry(script);
+        this.entries.set(script.id, entry);
+
+        this.postingFields.forEach(field => {
+            const values = this.postings.get(field);
+            [].concat(entry[field]).filter(value => value).forEach(value => {
+                if (!values.has(value)) {
+                    values.set(value, new Set());
+                }
+                values.get(value).add(script.id);
+            });
+        });
+    }
+
+    /**
+     * Remove a script from the index
+     */
+    removeScript(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        this.postingFields.forEach(field => {
+            const values = this.postings.get(field);
+            [].concat(entry[field]).filter(value => value).forEach(value => {
+                const ids = values.get(value);
+                if (!ids) return;
+                ids.delete(id);
+                if (ids.size === 0) {
+                    values.delete(value);
+                }
+            });
+        });
+        this.entries.delete(id);
+    }
+
+    /**
+     * Extract the searchable fields of a script
+     */
+    createEntry(script) {
+        const builder = window.scriptBuilder;
+        const config = script.config || {};
+        const targets = builder.normalizeTargets(config);
+
+        const actions = new Set(script.actionType ? [script.actionType] : []);
+        targets.forEach(target => target.actions.forEach(action => {
+            if (action.actionType) actions.add(action.actionType);
+        }));
+
+        const features = new Set();
+        (script.features || []).forEach(feature => {
+            features.add(feature);
+            features.add(builder.getFeatureLabel(feature));
+        });
+
+        // Labelled config settings, e.g. "Target 1 › Step 1 › className: promo"
+        const settings = [];
+        window.historyCompare.flattenConfig(config).forEach((value, label) => {
+            if (typeof value === 'string' && value) {
+                settings.push(`${label}: ${value}`);
+            }
+        });
+
+        return {
+            script,
+            name: script.name || '',
+            description: script.description || '',
+            dealer: script.dealerId || '',
+            environment: script.environment || '',
+            ticket: script.ticket || '',
+            tags: script.tags || [],
+            actions: Array.from(actions),
+            features: Array.from(features),
+            selectors: targets.flatMap(target => [target.targetSelector, ...target.fallbackSelectors]).filter(selector => selector),
+            config: settings,
+            code: script.code || ''
+        };
+    }
+
+    /**
+     * Parse a query into terms: { field, value, negate }. field is null for
+     * free text. Unknown prefixes such as "https:" stay free text.
+     */
+    parseQuery(query) {
+        const tokens = (query || '').match(/-?(?:[^\s"]*"[^"]*"?|\S+)/g) || [];
+
+        return tokens.map(token => {
+            const negate = token.length > 1 && token.startsWith('-');
+            let text = negate ? token.slice(1) : token;
+            let field = null;
+
+            const prefix = /^([a-z]+):/i.exec(text);
+            if (prefix && this.fields[prefix[1].toLowerCase()]) {
+                field = this.fields[prefix[1].toLowerCase()];
+                text = text.slice(prefix[0].length);
+            }
+
+            return { field, value: text.replace(/"/g, '').trim().toLowerCase(), negate };
+        }).filter(term => term.value); // Skip half-typed terms such as "action:"
+    }
+
+    /**
+     * Get the values of an entry field that contain a term
+     */
+    findMatches(entry, field, value) {
+        return [].concat(entry[field])
+            .filter(text => text && String(text).toLowerCase().includes(value));
+    }
+
+    /**
+     * Check if an entry matches one term
+     */
+    matchesTerm(entry, term) {
+        const fields = term.field ? [term.field] : this.textFields;
+        return fields.some(field => this.findMatches(entry, field, term.value).length > 0);
+    }
+
+    /**
+     * Get the IDs of scripts with an indexed value containing a term
+     */
+    lookup(field, value) {
+        const ids = new Set();
+        this.postings.get(field).forEach((valueIds, indexedValue) => {
+            if (String(indexedValue).toLowerCase().includes(value)) {
+                valueIds.forEach(id => ids.add(id));
+            }
+        });
+        return ids;
+    }
+
+    /**
+     * Search the history. filters ({ dealerId, environment, tag }) must match
+     * exactly, like the history filter dropdowns. Resolves with
+     * [{ script, terms, snippets }].
+     */
+    async search(query, filters = {}) {
+        await this.ensureIndex();
+
+        const terms = this.parseQuery(query);
+        let candidates = null;
+        const narrow = (ids) => {
+            candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+        };
+
+        // Narrow with the inverted index first, then check every term per entry
+        [['dealer', filters.dealerId], ['environment', filters.environment], ['tags', filters.tag]]
+            .filter(([, value]) => value)
+            .forEach(([field, value]) => narrow(this.postings.get(field).get(value) || new Set()));
+
+        terms
+            .filter(term => !term.negate && this.postingFields.includes(term.field))
+            .forEach(term => narrow(this.lookup(term.field, term.value)));
+
+        const ids = candidates ? Array.from(candidates) : Array.from(this.entries.keys());
+
+        return ids
+            .map(id => this.entries.get(id))
+            .filter(entry => entry && terms.every(term => this.matchesTerm(entry, term) !== term.negate))
+            .map(entry => ({
+                script: entry.script,
+                terms: terms.filter(term => !term.negate).map(term => term.value),
+                snippets: this.getSnippets(entry, terms)
+            }));
+    }
+
+    /**
+     * Describe where the terms matched outside the name and description,
+     * which are highlighted in place
+     */
+    getSnippets(entry, terms) {
+        const snippets = [];
+        const labels = {
+            dealer: 'Dealer',
+            ticket: 'Ticket',
+            tags: 'Tag',
+            actions: 'Action',
+            features: 'Feature',
+            selectors: 'Selector',
+            config: 'Config'
+        };
+
+        terms.filter(term => !term.negate).forEach(term => {
+            if (snippets.length >= this.maxSnippets) return;
+
+            const fields = term.field ? [term.field] : this.textFields;
+            if (!term.field && this.findMatches(entry, 'name', term.value).length + this.findMatches(entry, 'description', term.value).length > 0) {
+                return;
+            }
+
+            for (const field of fields) {
+                if (field === 'name' || field === 'description') continue;
+
+                if (field === 'code') {
+                    const lines = entry.code.split('\n');
+                    const lineIndex = lines.findIndex(line => line.toLowerCase().includes(term.value));
+                    if (lineIndex !== -1) {
+                        snippets.push({ label: `Code line ${lineIndex + 1}`, text: this.trimAround(lines[lineIndex].trim(), term.value), term: term.value });
+                        break;
+                    }
+                    continue;
+                }
+
+                const [value] = this.findMatches(entry, field, term.value);
+                if (value) {
+                    snippets.push({ label: labels[field], text: this.trimAround(String(value), term.value), term: term.value });
+                    break;
+                }
+            }
+        });
+
+        return snippets;
+    }
+
+    /**
+     * Shorten text to the context around the first occurrence of a term
+     */
+    trimAround(text, term) {
+        const index = text.toLowerCase().indexOf(term);
+        const start = Math.max(0, index - this.snippetContext);
+        const end = Math.min(text.length, index + term.length + this.snippetContext);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Get every indexed script
+     */
+    async getAllScripts() {
+        await this.ensureIndex();
+        return Array.from(this.entries.values(), entry => entry.script);
+    }
+}
+
+// Export as global
+window.historySearch = new HistorySearch();
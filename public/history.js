@@ -2,75 +2,62 @@
  * History Management Module
  * 
  * Handles storage and retrieval of generated scripts using IndexedDB for robust
- * persistent storage. Provides full CRUD operations, search, sorting, and export
+ * persistent storage, falling back to localStorage or memory when IndexedDB is
+ * unavailable. Provides full CRUD operations, search, sorting, and export
  * functionality for script generation history.
  */
 
 class ScriptHistoryManager {
     constructor() {
-        this.dbName = 'ScriptBuilderHistory';
-        this.dbVersion = 1;
         this.storeName = 'scripts';
-        this.db = null;
+        this.templatesStoreName = 'templates';
+        this.snapshotsStoreName = 'snapshots';
+        this.profilesStoreName = 'profiles';
+        this.exportVersion = '1.0';
+        this.storage = null;
+        this.initPromise = null;
         this.isInitialized = false;
         this.listeners = new Map();
         
-        // Initialize IndexedDB
-        this.initDB();
+        // Initialize storage
+        this.initStorage();
     }
 
     /**
-     * Initialize IndexedDB connection
+     * Select and open the storage backend: IndexedDB when available,
+     * otherwise localStorage or memory (see storage-adapters.js)
      */
-    async initDB() {
-        try {
-            return new Promise((resolve, reject) => {
-                const request = indexedDB.open(this.dbName, this.dbVersion);
-
-                request.onerror = () => {
-                    console.error('Failed to open IndexedDB:', request.error);
-                    reject(request.error);
-                };
-
-                request.onsuccess = () => {
-                    this.db = request.result;
-                    this.isInitialized = true;
-                    console.log('IndexedDB initialized successfully');
-                    this.emit('initialized');
-                    resolve(this.db);
-                };
-
-                request.onupgradeneeded = (event) => {
-                    const db = event.target.result;
-                    
-                    // Create object store if it doesn't exist
-                    if (!db.objectStoreNames.contains(this.storeName)) {
-                        const objectStore = db.createObjectStore(this.storeName, { 
-                            keyPath: 'id', 
-                            autoIncrement: false 
-                        });
-                        
-                        // Create indexes for efficient searching
-                        objectStore.createIndex('name', 'name', { unique: false });
-                        objectStore.createIndex('timestamp', 'timestamp', { unique: false });
-                        objectStore.createIndex('actionType', 'actionType', { unique: false });
-                        
-                        console.log('Object store created with indexes');
-                    }
-                };
+    initStorage() {
+        if (!this.initPromise) {
+            this.initPromise = window.storageAdapters.select().then(storage => {
+                this.storage = storage;
+                this.isInitialized = true;
+                console.log(`History storage initialized using ${storage.label}`);
+                this.emit('initialized', storage);
+                return storage;
+            }).catch(error => {
+                console.error('Error initializing history storage:', error);
+                this.initPromise = null;
+                throw error;
             });
-        } catch (error) {
-            console.error('Error initializing IndexedDB:', error);
-            // Fallback to localStorage if IndexedDB fails
-            this.useFallbackStorage = true;
         }
+
+        return this.initPromise;
+    }
+
+    /**
+     * Get the warning to show when history is kept in a reduced-capacity
+     * backend, or an empty string for IndexedDB
+     */
+    getStorageWarning() {
+        return this.storage ? this.storage.warning : '';
     }
 
     /**
      * Generate unique ID for scripts
      */
-    generateId() {
-        return `script_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    generateId(prefix = 'script') {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
     /**
@@ -78,11 +65,13 @@ class ScriptHistoryManager {
      */
     async saveScript(scriptData) {
         if (!this.isInitialized) {
-            await this.initDB();
+            await this.initStorage();
         }
 
+        const id = this.generateId();
+        const versionNumber = Number.isInteger(scriptData.versionNumber) && scriptData.versionNumber > 0 ? scriptData.versionNumber : 1;
         const script = {
-            id: this.generateId(),
+            id,
             name: scriptData.name || 'Untitled Script',
             description: scriptData.description || '',
             code: scriptData.code,
@@ -90,7 +79,16 @@ class ScriptHistoryManager {
             features: scriptData.features || [],
             actionType: scriptData.actionType || '',
             timestamp: Date.now(),
-            version: scriptData.version || 'V1',
+            version: `V${versionNumber}`,
+            // Versions of the same script share a lineage; the first version starts it
+            lineageId: scriptData.lineageId || id,
+            parentId: scriptData.parentId || null,
+            versionNumber,
+            // Metadata, indexed for the history filters
+            dealerId: scriptData.dealerId || '',
+            environment: scriptData.environment || '',
+            tags: Array.isArray(scriptData.tags) ? scriptData.tags : [],
+            ticket: scriptData.ticket || '',
             stats: {
                 lines: (scriptData.code.match(/\n/g) || []).length + 1,
                 size: new Blob([scriptData.code]).size,
@@ -98,23 +96,17 @@ class ScriptHistoryManager {
             }
         };
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.add(script);
-
-            request.onsuccess = () => {
-                console.log('Script saved to history:', script.id);
-                this.emit('scriptAdded', script);
-                this.updateHistoryCount();
-                resolve(script);
-            };
+        try {
+            await this.storage.save(this.storeName, script);
+        } catch (error) {
+            console.error('Error saving script:', error);
+            throw error;
+        }
 
-            request.onerror = () => {
-                console.error('Error saving script:', request.error);
-                reject(request.error);
-            };
-        });
+        console.log('Script saved to history:', script.id);
+        this.emit('scriptAdded', script);
+        this.updateHistoryCount();
+        return script;
     }
 
     /**
@@ -122,24 +114,15 @@ class ScriptHistoryManager {
      */
     async getAllScripts() {
         if (!this.isInitialized) {
-            await this.initDB();
+            await this.initStorage();
         }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readonly');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.getAll();
-
-            request.onsuccess = () => {
-                const scripts = request.result || [];
-                resolve(scripts);
-            };
-
-            request.onerror = () => {
-                console.error('Error fetching scripts:', request.error);
-                reject(request.error);
-            };
-        });
+        try {
+            return await this.storage.getAll(this.storeName);
+        } catch (error) {
+            console.error('Error fetching scripts:', error);
+            throw error;
+        }
     }
 
     /**
@@ -147,23 +130,15 @@ class ScriptHistoryManager {
      */
     async getScript(id) {
         if (!this.isInitialized) {
-            await this.initDB();
+            await this.initStorage();
         }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readonly');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.get(id);
-
-            request.onsuccess = () => {
-                resolve(request.result);
-            };
-
-            request.onerror = () => {
-                console.error('Error fetching script:', request.error);
-                reject(request.error);
-            };
-        });
+        try {
+            return await this.storage.get(this.storeName, id);
+        } catch (error) {
+            console.error('Error fetching script:', error);
+            throw error;
+        }
     }
 
     /**
@@ -171,7 +146,7 @@ class ScriptHistoryManager {
      */
     async updateScript(id, updates) {
         if (!this.isInitialized) {
-            await this.initDB();
+            await this.initStorage();
         }
 
         const script = await this.getScript(id);
@@ -186,22 +161,16 @@ class ScriptHistoryManager {
             lastModified: Date.now()
         };
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.put(updatedScript);
-
-            request.onsuccess = () => {
-                console.log('Script updated:', id);
-                this.emit('scriptUpdated', updatedScript);
-                resolve(updatedScript);
-            };
+        try {
+            await this.storage.update(this.storeName, updatedScript);
+        } catch (error) {
+            console.error('Error updating script:', error);
+            throw error;
+        }
 
-            request.onerror = () => {
-                console.error('Error updating script:', request.error);
-                reject(request.error);
-            };
-        });
+        console.log('Script updated:', id);
+        this.emit('scriptUpdated', updatedScript);
+        return updatedScript;
     }
 
     /**
@@ -209,26 +178,19 @@ class ScriptHistoryManager {
      */
     async deleteScript(id) {
         if (!this.isInitialized) {
-            await this.initDB();
+            await this.initStorage();
         }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.delete(id);
-
-            request.onsuccess = () => {
-                console.log('Script deleted:', id);
-                this.emit('scriptDeleted', id);
-                this.updateHistoryCount();
-                resolve();
-            };
+        try {
+            await this.storage.delete(this.storeName, id);
+        } catch (error) {
+            console.error('Error deleting script:', error);
+            throw error;
+        }
 
-            request.onerror = () => {
-                console.error('Error deleting script:', request.error);
-                reject(request.error);
-            };
-        });
+        console.log('Script deleted:', id);
+        this.emit('scriptDeleted', id);
+        this.updateHistoryCount();
     }
 
     /**
@@ -236,42 +198,411 @@ class ScriptHistoryManager {
      */
     async clearHistory() {
         if (!this.isInitialized) {
-            await this.initDB();
+            await this.initStorage();
         }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.clear();
+        try {
+            await this.storage.clear(this.storeName);
+        } catch (error) {
+            console.error('Error clearing history:', error);
+            throw error;
+        }
 
-            request.onsuccess = () => {
-                console.log('History cleared');
-                this.emit('historyCleared');
-                this.updateHistoryCount();
-                resolve();
-            };
+        console.log('History cleared');
+        this.emit('historyCleared');
+        this.updateHistoryCount();
+    }
 
-            request.onerror = () => {
-                console.error('Error clearing history:', request.error);
-                reject(request.error);
-            };
-        });
+    /**
+     * Delete several scripts, e.g. a bulk selection
+     */
+    async deleteScripts(ids) {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        for (const id of ids) {
+            try {
+                await this.storage.delete(this.storeName, id);
+            } catch (error) {
+                console.error('Error deleting script:', error);
+                throw error;
+            }
+            this.emit('scriptDeleted', id);
+        }
+
+        console.log('Scripts deleted:', ids.length);
+        this.updateHistoryCount();
     }
 
     /**
-     * Search scripts by query
+     * Add a tag to several scripts, keeping their saved configs in step
      */
-    async searchScripts(query) {
-        const allScripts = await this.getAllScripts();
-        const searchTerm = query.toLowerCase();
+    async addTag(ids, tag) {
+        const normalized = String(tag || '').trim().toLowerCase();
+        if (!normalized) return 0;
+
+        let updated = 0;
+        for (const id of ids) {
+            const script = await this.getScript(id);
+            if (!script || (script.tags || []).includes(normalized)) continue;
+
+            const tags = [...(script.tags || []), normalized];
+            const config = script.config || {};
+            await this.updateScript(id, {
+                tags,
+                config: { ...config, metadata: { ...(config.metadata || {}), tags } }
+            });
+            updated++;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Count the saved scripts
+     */
+    async countScripts() {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
 
-        return allScripts.filter(script => {
-            return (
-                script.name.toLowerCase().includes(searchTerm) ||
-                script.description.toLowerCase().includes(searchTerm) ||
-                script.actionType.toLowerCase().includes(searchTerm)
-            );
+        return this.storage.count(this.storeName);
+    }
+
+    /**
+     * Get one page of scripts in sort order. Pass the `next` position of the
+     * previous page as `after` to continue; it is null after the last page.
+     */
+    async getScriptsPage({ sortBy = 'date-desc', after = null, limit = 50 } = {}) {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        const orders = {
+            'date-desc': ['timestamp', 'prev'],
+            'date-asc': ['timestamp', 'next'],
+            'name-asc': ['name', 'next'],
+            'name-desc': ['name', 'prev']
+        };
+        const [indexName, direction] = orders[sortBy] || orders['date-desc'];
+
+        try {
+            return await this.storage.getPage(this.storeName, indexName, { direction, after, limit });
+        } catch (error) {
+            console.error('Error fetching scripts page:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the lineage ID of a script; scripts saved before lineages existed
+     * start their own
+     */
+    getLineageId(script) {
+        return script.lineageId || script.id;
+    }
+
+    /**
+     * Get the version number of a script, parsing the version label of
+     * scripts saved before version numbers existed or with an invalid one
+     */
+    getVersionNumber(script) {
+        if (Number.isInteger(script.versionNumber) && script.versionNumber > 0) return script.versionNumber;
+
+        const match = /^V(\d+)$/i.exec(script.version || '');
+        return match ? parseInt(match[1], 10) : 1;
+    }
+
+    /**
+     * Get every version of a lineage, oldest first
+     */
+    async getLineage(lineageId) {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        const scripts = await this.storage.search(this.storeName, 'lineageId', lineageId);
+
+        return scripts
+            .sort((a, b) => this.getVersionNumber(a) - this.getVersionNumber(b) || a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Get the lineage fields for a new version of a script. The version
+     * number continues from the newest version in the lineage, so branching
+     * off an older version never reuses a number.
+     */
+    async getNextVersion(parentId) {
+        const parent = await this.getScript(parentId);
+        if (!parent) {
+            throw new Error('The script this version is based on no longer exists');
+        }
+
+        const lineageId = this.getLineageId(parent);
+        const versions = await this.getLineage(lineageId);
+
+        return {
+            lineageId,
+            parentId: parent.id,
+            versionNumber: Math.max(...versions.map(script => this.getVersionNumber(script))) + 1
+        };
+    }
+
+    /**
+     * Group scripts by lineage. Each group holds the newest of the given
+     * scripts and every version of its lineage from allScripts.
+     */
+    groupByLineage(scripts, allScripts = scripts) {
+        const versionsByLineage = new Map();
+        allScripts.forEach(script => {
+            const lineageId = this.getLineageId(script);
+            if (!versionsByLineage.has(lineageId)) {
+                versionsByLineage.set(lineageId, []);
+            }
+            versionsByLineage.get(lineageId).push(script);
         });
+
+        const groups = new Map();
+        scripts.forEach(script => {
+            const lineageId = this.getLineageId(script);
+            const group = groups.get(lineageId);
+            if (!group || this.getVersionNumber(script) > this.getVersionNumber(group.script)) {
+                groups.set(lineageId, {
+                    script,
+                    versions: (versionsByLineage.get(lineageId) || [script])
+                        .slice()
+                        .sort((a, b) => this.getVersionNumber(a) - this.getVersionNumber(b) || a.timestamp - b.timestamp)
+                });
+            }
+        });
+
+        // Keep the order of the given scripts
+        return scripts
+            .filter(script => groups.get(this.getLineageId(script)).script === script)
+            .map(script => groups.get(this.getLineageId(script)));
+    }
+
+    /**
+     * Save a configuration template
+     */
+    async saveTemplate(templateData) {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        const template = {
+            id: this.generateId('template'),
+            name: templateData.name || 'Untitled Template',
+            category: templateData.category || 'Custom',
+            description: templateData.description || '',
+            config: templateData.config || {},
+            timestamp: Date.now()
+        };
+
+        try {
+            await this.storage.save(this.templatesStoreName, template);
+        } catch (error) {
+            console.error('Error saving template:', error);
+            throw error;
+        }
+
+        console.log('Template saved:', template.id);
+        this.emit('templateAdded', template);
+        return template;
+    }
+
+    /**
+     * Get all saved configuration templates
+     */
+    async getAllTemplates() {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        try {
+            return await this.storage.getAll(this.templatesStoreName);
+        } catch (error) {
+            console.error('Error fetching templates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a saved configuration template
+     */
+    async deleteTemplate(id) {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        try {
+            await this.storage.delete(this.templatesStoreName, id);
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            throw error;
+        }
+
+        console.log('Template deleted:', id);
+        this.emit('templateDeleted', id);
+    }
+
+    /**
+     * Save an HTML snapshot of a page
+     */
+    async saveSnapshot(snapshotData) {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        const snapshot = {
+            id: this.generateId('snapshot'),
+            name: snapshotData.name || 'Untitled Snapshot',
+            url: snapshotData.url || '',
+            html: snapshotData.html || '',
+            timestamp: Date.now()
+        };
+
+        try {
+            await this.storage.save(this.snapshotsStoreName, snapshot);
+        } catch (error) {
+            console.error('Error saving snapshot:', error);
+            throw error;
+        }
+
+        console.log('Snapshot saved:', snapshot.id);
+        this.emit('snapshotAdded', snapshot);
+        return snapshot;
+    }
+
+    /**
+     * Get all saved HTML snapshots
+     */
+    async getAllSnapshots() {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        try {
+            return await this.storage.getAll(this.snapshotsStoreName);
+        } catch (error) {
+            console.error('Error fetching snapshots:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a saved HTML snapshot by ID
+     */
+    async getSnapshot(id) {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        try {
+            return await this.storage.get(this.snapshotsStoreName, id);
+        } catch (error) {
+            console.error('Error fetching snapshot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a saved HTML snapshot
+     */
+    async deleteSnapshot(id) {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        try {
+            await this.storage.delete(this.snapshotsStoreName, id);
+        } catch (error) {
+            console.error('Error deleting snapshot:', error);
+            throw error;
+        }
+
+        console.log('Snapshot deleted:', id);
+        this.emit('snapshotDeleted', id);
+    }
+
+    /**
+     * Save a page detection profile, replacing the saved profile with the
+     * same ID
+     */
+    async saveProfile(profileData) {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        const profile = {
+            ...profileData,
+            id: profileData.id || this.generateId('profile'),
+            name: profileData.name || 'Untitled Profile',
+            timestamp: Date.now()
+        };
+
+        try {
+            await this.storage.update(this.profilesStoreName, profile);
+        } catch (error) {
+            console.error('Error saving detection profile:', error);
+            throw error;
+        }
+
+        console.log('Detection profile saved:', profile.id);
+        this.emit('profileSaved', profile);
+        return profile;
+    }
+
+    /**
+     * Get all saved page detection profiles
+     */
+    async getAllProfiles() {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        try {
+            return await this.storage.getAll(this.profilesStoreName);
+        } catch (error) {
+            console.error('Error fetching detection profiles:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a saved page detection profile
+     */
+    async deleteProfile(id) {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        try {
+            await this.storage.delete(this.profilesStoreName, id);
+        } catch (error) {
+            console.error('Error deleting detection profile:', error);
+            throw error;
+        }
+
+        console.log('Detection profile deleted:', id);
+        this.emit('profileDeleted', id);
+    }
+
+    /**
+     * Get the distinct non-empty values of an index, e.g. every dealer ID
+     */
+    async getIndexValues(indexName) {
+        if (!this.isInitialized) {
+            await this.initStorage();
+        }
+
+        try {
+            return await this.storage.getIndexValues(this.storeName, indexName);
+        } catch (error) {
+            console.error('Error reading index values:', error);
+            throw error;
+        }
     }
 
     /**
@@ -298,9 +629,15 @@ class ScriptHistoryManager {
      * Export history to JSON
      */
     async exportHistory() {
-        const scripts = await this.getAllScripts();
+        return this.exportScripts(await this.getAllScripts());
+    }
+
+    /**
+     * Export scripts to a JSON file in the history export format
+     */
+    exportScripts(scripts) {
         const exportData = {
-            version: '1.0',
+            version: this.exportVersion,
             exportDate: new Date().toISOString(),
             totalScripts: scripts.length,
             scripts: scripts
@@ -323,29 +660,230 @@ class ScriptHistoryManager {
     }
 
     /**
-     * Import history from JSON
+     * Export scripts as a zip for deployment: <name>.js and <name>.config.json
+     * per script, plus a manifest.json describing each one
+     */
+    exportScriptsZip(scripts) {
+        const zip = window.zipWriter;
+        const usedNames = new Set();
+        const files = [];
+        const manifest = {
+            version: this.exportVersion,
+            exportDate: new Date().toISOString(),
+            totalScripts: scripts.length,
+            scripts: []
+        };
+
+        scripts.forEach(script => {
+            const versionNumber = this.getVersionNumber(script);
+
+            // Versions of one script usually share a name; suffix to keep files apart
+            const base = zip.sanitizeFileName(script.name, 'untitled-script');
+            let name = base;
+            for (let copy = 1; usedNames.has(name.toLowerCase()); copy++) {
+                name = copy === 1 ? `${base} V${versionNumber}` : `${base} V${versionNumber} (${copy})`;
+            }
+            usedNames.add(name.toLowerCase());
+
+            files.push({ name: `${name}.js`, content: script.code || '' });
+            files.push({
+                name: `${name}.config.json`,
+                content: JSON.stringify({ version: '1.0', timestamp: script.timestamp, config: script.config || {} }, null, 2)
+            });
+
+            manifest.scripts.push({
+                file: `${name}.js`,
+                configFile: `${name}.config.json`,
+                id: script.id,
+                name: script.name || '',
+                description: script.description || '',
+                dealerId: script.dealerId || '',
+                environment: script.environment || '',
+                version: `V${versionNumber}`,
+                actionType: script.actionType || '',
+                features: script.features || [],
+                tags: script.tags || [],
+                ticket: script.ticket || '',
+                created: script.timestamp ? new Date(script.timestamp).toISOString() : null
+            });
+        });
+
+        files.push({ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) });
+        downloadFile(`script-export-${Date.now()}.zip`, zip.createZip(files), 'application/zip');
+
+        return manifest;
+    }
+
+    /**
+     * Hash script code (FNV-1a) to find scripts with identical code
      */
-    async importHistory(fileContent) {
+    hashCode(code) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < code.length; i++) {
+            hash ^= code.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Parse and validate a history export. Scripts without code are dropped
+     * and counted in `invalid`.
+     */
+    parseImport(fileContent) {
+        let importData;
         try {
-            const importData = JSON.parse(fileContent);
-            
-            if (!importData.scripts || !Array.isArray(importData.scripts)) {
-                throw new Error('Invalid import file format');
+            importData = JSON.parse(fileContent);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!importData || typeof importData !== 'object' || !importData.version) {
+            throw new Error('The file is not a Script Builder history export (no version)');
+        }
+
+        const major = parseInt(String(importData.version).split('.')[0], 10);
+        const supportedMajor = parseInt(this.exportVersion.split('.')[0], 10);
+        if (major !== supportedMajor) {
+            throw new Error(`History export version ${importData.version} is not supported (expected ${this.exportVersion})`);
+        }
+
+        if (!Array.isArray(importData.scripts)) {
+            throw new Error('Invalid import file format');
+        }
+
+        const scripts = importData.scripts
+            .map(script => this.parseImportedScript(script))
+            .filter(script => script);
+
+        return {
+            version: importData.version,
+            exportDate: importData.exportDate || '',
+            scripts,
+            invalid: importData.scripts.length - scripts.length
+        };
+    }
+
+    /**
+     * Copy the known fields of an imported script, dropping values of the
+     * wrong type. Returns null for a script without code.
+     */
+    parseImportedScript(imported) {
+        if (!imported || typeof imported !== 'object' || typeof imported.code !== 'string') {
+            return null;
+        }
+
+        const script = { code: imported.code };
+        ['id', 'name', 'description', 'actionType', 'version', 'lineageId', 'parentId', 'dealerId', 'environment', 'ticket']
+            .filter(field => typeof imported[field] === 'string')
+            .forEach(field => { script[field] = imported[field]; });
+        ['timestamp', 'lastModified']
+            .filter(field => Number.isFinite(imported[field]))
+            .forEach(field => { script[field] = imported[field]; });
+        ['features', 'tags']
+            .filter(field => Array.isArray(imported[field]))
+            .forEach(field => { script[field] = imported[field].filter(value => typeof value === 'string'); });
+
+        if (Number.isInteger(imported.versionNumber) && imported.versionNumber > 0) {
+            script.versionNumber = imported.versionNumber;
+        }
+        if (imported.config && typeof imported.config === 'object' && !Array.isArray(imported.config)) {
+            script.config = imported.config;
+        }
+        const stats = imported.stats;
+        if (stats && typeof stats === 'object' && ['lines', 'size', 'characters'].every(field => Number.isFinite(stats[field]))) {
+            script.stats = { lines: stats.lines, size: stats.size, characters: stats.characters };
+        }
+
+        return script;
+    }
+
+    /**
+     * Match each imported script against the history. A script conflicts
+     * with an existing one that has the same ID, or otherwise the same code.
+     * Entries are keyed by their position in the file.
+     */
+    async planImport(importData) {
+        const existingScripts = await this.getAllScripts();
+        const byId = new Map(existingScripts.map(script => [script.id, script]));
+        const byHash = new Map();
+        existingScripts.forEach(script => {
+            const hash = this.hashCode(script.code || '');
+            if (!byHash.has(hash)) {
+                byHash.set(hash, []);
             }
+            byHash.get(hash).push(script);
+        });
+
+        return importData.scripts.map((script, key) => {
+            const sameId = script.id ? byId.get(script.id) : null;
+            // Hashes only narrow the search; compare the code to rule out collisions
+            const sameCode = (byHash.get(this.hashCode(script.code)) || []).find(existing => existing.code === script.code);
+            const existing = sameId || sameCode;
+
+            return {
+                key,
+                script,
+                conflict: existing ? {
+                    type: sameId ? 'id' : 'code',
+                    existing,
+                    sameCode: existing.code === script.code
+                } : null
+            };
+        });
+    }
 
-            let imported = 0;
-            for (const script of importData.scripts) {
-                // Generate new IDs to avoid conflicts
-                script.id = this.generateId();
+    /**
+     * Import history from JSON. resolutions maps an entry key from
+     * planImport() to 'skip', 'overwrite' or 'keep' (import as a new copy);
+     * conflicts without a resolution are skipped.
+     */
+    async importHistory(fileContent, resolutions = {}) {
+        try {
+            const entries = await this.planImport(this.parseImport(fileContent));
+
+            // Save parents before their versions so lineage links can be remapped to the new IDs
+            entries.sort((a, b) => this.getVersionNumber(a.script) - this.getVersionNumber(b.script));
+            const newIds = new Map();
+            const result = { added: 0, overwritten: 0, skipped: 0 };
+
+            for (const { key, script: importedScript, conflict } of entries) {
+                const script = { ...importedScript };
+                const oldId = script.id;
+                const resolution = conflict ? (resolutions[key] || 'skip') : 'keep';
+
+                if (resolution === 'skip') {
+                    // Versions of a skipped script attach to the copy already in history
+                    newIds.set(oldId, conflict.existing.id);
+                    result.skipped++;
+                    continue;
+                }
+
+                const lineageId = this.getLineageId(script);
+                script.versionNumber = this.getVersionNumber(script);
+                script.lineageId = lineageId === oldId ? null : (newIds.get(lineageId) || lineageId);
+                script.parentId = script.parentId ? (newIds.get(script.parentId) || null) : null;
                 script.imported = true;
                 script.importDate = Date.now();
-                
-                await this.saveScript(script);
-                imported++;
+
+                if (resolution === 'overwrite') {
+                    const targetId = conflict.existing.id;
+                    await this.updateScript(targetId, {
+                        ...script,
+                        lineageId: script.lineageId || targetId
+                    });
+                    newIds.set(oldId, targetId);
+                    result.overwritten++;
+                } else {
+                    // saveScript generates a new ID to avoid conflicts
+                    const saved = await this.saveScript(script);
+                    newIds.set(oldId, saved.id);
+                    result.added++;
+                }
             }
 
-            this.emit('historyImported', { count: imported });
-            return imported;
+            this.emit('historyImported', result);
+            return result;
         } catch (error) {
             console.error('Error importing history:', error);
             throw error;
@@ -356,8 +894,7 @@ class ScriptHistoryManager {
      * Update history count in UI
      */
     async updateHistoryCount() {
-        const scripts = await this.getAllScripts();
-        const count = scripts.length;
+        const count = await this.countScripts();
         
         const countElement = document.getElementById('historyCount');
         if (countElement) {
@@ -444,25 +981,45 @@ class ScriptHistoryManager {
     }
 
     /**
-     * Create history item HTML
+     * Create history item HTML. A search result ({ terms, snippets }) from
+     * historySearch highlights the matches.
      */
-    createHistoryItemHTML(script) {
+    createHistoryItemHTML(script, versions = [script], searchResult = null) {
         const date = this.formatDate(script.timestamp);
         const size = this.formatFileSize(script.stats?.size || 0);
         const lines = script.stats?.lines || 0;
+        const terms = searchResult ? searchResult.terms : [];
+        const snippets = searchResult ? searchResult.snippets : [];
 
         return `
             <div class="history-item" data-id="${script.id}">
                 <div class="history-item-header">
-                    <div class="history-item-title">${script.name}</div>
+                    <div class="history-item-title">
+                        <input type="checkbox" class="history-select" data-select-id="${escapeHTML(this.getLineageId(script))}" title="Select for bulk actions">
+                        ${highlightText(script.name, terms)}
+                        <span class="version-badge">V${escapeHTML(this.getVersionNumber(script))}</span>
+                    </div>
                     <div class="history-item-date">${date}</div>
                 </div>
                 <div class="history-item-meta">
-                    ${script.actionType ? `<span><i class="fas fa-code"></i> ${script.actionType}</span>` : ''}
+                    ${script.dealerId ? `<span title="Dealer / site ID"><i class="fas fa-store"></i> ${escapeHTML(script.dealerId)}</span>` : ''}
+                    ${script.environment ? `<span class="environment-badge ${escapeHTML(script.environment)}">${escapeHTML(script.environment)}</span>` : ''}
+                    ${script.ticket ? `<span title="Ticket"><i class="fas fa-ticket-alt"></i> ${escapeHTML(script.ticket)}</span>` : ''}
+                    ${script.actionType ? `<span><i class="fas fa-code"></i> ${escapeHTML(script.actionType)}</span>` : ''}
                     <span><i class="fas fa-file"></i> ${size}</span>
                     <span><i class="fas fa-list-ol"></i> ${lines} lines</span>
                 </div>
-                ${script.description ? `<div class="history-item-description">${script.description}</div>` : ''}
+                ${script.description ? `<div class="history-item-description">${highlightText(script.description, terms)}</div>` : ''}
+                ${snippets.length > 0 ? `
+                    <ul class="history-item-matches">
+                        ${snippets.map(snippet => `<li><span class="match-label">${escapeHTML(snippet.label)}</span> <code>${highlightText(snippet.text, [snippet.term])}</code></li>`).join('')}
+                    </ul>
+                ` : ''}
+                ${script.tags && script.tags.length > 0 ? `
+                    <div class="history-item-tags">
+                        ${script.tags.map(tag => `<span class="tag">${escapeHTML(tag)}</span>`).join('')}
+                    </div>
+                ` : ''}
                 <div class="history-item-actions">
                     <button class="btn btn-small btn-primary" onclick="historyManager.previewScript('${script.id}')">
                         <i class="fas fa-eye"></i> Preview
@@ -473,11 +1030,54 @@ class ScriptHistoryManager {
                     <button class="btn btn-small btn-secondary" onclick="historyManager.copyScript('${script.id}')">
                         <i class="fas fa-copy"></i> Copy
                     </button>
+                    <button class="btn btn-small btn-secondary compare-select" data-compare-id="${script.id}" onclick="historyCompare.toggleSelection('${script.id}')">
+                        <i class="far fa-square"></i> Select
+                    </button>
                 </div>
+                ${versions.length > 1 ? this.createVersionChainHTML(script, versions) : ''}
             </div>
         `;
     }
 
+    /**
+     * Create the version chain of a lineage, newest first
+     */
+    createVersionChainHTML(current, versions) {
+        const versionById = new Map(versions.map(version => [version.id, version]));
+
+        const items = versions.slice().reverse().map(version => {
+            const number = this.getVersionNumber(version);
+            const parent = version.parentId ? versionById.get(version.parentId) : null;
+            // Only call out the parent when the version branched off an older one
+            const branchedFrom = parent && this.getVersionNumber(parent) !== number - 1 ?
+                ` <span class="version-parent">from V${this.getVersionNumber(parent)}</span>` :
+                '';
+
+            return `
+                <li class="version-item${version.id === current.id ? ' current' : ''}">
+                    <span class="version-label">V${number}${branchedFrom}</span>
+                    <span class="version-date">${this.formatDate(version.timestamp)}</span>
+                    <button class="btn btn-small btn-secondary" onclick="historyManager.previewScript('${version.id}')">
+                        <i class="fas fa-eye"></i> Preview
+                    </button>
+                    <button class="btn btn-small btn-secondary" onclick="historyManager.restoreScript('${version.id}')">
+                        <i class="fas fa-redo"></i> Restore
+                    </button>
+                    <button class="btn btn-small btn-secondary compare-select" data-compare-id="${version.id}" onclick="historyCompare.toggleSelection('${version.id}')">
+                        <i class="far fa-square"></i> Select
+                    </button>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <details class="history-versions">
+                <summary><i class="fas fa-code-branch"></i> ${versions.length} versions</summary>
+                <ol class="version-list">${items}</ol>
+            </details>
+        `;
+    }
+
     /**
      * Preview a script in modal
      */
@@ -489,6 +1089,17 @@ class ScriptHistoryManager {
         window.showScriptPreview(script);
     }
 
+    /**
+     * Restore a script to the editor
+     */
+    async restoreScript(id) {
+        const script = await this.getScript(id);
+        if (!script) return;
+
+        window.restoreScriptToEditor(script);
+        modalManager.closeModal('historyModal');
+    }
+
     /**
      * Download a script
      */
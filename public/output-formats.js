@@ -0,0 +1,317 @@
+/**
+ * Output Formats Module
+ *
+ * Packages a generated script for different ways of running it. The Generated
+ * Script panel shows the selected format below the code, and Copy and Download
+ * use it. Each format's build(code, context) returns:
+ *
+ *   { code, notes: [{ severity, message }], link, download: { extension, mime, content } }
+ *
+ * context comes from getContext().
+ */
+
+class OutputFormats {
+    constructor() {
+        // Lengths where browsers start refusing or truncating bookmarklets, longest first
+        this.bookmarkletLimits = [
+            { length: 2097152, severity: 'error', message: 'Too long for any browser: Chrome and Edge ignore URLs over 2 MB. Reduce the script or use another format.' },
+            { length: 65536, severity: 'warning', message: 'Firefox won\'t save bookmarks longer than 65,536 characters. Use Chrome or Edge, or disable features to shorten the script.' }
+        ];
+
+        // Issues listed under the GTM output before the rest are summarized
+        this.maxIssueNotes = 10;
+
+        this.formats = {
+            script: {
+                label: 'Plain script',
+                build: (code) => ({
+                    code,
+                    notes: [],
+                    link: null,
+                    download: { extension: '.js', mime: 'application/javascript', content: code }
+                })
+            },
+            bookmarklet: {
+                label: 'Bookmarklet',
+                build: (code, context) => this.buildBookmarklet(code, context)
+            },
+            userscript: {
+                label: 'Userscript',
+                build: (code, context) => this.buildUserscript(code, context)
+            },
+            gtm: {
+                label: 'GTM Custom HTML',
+                build: (code) => this.buildGtm(code)
+            }
+        };
+    }
+
+    /**
+     * Get the formats as [{ id, label }] for the format picker
+     */
+    getFormats() {
+        return Object.entries(this.formats).map(([id, format]) => ({ id, label: format.label }));
+    }
+
+    /**
+     * Package code in a format; unknown formats fall back to the plain script
+     */
+    build(formatId, code, context = {}) {
+        const format = this.formats[formatId] || this.formats.script;
+        return format.build(code, context);
+    }
+
+    /**
+     * Describe a script for packaging: { name, title, description, dealerId,
+     * version, config }. name is the versioned file name without extension and
+     * title the name without a version. script is the history record, if saved.
+     */
+    getContext(config, script = null) {
+        const builder = window.scriptBuilder;
+        const version = script ? `V${window.historyManager.getVersionNumber(script)}` : 'V1';
+        const { dealerId } = builder.normalizeMetadata(config);
+
+        return {
+            name: builder.formatVersionedName(config.scriptName || 'script', version, { dealerId }),
+            title: builder.formatScriptName(config.scriptName || 'script', { version: '', dealerId }),
+            description: config.scriptDescription || '',
+            dealerId,
+            version,
+            config
+        };
+    }
+
+    /**
+     * Complete a URL pattern into a match pattern: a missing scheme matches
+     * http and https, a missing path matches every page of the host
+     */
+    normalizeMatchPattern(pattern) {
+        let value = pattern.trim();
+        if (value === '<all_urls>') return value;
+
+        if (!/^[a-z*]+:\/\//i.test(value)) {
+            value = `*://${value}`;
+        }
+        if (!/^[^:]+:\/\/[^/]*\//.test(value)) {
+            value += '/*';
+        }
+        return value;
+    }
+
+    /**
+     * Check a match pattern against the syntax shared by Chrome extensions
+     * and userscript managers
+     */
+    isValidMatchPattern(pattern) {
+        if (pattern === '<all_urls>') return true;
+
+        const match = /^(\*|https?|wss?|ftp|file):\/\/([^/]*)(\/.*)$/.exec(pattern);
+        if (!match) return false;
+
+        const [, scheme, host] = match;
+        if (!host) return scheme === 'file';
+        return /^(\*|(\*\.)?[^*:\s]+)(:(\*|\d+))?$/.test(host);
+    }
+
+    /**
+     * Get the URL match patterns of a config: { patterns, invalid, source,
+     * profile }. The Page URLs field wins; without it the patterns follow the
+     * URL patterns of the page detection feature's profile, and without those
+     * every page matches.
+     */
+    getMatchPatterns(config) {
+        const entered = (config.urlPatterns || []).map(pattern => this.normalizeMatchPattern(pattern));
+        const patterns = entered.filter(pattern => this.isValidMatchPattern(pattern));
+        const invalid = entered.filter(pattern => !this.isValidMatchPattern(pattern));
+
+        if (patterns.length > 0) {
+            return { patterns, invalid, source: 'urls' };
+        }
+
+        const builder = window.scriptBuilder;
+        const features = config.features || {};
+        const profile = builder.normalizeDetectionProfile(config);
+        const page = Object.keys(builder.detectionPages)
+            .find(key => features[builder.detectionPages[key].feature] && profile[key].urlPatterns.length > 0);
+        if (page) {
+            return {
+                patterns: this.getDetectionMatches(profile[page].urlPatterns),
+                invalid,
+                source: builder.detectionPages[page].feature,
+                profile: profile.name
+            };
+        }
+
+        return { patterns: ['*://*/*'], invalid, source: 'all' };
+    }
+
+    /**
+     * Convert a detection profile's URL path patterns into match patterns on
+     * any host. Match patterns also see the query string, so each one is left
+     * open at the end; the script still checks the exact path.
+     */
+    getDetectionMatches(urlPatterns) {
+        const patterns = urlPatterns.map(pattern => {
+            const path = pattern.startsWith('*') ? `/*${pattern.replace(/^[*/]+/, '')}` : `/${pattern.replace(/^\/+/, '')}`;
+            return `*://*${path.endsWith('*') ? path : `${path}*`}`;
+        });
+        return [...new Set(patterns)].filter(pattern => this.isValidMatchPattern(pattern));
+    }
+
+    /**
+     * Get when the script should be injected. With DOM Ready Handling the
+     * script waits for the document itself, so it can start as early as
+     * possible; without it the document must be parsed before it runs.
+     */
+    getRunAt(config) {
+        return (config.features || {}).domReady ? 'document-start' : 'document-end';
+    }
+
+    /**
+     * Describe where match patterns came from, flagging ignored entries
+     */
+    describeMatches({ patterns, invalid, source, profile }) {
+        const notes = [];
+
+        if (invalid.length > 0) {
+            notes.push({ severity: 'error', message: `Ignored invalid URL patterns: ${invalid.join(', ')}. Use the form https://*.example.com/path/*.` });
+        }
+        if (source === 'all') {
+            notes.push({ severity: 'warning', message: 'No Page URLs or page detection URL patterns set, so the script will run on every site. Add Page URLs to limit it.' });
+        } else if (source !== 'urls') {
+            notes.push({
+                severity: 'info',
+                message: `URLs derived from ${window.scriptBuilder.getFeatureLabel(source)} in the "${profile}" detection profile (${patterns.join(', ')}). Pages it only detects by their markup aren't matched; add Page URLs to target the dealer's site.`
+            });
+        }
+
+        return notes;
+    }
+
+    /**
+     * Wrap code as a javascript: URL. The function wrapper keeps the script's
+     * top-level declarations off the page's window and makes the URL evaluate
+     * to undefined, so the browser doesn't navigate away.
+     */
+    toBookmarklet(code) {
+        return `javascript:${encodeURIComponent(`(function(){\n${code.trim()}\n})();`)}`;
+    }
+
+    /**
+     * Build a bookmarklet with a draggable link and size checks
+     */
+    buildBookmarklet(code, context) {
+        const url = this.toBookmarklet(code);
+        const title = context.name || 'Script';
+        const notes = [{
+            severity: 'info',
+            message: `${url.length.toLocaleString()} characters. Drag the link to the bookmarks bar, or copy it into a new bookmark's URL.`
+        }];
+
+        const limit = this.bookmarkletLimits.find(entry => url.length > entry.length);
+        if (limit) {
+            notes.push({ severity: limit.severity, message: limit.message });
+        }
+
+        // Netscape bookmark file: importable into any browser, and a clickable link when opened
+        const content = [
+            '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+            '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+            '<TITLE>Bookmarks</TITLE>',
+            '<H1>Bookmarks</H1>',
+            '<DL><p>',
+            `    <DT><A HREF="${escapeHTML(url)}">${escapeHTML(title)}</A>`,
+            '</DL><p>',
+            ''
+        ].join('\n');
+
+        return {
+            code: url,
+            notes,
+            link: { href: url, label: title },
+            download: { extension: '.bookmarklet.html', mime: 'text/html', content }
+        };
+    }
+
+    /**
+     * Prefix code with a ==UserScript== metadata block for Tampermonkey,
+     * Violentmonkey and Greasemonkey
+     */
+    buildUserscript(code, context) {
+        const config = context.config || {};
+        const matches = this.getMatchPatterns(config);
+        // Metadata values end at the line break
+        const line = (value) => String(value).replace(/\s+/g, ' ').trim();
+
+        const metadata = [
+            ['name', line(context.title || context.name || 'Script')],
+            ['namespace', context.dealerId ? `script-builder/${line(context.dealerId)}` : 'script-builder'],
+            ['version', line(context.version || 'V1').replace(/^v/i, '')],
+            ['description', line(context.description)],
+            ...matches.patterns.map(pattern => ['match', pattern]),
+            ['run-at', this.getRunAt(config)],
+            ['grant', 'none']
+        ].filter(([, value]) => value);
+
+        const width = Math.max(...metadata.map(([key]) => key.length)) + 2;
+        const output = [
+            '// ==UserScript==',
+            ...metadata.map(([key, value]) => `// @${key.padEnd(width)}${value}`),
+            '// ==/UserScript==',
+            '',
+            code
+        ].join('\n');
+
+        return {
+            code: output,
+            notes: this.describeMatches(matches),
+            link: null,
+            download: { extension: '.user.js', mime: 'application/javascript', content: output }
+        };
+    }
+
+    /**
+     * Wrap code in <script> for a Google Tag Manager Custom HTML tag. GTM
+     * rejects ES2015+ syntax, so the script is converted to ES5 first.
+     */
+    buildGtm(code) {
+        const transpiler = window.scriptTranspiler;
+        const notes = [];
+        let script = code;
+
+        if (!transpiler.isAvailable()) {
+            notes.push({ severity: 'error', message: 'The JavaScript parser didn\'t load, so the script couldn\'t be converted to ES5. Reload the page to try again.' });
+        } else {
+            const result = transpiler.toES5(code);
+            script = result.code;
+
+            notes.push(result.converted.length > 0 ?
+                { severity: 'info', message: `Converted to ES5: ${result.converted.join(', ')}.` } :
+                { severity: 'info', message: 'The script is already ES5.' });
+
+            result.issues.slice(0, this.maxIssueNotes).forEach(issue => {
+                notes.push({ severity: 'error', message: `Line ${issue.line}:${issue.column}: ${issue.message}` });
+            });
+            if (result.issues.length > this.maxIssueNotes) {
+                notes.push({ severity: 'error', message: `…and ${result.issues.length - this.maxIssueNotes} more that GTM will reject.` });
+            }
+        }
+
+        if (script.includes('{{')) {
+            notes.push({ severity: 'warning', message: 'The script contains "{{", which GTM reads as a variable reference. Split it, e.g. \'{\' + \'{\', if it is meant literally.' });
+        }
+
+        // "</script" inside a string would end the tag early
+        const output = `<script>\n${script.replace(/<\/(script)/gi, '<\\/$1')}\n</script>`;
+
+        return {
+            code: output,
+            notes,
+            link: null,
+            download: { extension: '.gtm.html', mime: 'text/html', content: output }
+        };
+    }
+}
+
+// Export as global
+window.outputFormats = new OutputFormats();
@@ -0,0 +1,230 @@
+/**
+ * Run Conditions Module
+ *
+ * Manages the Run Conditions card: groups of conditions on the URL, cookies,
+ * storage, page elements, viewport and time that decide whether a script
+ * runs. Conditions in a group are combined with AND or OR, and so are the
+ * groups; the script builder compiles them into a guard at the top of the
+ * main function.
+ */
+
+class RunConditionsEditor {
+    constructor() {
+        this.container = null;
+        this.onChange = () => {};
+
+        // Example values shown in empty fields
+        this.placeholders = {
+            path: '/inventory/',
+            hostname: 'example.com',
+            queryParam: 'e.g., google',
+            cookie: 'e.g., 1',
+            localStorage: 'e.g., true',
+            element: '.vehicle-details'
+        };
+        this.namePlaceholders = {
+            queryParam: 'utm_source',
+            cookie: 'Cookie name',
+            localStorage: 'Storage key'
+        };
+    }
+
+    /**
+     * Bind the editor to the DOM
+     */
+    init({ onChange } = {}) {
+        this.container = document.getElementById('runConditionGroups');
+        if (onChange) {
+            this.onChange = onChange;
+        }
+
+        document.getElementById('addRunConditionGroup').addEventListener('click', () => {
+            this.addGroup();
+            this.onChange();
+        });
+
+        // Group and condition controls (delegated)
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-condition-action]');
+            if (!button) return;
+
+            switch (button.dataset.conditionAction) {
+                case 'add-condition':
+                    this.addCondition(button.closest('.run-condition-group'));
+                    break;
+                case 'remove-condition':
+                    this.removeCondition(button.closest('.run-condition'));
+                    break;
+                case 'remove-group':
+                    button.closest('.run-condition-group').remove();
+                    this.renumberGroups();
+                    break;
+            }
+            this.onChange();
+        });
+
+        this.container.addEventListener('change', (e) => {
+            const row = e.target.closest('.run-condition');
+            if (e.target.classList.contains('run-condition-type')) {
+                this.renderFields(row, { type: e.target.value });
+            } else if (e.target.dataset.field === 'operator') {
+                this.updateValueField(row);
+            }
+            this.onChange();
+        });
+
+        document.getElementById('runConditionsMatch').addEventListener('change', () => this.onChange());
+
+        this.renumberGroups();
+    }
+
+    /**
+     * Append a group, by default with one empty condition
+     */
+    addGroup(group = { match: 'all', conditions: [{}] }) {
+        const template = document.getElementById('runConditionGroupTemplate');
+        const groupElement = template.content.firstElementChild.cloneNode(true);
+        groupElement.querySelector('.run-group-match').value = group.match === 'any' ? 'any' : 'all';
+        this.container.appendChild(groupElement);
+
+        (group.conditions || []).forEach(condition => this.addCondition(groupElement, condition));
+        this.renumberGroups();
+        return groupElement;
+    }
+
+    /**
+     * Append a condition to a group
+     */
+    addCondition(groupElement, condition = {}) {
+        const template = document.getElementById('runConditionTemplate');
+        const row = template.content.firstElementChild.cloneNode(true);
+        groupElement.querySelector('.run-conditions').appendChild(row);
+
+        const types = window.scriptBuilder.runConditionDefinitions.types;
+        const select = row.querySelector('.run-condition-type');
+        Object.entries(types).forEach(([type, definition]) => select.add(new Option(definition.label, type)));
+        select.value = types[condition.type] ? condition.type : 'path';
+
+        row.querySelector('[data-field="negate"]').checked = !!condition.negate;
+        this.renderFields(row, { ...condition, type: select.value });
+        return row;
+    }
+
+    /**
+     * Remove a condition, and its group once it is empty
+     */
+    removeCondition(row) {
+        const groupElement = row.closest('.run-condition-group');
+        row.remove();
+        if (!groupElement.querySelector('.run-condition')) {
+            groupElement.remove();
+            this.renumberGroups();
+        }
+    }
+
+    renumberGroups() {
+        const groups = [...this.container.querySelectorAll('.run-condition-group')];
+        groups.forEach((groupElement, index) => {
+            groupElement.querySelector('.run-group-number').textContent = `Group ${index + 1}`;
+        });
+
+        document.getElementById('runConditionsMatchRow').style.display = groups.length > 1 ? 'flex' : 'none';
+        document.getElementById('runConditionsEmpty').style.display = groups.length === 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Render the fields of a condition's type, filled from the condition
+     */
+    renderFields(row, condition) {
+        const { types, operators, days } = window.scriptBuilder.runConditionDefinitions;
+        const definition = types[condition.type];
+        const fields = row.querySelector('.run-condition-fields');
+        const attr = (value) => escapeHTML(value === undefined || value === null ? '' : String(value));
+        let html = '';
+
+        if (definition.named) {
+            html += `<input type="text" data-field="name" placeholder="${attr(this.namePlaceholders[condition.type])}" value="${attr(condition.name)}">`;
+        }
+        if (definition.operators) {
+            html += `<select data-field="operator">${definition.operators
+                .map(operator => `<option value="${operator}">${operators[operator]}</option>`).join('')}</select>`;
+        }
+
+        switch (condition.type) {
+            case 'viewport':
+                html += `
+                    <input type="number" data-field="min" min="0" placeholder="Min px" value="${attr(condition.min)}">
+                    <input type="number" data-field="max" min="0" placeholder="Max px" value="${attr(condition.max)}">`;
+                break;
+            case 'schedule':
+                html += `
+                    <div class="run-condition-days">
+                        ${days.map((day, index) => `
+                            <label><input type="checkbox" data-day="${index}"${(condition.days || []).map(Number).includes(index) ? ' checked' : ''}> ${day}</label>`).join('')}
+                    </div>
+                    <input type="time" data-field="start" value="${attr(condition.start)}" title="From (visitor's local time)">
+                    <input type="time" data-field="end" value="${attr(condition.end)}" title="Until (visitor's local time)">`;
+                break;
+            default:
+                html += `<input type="text" data-field="value" placeholder="${attr(this.placeholders[condition.type])}" value="${attr(condition.value)}">`;
+        }
+
+        fields.innerHTML = html;
+
+        const operatorSelect = fields.querySelector('[data-field="operator"]');
+        if (operatorSelect) {
+            operatorSelect.value = definition.operators.includes(condition.operator) ? condition.operator : definition.operators[0];
+        }
+        this.updateValueField(row);
+    }
+
+    /**
+     * Hide the value of conditions that only check a name is set
+     */
+    updateValueField(row) {
+        const operator = row.querySelector('[data-field="operator"]');
+        const value = row.querySelector('[data-field="value"]');
+        if (value) {
+            value.style.display = operator && operator.value === 'exists' ? 'none' : '';
+        }
+    }
+
+    /**
+     * Get the groups and their conditions as { match, groups }
+     */
+    getConditions() {
+        const groups = [...this.container.querySelectorAll('.run-condition-group')].map(groupElement => ({
+            match: groupElement.querySelector('.run-group-match').value,
+            conditions: [...groupElement.querySelectorAll('.run-condition')].map(row => {
+                const condition = {
+                    type: row.querySelector('.run-condition-type').value,
+                    negate: row.querySelector('[data-field="negate"]').checked
+                };
+                row.querySelectorAll('.run-condition-fields [data-field]').forEach(input => {
+                    if (input.dataset.field !== 'value' || input.style.display !== 'none') {
+                        condition[input.dataset.field] = input.value.trim();
+                    }
+                });
+                if (condition.type === 'schedule') {
+                    condition.days = [...row.querySelectorAll('[data-day]:checked')].map(input => Number(input.dataset.day));
+                }
+                return condition;
+            })
+        })).filter(group => group.conditions.length > 0);
+
+        return { match: getInputValue('runConditionsMatch') || 'all', groups };
+    }
+
+    /**
+     * Replace all groups
+     */
+    setConditions(runConditions = {}) {
+        this.container.innerHTML = '';
+        setInputValue('runConditionsMatch', runConditions.match === 'any' ? 'any' : 'all');
+        (runConditions.groups || []).forEach(group => this.addGroup(group));
+        this.renumberGroups();
+    }
+}
+
+// Export as global
+window.runConditions = new RunConditionsEditor();
@@ -0,0 +1,269 @@
+/**
+ * Sandbox Runner Module
+ *
+ * Runs a generated script against a pasted or uploaded HTML snapshot inside a
+ * sandboxed iframe (scripts allowed, no same-origin access). A small harness
+ * injected into the snapshot captures console output, counts the elements the
+ * targets match and serializes the DOM before and after the script runs; the
+ * results are sent back with postMessage.
+ */
+
+class SandboxRunner {
+    constructor() {
+        this.messageSource = 'script-builder-sandbox';
+        // Attributes that navigate to or load a URL
+        this.urlAttributes = ['href', 'src', 'action', 'formaction', 'xlink:href', 'data', 'poster', 'background'];
+        this.settleTime = 1500;
+        this.timeout = 15000;
+    }
+
+    /**
+     * Run code against an HTML snapshot in a fresh iframe inside container.
+     * Resolves with { before, after, logs, matches }.
+     */
+    run(html, code, { container, targets = [], baseUrl = '', stripScripts = true } = {}) {
+        return new Promise((resolve, reject) => {
+            const frame = this.createFrame(container);
+
+            const cleanup = () => {
+                clearTimeout(timer);
+                window.removeEventListener('message', onMessage);
+            };
+
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error('The sandbox did not respond. The snapshot may be blocking the page.'));
+            }, this.timeout);
+
+            const onMessage = (event) => {
+                const data = event.data;
+                if (event.source !== frame.contentWindow || !data || data.source !== this.messageSource) return;
+
+                if (data.type === 'ready') {
+                    frame.contentWindow.postMessage({
+                        source: this.messageSource,
+                        type: 'run',
+                        code,
+                        targets: targets.map(target => ({
+                            selectorType: target.selectorType,
+                            // The generated script only uses fallbacks with CSS targets
+                            selectors: (target.selectorType === 'xpath' ?
+                                [target.targetSelector] :
+                                [target.targetSelector, ...(target.fallbackSelectors || [])]).filter(Boolean)
+                        })),
+                        settleTime: this.settleTime
+                    }, '*');
+                } else if (data.type === 'result') {
+                    cleanup();
+                    resolve({
+                        before: data.before,
+                        after: data.after,
+                        logs: data.logs,
+                        matches: data.matches
+                    });
+                }
+            };
+
+            window.addEventListener('message', onMessage);
+            frame.srcdoc = this.buildDocument(html, { baseUrl, stripScripts });
+        });
+    }
+
+    /**
+     * Replace any previous sandbox frame in the container with a new one
+     */
+    createFrame(container) {
+        const frame = document.createElement('iframe');
+        frame.className = 'sandbox-frame';
+        frame.title = 'Sandbox preview';
+        frame.setAttribute('sandbox', 'allow-scripts');
+
+        container.innerHTML = '';
+        container.appendChild(frame);
+        return frame;
+    }
+
+    /**
+     * Build the srcdoc for a snapshot with the harness as the first script
+     */
+    buildDocument(html, { baseUrl = '', stripScripts = true } = {}) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+
+        if (stripScripts) {
+            this.removePageScripts(doc);
+        }
+
+        // Resolve the snapshot's relative stylesheets and images against the live site
+        if (baseUrl && !doc.querySelector('base[href]')) {
+            const base = doc.createElement('base');
+            base.href = baseUrl;
+            doc.head.prepend(base);
+        }
+
+        const harness = doc.createElement('script');
+        harness.setAttribute('data-sandbox-ignore', '');
+        // harness() is a method, so its source needs the function keyword to be callable on its own
+        harness.textContent = `(function ${this.harness.toString()})(${JSON.stringify(this.messageSource)});`;
+        doc.head.prepend(harness);
+
+        return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+    }
+
+    /**
+     * Remove the snapshot's own code: script elements, inline event handlers
+     * and javascript: URLs
+     */
+    removePageScripts(doc) {
+        doc.querySelectorAll('script').forEach(script => script.remove());
+
+        doc.querySelectorAll('*').forEach(element => {
+            Array.from(element.attributes).forEach(({ name, value }) => {
+                const isHandler = name.toLowerCase().startsWith('on');
+                // Browsers ignore tabs, newlines and leading control characters in URLs
+                const isScriptUrl = this.urlAttributes.includes(name.toLowerCase()) &&
+                    /^javascript:/i.test(value.replace(/[\u0000-\u0020]/g, ''));
+                if (isHandler || isScriptUrl) {
+                    element.removeAttribute(name);
+                }
+            });
+        });
+    }
+
+    /**
+     * Harness that runs inside the sandbox. It is serialized into the snapshot,
+     * so it must not reference anything outside its own body.
+     */
+    harness(messageSource) {
+        const logs = [];
+        const post = (message) => parent.postMessage({ source: messageSource, ...message }, '*');
+
+        const format = (value) => {
+            if (value instanceof Error) return value.stack || String(value);
+            if (value instanceof Element) return `<${value.tagName.toLowerCase()}>`;
+            if (typeof value === 'string') return value;
+            try {
+                return JSON.stringify(value) ?? String(value);
+            } catch (error) {
+                return String(value);
+            }
+        };
+
+        ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+            const original = console[level];
+            console[level] = (...args) => {
+                logs.push({ level, message: args.map(format).join(' ') });
+                original.apply(console, args);
+            };
+        });
+
+        window.addEventListener('error', (event) => {
+            logs.push({ level: 'error', message: `Uncaught ${event.message}${event.lineno ? ` (line ${event.lineno})` : ''}` });
+        });
+        window.addEventListener('unhandledrejection', (event) => {
+            logs.push({ level: 'error', message: `Unhandled rejection: ${format(event.reason)}` });
+        });
+
+        const voidElements = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+        // One line per tag or text node, indented by depth, so that DOM changes diff cleanly
+        const serialize = (node, depth, lines) => {
+            const indent = '  '.repeat(depth);
+
+            if (node.nodeType === Node.TEXT_NODE) {
+                const text = node.textContent.replace(/\s+/g, ' ').trim();
+                if (text) lines.push(indent + text);
+                return;
+            }
+            if (node.nodeType === Node.COMMENT_NODE) {
+                lines.push(`${indent}<!--${node.textContent}-->`);
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE || node.hasAttribute('data-sandbox-ignore')) return;
+
+            const tag = node.tagName.toLowerCase();
+            const attributes = Array.from(node.attributes)
+                .map(attribute => ` ${attribute.name}="${attribute.value.replace(/"/g, '&quot;')}"`)
+                .join('');
+            lines.push(`${indent}<${tag}${attributes}>`);
+
+            if (voidElements.has(tag)) return;
+
+            const content = tag === 'template' ? node.content : node;
+            content.childNodes.forEach(child => serialize(child, depth + 1, lines));
+            lines.push(`${indent}</${tag}>`);
+        };
+
+        const snapshot = () => {
+            const lines = [];
+            serialize(document.documentElement, 0, lines);
+            return lines;
+        };
+
+        const countMatches = (target) => {
+            // Same order as the generated script: the first selector that matches wins
+            for (const selector of target.selectors) {
+                try {
+                    const count = target.selectorType === 'xpath' ?
+                        document.evaluate(selector, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null).snapshotLength :
+                        document.querySelectorAll(selector).length;
+                    if (count > 0) return { selector, count };
+                } catch (error) {
+                    return { selector, count: 0, error: error.message };
+                }
+            }
+            return { selector: target.selectors[0] || '', count: 0 };
+        };
+
+        window.addEventListener('message', (event) => {
+            const data = event.data;
+            if (event.source !== parent || !data || data.source !== messageSource || data.type !== 'run') return;
+
+            const matches = data.targets.map(countMatches);
+            const before = snapshot();
+
+            const script = document.createElement('script');
+            script.setAttribute('data-sandbox-ignore', '');
+            script.textContent = data.code;
+            document.body.appendChild(script);
+
+            setTimeout(() => {
+                post({ type: 'result', before, after: snapshot(), logs, matches });
+            }, data.settleTime);
+        });
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => post({ type: 'ready' }));
+        } else {
+            post({ type: 'ready' });
+        }
+    }
+
+    /**
+     * Diff two DOM snapshots, keeping only changed lines and some context.
+     * Hunks are separated by { type: 'gap' } entries.
+     */
+    diffSnapshots(before, after, context = 3) {
+        const lines = diffLines(before, after);
+        const keep = new Array(lines.length).fill(false);
+
+        lines.forEach((line, index) => {
+            if (line.type === 'same') return;
+            for (let i = Math.max(0, index - context); i <= Math.min(lines.length - 1, index + context); i++) {
+                keep[i] = true;
+            }
+        });
+
+        const result = [];
+        lines.forEach((line, index) => {
+            if (!keep[index]) return;
+            if (index > 0 && !keep[index - 1] && result.length > 0) {
+                result.push({ type: 'gap', text: '…' });
+            }
+            result.push(line);
+        });
+        return result;
+    }
+}
+
+// Export as global
+window.sandboxRunner = new SandboxRunner();
@@ -8,7 +8,165 @@
 class ScriptBuilder {
     constructor() {
         this.config = {};
+        this.settings = this.getDefaultSettings();
         this.templates = this.loadTemplates();
+        this.featureDefinitions = this.loadFeatureDefinitions();
+        this.runConditionDefinitions = this.loadRunConditionDefinitions();
+        this.detectionPages = this.loadDetectionPages();
+        
+        // Symbols every generated script declares regardless of features
+        this.coreSymbols = ['mainFunction', 'applyModifications', 'DEBUG'];
+
+        // Words a strict mode function can't be named
+        this.reservedWords = new Set([
+            'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+            'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if',
+            'import', 'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this',
+            'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'let',
+            'static', 'implements', 'interface', 'package', 'private', 'protected', 'public',
+            'await', 'arguments', 'eval'
+        ]);
+    }
+
+    /**
+     * Get the default generator settings
+     */
+    getDefaultSettings() {
+        return {
+            indentWidth: 4,
+            headerStyle: 'full',
+            scriptNamePattern: '{name}',
+            dealerId: '',
+            waitTimeout: 10000,
+            debounceDelay: 1000,
+            intervalPeriod: 2000,
+            defaultFeatures: {
+                spaFriendly: true,
+                domReady: true,
+                errorHandling: true,
+                preventDuplicates: true,
+                vdpDetection: true
+            }
+        };
+    }
+
+    /**
+     * Apply persisted settings on top of the defaults
+     */
+    configure(settings = {}) {
+        const defaults = this.getDefaultSettings();
+        this.settings = {
+            ...defaults,
+            ...settings,
+            headerStyle: ['full', 'description', 'none'].includes(settings.headerStyle) ? settings.headerStyle : defaults.headerStyle,
+            indentWidth: Math.min(8, Math.max(1, Math.round(this.numberOrDefault(settings.indentWidth, defaults.indentWidth)))),
+            waitTimeout: Math.max(0, this.numberOrDefault(settings.waitTimeout, defaults.waitTimeout)),
+            debounceDelay: Math.max(0, this.numberOrDefault(settings.debounceDelay, defaults.debounceDelay)),
+            intervalPeriod: Math.max(100, this.numberOrDefault(settings.intervalPeriod, defaults.intervalPeriod))
+        };
+        return this.settings;
+    }
+
+    /**
+     * Load feature dependency definitions
+     * 
+     * Each feature has a display label and lists the symbols its template
+     * declares (provides), the symbols it uses from other templates (requires)
+     * and the features it can't be combined with (conflicts).
+     */
+    loadFeatureDefinitions() {
+        return {
+            spaFriendly: { label: 'SPA Friendly', provides: ['handleNavigation', 'navigationObserver', 'originalPushState', 'originalReplaceState'], requires: ['mainFunction'] },
+            domReady: { label: 'DOM Ready Handling', requires: ['mainFunction'] },
+            errorHandling: { label: 'Error Handling', requires: ['applyModifications'] },
+            preventDuplicates: { label: 'Prevent Duplicates' },
+            debouncing: { label: 'Debouncing', provides: ['shouldExecute'] },
+            elementCaching: { label: 'Element Caching', provides: ['getCachedElement', 'clearElementCache'] },
+            resourceCleanup: { label: 'Resource Cleanup', provides: ['cleanupResources'] },
+            mutationObserver: { label: 'DOM Mutation Observer', requires: ['applyModifications'] },
+            intervalMonitoring: { label: 'Interval Monitoring', provides: ['hasTargetElements'], requires: ['applyModifications'] },
+            urlChangeMonitoring: { label: 'URL Change Monitoring', requires: ['applyModifications'] },
+            debugMode: { label: 'Debug Mode' },
+            consoleLogging: { label: 'Console Logging', provides: ['log'], requires: ['DEBUG'] },
+            elementHighlighting: { label: 'Element Highlighting', provides: ['highlightElement'] },
+            widgetLoader: { label: 'Widget Loader', provides: ['loadWidget'] },
+            asyncLoading: { label: 'Async Loading', provides: ['loadResourceAsync'] },
+            fallbackMechanisms: { label: 'Fallback Mechanisms', provides: ['tryMultipleSelectors'] },
+            vdpDetection: { label: 'VDP Detection', provides: ['isVDP'], conflicts: ['srpDetection'] },
+            srpDetection: { label: 'SRP Detection', provides: ['isSRP'], conflicts: ['vdpDetection'] },
+            customPageDetection: { label: 'Custom Page Detection', provides: ['detectPageType', 'pageType'] },
+            cleanup: { label: 'Cleanup', provides: ['cleanup'], requires: ['handleNavigation'] }
+        };
+    }
+
+    /**
+     * Load run condition definitions
+     * 
+     * Each condition type has a display label and the operators it supports;
+     * named conditions also take the name of a query parameter, cookie or
+     * storage key. Operators map to their display labels.
+     */
+    loadRunConditionDefinitions() {
+        return {
+            operators: {
+                contains: 'contains',
+                equals: 'is',
+                startsWith: 'starts with',
+                matches: 'matches regex',
+                domain: 'is or is under',
+                exists: 'is set'
+            },
+            types: {
+                path: { label: 'URL path', operators: ['contains', 'equals', 'startsWith', 'matches'] },
+                hostname: { label: 'Hostname', operators: ['domain', 'equals', 'contains', 'matches'] },
+                queryParam: { label: 'Query parameter', operators: ['exists', 'equals', 'contains'], named: true },
+                cookie: { label: 'Cookie', operators: ['exists', 'equals'], named: true },
+                localStorage: { label: 'localStorage key', operators: ['exists', 'equals'], named: true },
+                element: { label: 'Element exists' },
+                viewport: { label: 'Viewport width' },
+                schedule: { label: 'Day and time' }
+            },
+            days: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+        };
+    }
+
+    /**
+     * Load the page types a detection profile describes
+     * 
+     * Each page type is checked by the function of its feature, e.g. VDP
+     * Detection generates isVDP() from the profile's VDP checks.
+     */
+    loadDetectionPages() {
+        return {
+            vdp: { label: 'VDP', title: 'Vehicle Detail Page', feature: 'vdpDetection', functionName: 'isVDP', skipMessage: 'Not a VDP page, skipping' },
+            srp: { label: 'SRP', title: 'Search Results Page', feature: 'srpDetection', functionName: 'isSRP', skipMessage: 'Not an SRP page, skipping' }
+        };
+    }
+
+    /**
+     * Get the built-in detection profile, which keeps the URL and markup
+     * checks scripts used before profiles existed
+     */
+    getDefaultDetectionProfile() {
+        return {
+            id: 'builtin_generic',
+            name: 'Generic',
+            description: 'Common URLs and markup of dealer sites. /inventory matches both page types; create a profile for the dealer\'s platform to tell them apart.',
+            vdp: {
+                match: 'any',
+                urlPatterns: ['*/vehicle/*', '*/inventory/*'],
+                requiredSelectors: ['.vehicle-details', '[data-vehicle-id]'],
+                forbiddenSelectors: [],
+                metaTags: []
+            },
+            srp: {
+                match: 'any',
+                urlPatterns: ['*/search*', '*/inventory*'],
+                requiredSelectors: ['.search-results', '.vehicle-grid'],
+                forbiddenSelectors: [],
+                metaTags: []
+            }
+        };
     }
 
     /**
@@ -16,23 +174,25 @@ class ScriptBuilder {
      */
     loadTemplates() {
         return {
-            header: (description, enabledFeatures = []) => {
+            header: (description, enabledFeatures = [], style = 'full') => {
                 const parts = [];
                 parts.push('/**');
                 
                 if (description) {
-                    parts.push(` * ${description}`);
+                    this.commentText(description).split('\n').forEach(line => {
+                        parts.push(` * ${line}`.trimEnd());
+                    });
                     parts.push(' * ' + '-'.repeat(60));
                 }
                 
                 // Usage instructions removed - not needed in generated scripts
                 
                 // Add enabled features
-                if (enabledFeatures.length > 0) {
+                if (style === 'full' && enabledFeatures.length > 0) {
                     parts.push(' * ');
                     parts.push(' * Enabled Features:');
                     enabledFeatures.forEach(feature => {
-                        const featureName = feature.replace(/([A-Z])/g, ' $1').toLowerCase();
+                        const featureName = this.lineCommentText(feature).replace(/([A-Z])/g, ' $1').toLowerCase();
                         parts.push(` * - ${featureName.charAt(0).toUpperCase() + featureName.slice(1)}`);
                     });
                 }
@@ -82,10 +242,10 @@ class ScriptBuilder {
         handleNavigation();
     };`,
 
-            debouncing: () => `
+            debouncing: (delay = 1000) => `
     // Debouncing mechanism
     let lastExecutionTime = 0;
-    const DEBOUNCE_DELAY = 1000; // Minimum time between executions
+    const DEBOUNCE_DELAY = ${delay}; // Minimum time between executions
     
     function shouldExecute() {
         const now = Date.now();
@@ -99,20 +259,22 @@ class ScriptBuilder {
 
             mutationObserver: () => `
     // DOM mutation observer
+    const observerOptions = {
+        childList: true,
+        subtree: true
+    };
     const observer = new MutationObserver((mutations) => {
-        for (const mutation of mutations) {
-            if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-                // Re-apply modifications if target elements are added
-                applyModifications();
-            }
+        if (mutations.some(mutation => mutation.type === 'childList' && mutation.addedNodes.length > 0)) {
+            // Re-apply modifications if target elements are added; the
+            // modifications add nodes too, so stop observing while they run
+            observer.disconnect();
+            applyModifications();
+            observer.observe(document.body, observerOptions);
         }
     });
     
     // Start observing
-    observer.observe(document.body, {
-        childList: true,
-        subtree: true
-    });
+    observer.observe(document.body, observerOptions);
     
     // Store observer for cleanup
     window.__scriptObserver = observer;`,
@@ -143,18 +305,22 @@ class ScriptBuilder {
 
             waitForElement: (selector, timeout = 10000) => `
     /**
-     * Wait for element to appear in DOM
+     * Wait for element to appear in DOM (CSS selector or XPath expression)
      */
-    function waitForElement(selector, timeout = ${timeout}) {
+    function waitForElement(selector, isXPath = false, timeout = ${timeout}) {
+        const findElement = () => isXPath ?
+            document.evaluate(selector, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue :
+            document.querySelector(selector);
+        
         return new Promise((resolve, reject) => {
-            const element = document.querySelector(selector);
+            const element = findElement();
             if (element) {
                 resolve(element);
                 return;
             }
             
             const observer = new MutationObserver((mutations, obs) => {
-                const element = document.querySelector(selector);
+                const element = findElement();
                 if (element) {
                     obs.disconnect();
                     resolve(element);
@@ -173,23 +339,79 @@ class ScriptBuilder {
         });
     }`,
 
-            errorHandling: () => `
+            errorHandling: (calls = ['applyModifications']) => `
     // Global error handling
     try {
         // Main execution
-        applyModifications();
+${calls.map(call => `        ${call}();`).join('\n')}
     } catch (error) {
         console.error('Script execution error:', error);
         // Attempt recovery
         setTimeout(() => {
             try {
-                applyModifications();
+${calls.map(call => `                ${call}();`).join('\n')}
             } catch (retryError) {
                 console.error('Retry failed:', retryError);
             }
         }, 1000);
     }`,
 
+            runConditions: (groups, match, helpers = []) => {
+                const parts = ['', '    // Run conditions'];
+
+                if (helpers.includes('getCookie')) {
+                    parts.push(
+                        '    function getCookie(name) {',
+                        '        const cookie = document.cookie.split(\'; \').find(entry => entry.split(\'=\')[0] === name);',
+                        '        return cookie === undefined ? null : decodeURIComponent(cookie.slice(name.length + 1));',
+                        '    }',
+                        '    ');
+                }
+                if (helpers.includes('getStorageItem')) {
+                    parts.push(
+                        '    function getStorageItem(key) {',
+                        '        try {',
+                        '            return window.localStorage.getItem(key);',
+                        '        } catch (error) {',
+                        '            // Storage is blocked, e.g. in sandboxed frames',
+                        '            return null;',
+                        '        }',
+                        '    }',
+                        '    ');
+                }
+                if (helpers.includes('isWithinSchedule')) {
+                    parts.push(
+                        '    function isWithinSchedule(days, start, end) {',
+                        '        const now = new Date();',
+                        '        const minutes = now.getHours() * 60 + now.getMinutes();',
+                        '        const isScheduledDay = (day) => days.length === 0 || days.includes(day);',
+                        '        if (start <= end) return isScheduledDay(now.getDay()) && minutes >= start && minutes < end;',
+                        '        // A window that ends before it starts runs past midnight, so after',
+                        '        // midnight it belongs to the day before',
+                        '        if (minutes >= start) return isScheduledDay(now.getDay());',
+                        '        return minutes < end && isScheduledDay((now.getDay() + 6) % 7);',
+                        '    }',
+                        '    ');
+                }
+
+                parts.push('    function matchesRunConditions() {');
+                groups.forEach((group, index) => {
+                    parts.push(`        // Group ${index + 1}: ${group.match === 'any' ? 'any' : 'all'} of`);
+                    group.conditions.forEach(({ description }) => parts.push(`        // - ${description}`));
+                    const joined = group.conditions.map(({ code }) => code).join(group.match === 'any' ? ' ||\n            ' : ' &&\n            ');
+                    parts.push(`        const group${index + 1} = ${joined};`);
+                });
+                parts.push(`        return ${groups.map((group, index) => `group${index + 1}`).join(match === 'any' ? ' || ' : ' && ')};`);
+                parts.push('    }');
+                parts.push('    ');
+                parts.push('    if (!matchesRunConditions()) {');
+                parts.push('        console.log(\'Run conditions not met, skipping\');');
+                parts.push('        return;');
+                parts.push('    }');
+
+                return parts.join('\n');
+            },
+
             preventDuplicates: () => `
     // Prevent duplicate execution
     if (window.__scriptExecuted) {
@@ -239,16 +461,28 @@ class ScriptBuilder {
     
     window.addEventListener('beforeunload', cleanupResources);`,
 
-            intervalMonitoring: () => `
+            intervalMonitoring: (checks, period = 2000) => `
     // Interval monitoring for dynamic content
     window.__scriptIntervals = window.__scriptIntervals || [];
     
+    function hasTargetElements() {
+        const checks = [
+${checks.map(check => `            () => ${check}`).join(',\n')}
+        ];
+        return checks.some(check => {
+            try {
+                return check();
+            } catch (e) {
+                return false;
+            }
+        });
+    }
+    
     const monitoringInterval = setInterval(() => {
-        const elements = document.querySelectorAll(selector);
-        if (elements.length > 0) {
+        if (hasTargetElements()) {
             applyModifications();
         }
-    }, 2000); // Check every 2 seconds
+    }, ${period}); // Check every ${period}ms
     
     window.__scriptIntervals.push(monitoringInterval);`,
 
@@ -346,39 +580,38 @@ class ScriptBuilder {
         return [];
     }`,
 
-            vdpDetection: () => `
-    // VDP (Vehicle Detail Page) detection
-    function isVDP() {
-        const indicators = [
-            window.location.pathname.includes('/vehicle/'),
-            window.location.pathname.includes('/inventory/'),
-            document.querySelector('.vehicle-details') !== null,
-            document.querySelector('[data-vehicle-id]') !== null
-        ];
-        return indicators.some(indicator => indicator);
-    }
-    
-    if (!isVDP()) {
-        console.log('Not a VDP page, skipping');
-        return;
-    }`,
+            pageDetection: (page, profileName, { match, indicators, excluded }) => {
+                const list = (checks) => checks.map(check => `            ${check}`).join(',\n');
+                const parts = [
+                    '',
+                    `    // ${page.label} (${page.title}) detection: ${profileName} profile`,
+                    `    function ${page.functionName}() {`
+                ];
+
+                if (excluded.length > 0) {
+                    parts.push(
+                        '        // Never a match on pages with these elements',
+                        '        const excluded = [',
+                        list(excluded),
+                        '        ];',
+                        '        if (excluded.some(indicator => indicator)) return false;',
+                        '        ');
+                }
 
-            srpDetection: () => `
-    // SRP (Search Results Page) detection
-    function isSRP() {
-        const indicators = [
-            window.location.pathname.includes('/search'),
-            window.location.pathname.includes('/inventory'),
-            document.querySelector('.search-results') !== null,
-            document.querySelector('.vehicle-grid') !== null
-        ];
-        return indicators.some(indicator => indicator);
-    }
-    
-    if (!isSRP()) {
-        console.log('Not an SRP page, skipping');
-        return;
-    }`,
+                parts.push(
+                    '        const indicators = [',
+                    list(indicators),
+                    '        ];',
+                    `        return indicators.${match === 'all' ? 'every' : 'some'}(indicator => indicator);`,
+                    '    }',
+                    '    ',
+                    `    if (!${page.functionName}()) {`,
+                    `        console.log('${page.skipMessage}');`,
+                    '        return;',
+                    '    }');
+
+                return parts.join('\n');
+            },
 
             customPageDetection: () => `
     // Custom page detection
@@ -406,14 +639,15 @@ class ScriptBuilder {
      * Generate action-specific code
      */
     generateActionCode(actionType, options) {
+        const str = (value) => this.literal(value);
         const actions = {
             'modify-text': (opts) => `
         // Modify text content
-        element.textContent = '${opts.newText || ''}';`,
+        element.textContent = ${str(opts.newText)};`,
 
             'modify-html': (opts) => `
         // Modify HTML content
-        element.innerHTML = \`${opts.newHTML || ''}\`;`,
+        element.innerHTML = ${str(opts.newHTML)};`,
 
             'add-element': (opts) => {
                 // Handle custom HTML mode
@@ -421,7 +655,7 @@ class ScriptBuilder {
                     const position = opts.customHtmlPosition || opts.position || 'afterend';
                     return `
         // Insert custom HTML content
-        const customHtmlContent = \`${opts.customHtmlContent}\`;
+        const customHtmlContent = ${str(opts.customHtmlContent)};
         ${this.getCustomHtmlInsertionCode(position)}`;
                 }
                 
@@ -438,18 +672,18 @@ class ScriptBuilder {
                         const match = attr.match(/^([^=]+)=["']([^"']*)["']$/);
                         if (match) {
                             const [, attrName, attrValue] = match;
-                            attributesCode += `\n        newElement.setAttribute('${attrName}', '${attrValue}');`;
+                            attributesCode += `\n        newElement.setAttribute(${str(attrName.trim())}, ${str(attrValue)});`;
                         }
                     });
                 }
                 
                 return `
         // Create and add new element
-        const newElement = document.createElement('${tagName}');
-        ${opts.className ? `newElement.className = '${opts.className}';` : ''}
-        ${opts.elementId ? `newElement.id = '${opts.elementId}';` : ''}
-        ${opts.innerHTML ? `newElement.innerHTML = \`${opts.innerHTML}\`;` : 
-          opts.elementText ? `newElement.textContent = '${opts.elementText}';` : ''}${attributesCode}
+        const newElement = document.createElement(${str(tagName)});
+        ${opts.className ? `newElement.className = ${str(opts.className)};` : ''}
+        ${opts.elementId ? `newElement.id = ${str(opts.elementId)};` : ''}
+        ${opts.innerHTML ? `newElement.innerHTML = ${str(opts.innerHTML)};` : 
+          opts.elementText ? `newElement.textContent = ${str(opts.elementText)};` : ''}${attributesCode}
         
         // Insert element
         ${this.getInsertionCode(opts.position || 'afterend')}`;
@@ -461,15 +695,15 @@ class ScriptBuilder {
 
             'add-class': (opts) => `
         // Add CSS class
-        element.classList.add('${opts.className || ''}');`,
+        element.classList.add(${str(opts.className)});`,
 
             'remove-class': (opts) => `
         // Remove CSS class
-        element.classList.remove('${opts.className || ''}');`,
+        element.classList.remove(${str(opts.className)});`,
 
             'set-attribute': (opts) => `
         // Set attribute
-        element.setAttribute('${opts.attrName || ''}', '${opts.attrValue || ''}');`,
+        element.setAttribute(${str(opts.attrName)}, ${str(opts.attrValue)});`,
 
             'apply-styles': (opts) => {
                 const styles = opts.styles || '';
@@ -477,10 +711,14 @@ class ScriptBuilder {
                 return `
         // Apply CSS styles
         ${styleLines.map(style => {
-            const [prop, value] = style.split(':').map(s => s.trim());
+            const separator = style.indexOf(':');
+            const prop = separator > -1 ? style.slice(0, separator).trim() : '';
+            const value = separator > -1 ? style.slice(separator + 1).trim() : '';
             if (prop && value) {
                 const camelProp = prop.replace(/-([a-z])/g, (g) => g[1].toUpperCase());
-                return `element.style.${camelProp} = '${value}';`;
+                return /^[a-zA-Z]+$/.test(camelProp) ?
+                    `element.style.${camelProp} = ${str(value)};` :
+                    `element.style.setProperty(${str(prop)}, ${str(value)});`;
             }
             return '';
         }).filter(s => s).join('\n        ')}`;
@@ -488,19 +726,19 @@ class ScriptBuilder {
 
             'add-listener': (opts) => `
         // Add event listener
-        element.addEventListener('${opts.eventType || 'click'}', function(event) {
+        element.addEventListener(${str(opts.eventType || 'click')}, function(event) {
             ${opts.eventCode || '// Event handler code'}
         });`,
 
             'insert-widget': (opts) => `
         // Insert widget
         const widgetContainer = document.createElement('div');
-        widgetContainer.id = '${opts.widgetId || 'custom-widget'}';
-        widgetContainer.innerHTML = \`${opts.widgetHTML || ''}\`;
+        widgetContainer.id = ${str(opts.widgetId || 'custom-widget')};
+        widgetContainer.innerHTML = ${str(opts.widgetHTML)};
         ${opts.widgetScript ? `
         // Load widget script
         const script = document.createElement('script');
-        script.src = '${opts.widgetScript}';
+        script.src = ${str(opts.widgetScript)};
         script.async = true;
         document.body.appendChild(script);` : ''}
         
@@ -527,8 +765,8 @@ class ScriptBuilder {
             'scroll-to': (opts) => `
         // Scroll to element
         element.scrollIntoView({
-            behavior: '${opts.scrollBehavior || 'smooth'}',
-            block: '${opts.scrollBlock || 'center'}'
+            behavior: ${str(opts.scrollBehavior || 'smooth')},
+            block: ${str(opts.scrollBlock || 'center')}
         });`,
 
             'clone-element': (opts) => `
@@ -542,8 +780,8 @@ class ScriptBuilder {
 
             'wrap-element': (opts) => `
         // Wrap element
-        const wrapper = document.createElement('${opts.wrapperTag || 'div'}');
-        ${opts.wrapperClass ? `wrapper.className = '${opts.wrapperClass}';` : ''}
+        const wrapper = document.createElement(${str(opts.wrapperTag || 'div')});
+        ${opts.wrapperClass ? `wrapper.className = ${str(opts.wrapperClass)};` : ''}
         element.parentNode.insertBefore(wrapper, element);
         wrapper.appendChild(element);`,
 
@@ -563,7 +801,7 @@ class ScriptBuilder {
                     'enable': 'element.disabled = false;',
                     'readonly': 'element.readOnly = true;',
                     'required': 'element.required = true;',
-                    'setValue': `element.value = '${opts.formValue || ''}';`,
+                    'setValue': `element.value = ${str(opts.formValue)};`,
                     'clear': 'element.value = \'\';'
                 };
                 return `
@@ -573,12 +811,12 @@ class ScriptBuilder {
 
             'ajax-request': (opts) => `
         // AJAX request
-        fetch('${opts.ajaxUrl || ''}', {
-            method: '${opts.ajaxMethod || 'GET'}',
+        fetch(${str(opts.ajaxUrl)}, {
+            method: ${str(opts.ajaxMethod || 'GET')},
             headers: {
                 'Content-Type': 'application/json'
             }${opts.ajaxData ? `,
-            body: '${opts.ajaxData}'` : ''}
+            body: ${str(opts.ajaxData)}` : ''}
         })
         .then(response => response.json())
         .then(data => {
@@ -592,12 +830,12 @@ class ScriptBuilder {
                     return `
         // Set cookie
         const expires = new Date();
-        expires.setDate(expires.getDate() + ${opts.cookieExpiry || 30});
-        document.cookie = '${opts.cookieName}=${opts.cookieValue}; expires=' + expires.toUTCString() + '; path=/';`;
+        expires.setDate(expires.getDate() + ${this.numberOrDefault(opts.cookieExpiry, 30)});
+        document.cookie = ${str(`${opts.cookieName || ''}=${opts.cookieValue || ''}`)} + '; expires=' + expires.toUTCString() + '; path=/';`;
                 } else if (opts.cookieAction === 'get') {
                     return `
         // Get cookie
-        const name = '${opts.cookieName}=';
+        const name = ${str(`${opts.cookieName || ''}=`)};
         const decodedCookie = decodeURIComponent(document.cookie);
         const ca = decodedCookie.split(';');
         for(let c of ca) {
@@ -609,7 +847,7 @@ class ScriptBuilder {
                 } else {
                     return `
         // Delete cookie
-        document.cookie = '${opts.cookieName}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;';`;
+        document.cookie = ${str(`${opts.cookieName || ''}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;`)};`;
                 }
             },
 
@@ -617,16 +855,16 @@ class ScriptBuilder {
                 if (opts.storageAction === 'set') {
                     return `
         // Set localStorage item
-        localStorage.setItem('${opts.storageKey}', '${opts.storageValue || ''}');`;
+        localStorage.setItem(${str(opts.storageKey)}, ${str(opts.storageValue)});`;
                 } else if (opts.storageAction === 'get') {
                     return `
         // Get localStorage item
-        const value = localStorage.getItem('${opts.storageKey}');
+        const value = localStorage.getItem(${str(opts.storageKey)});
         console.log('Storage value:', value);`;
                 } else if (opts.storageAction === 'remove') {
                     return `
         // Remove localStorage item
-        localStorage.removeItem('${opts.storageKey}');`;
+        localStorage.removeItem(${str(opts.storageKey)});`;
                 } else {
                     return `
         // Clear all localStorage
@@ -676,27 +914,45 @@ class ScriptBuilder {
     generateScript(config) {
         const {
             scriptName = 'custom-script',
-            scriptDescription = '',
-            targetSelector = '',
-            fallbackSelectors = [],
-            actionType = '',
-            actionOptions = {},
-            features = {},
-            waitForElement: shouldWaitForElement = false
+            scriptDescription = ''
         } = config;
+        
+        // Pull in features that enabled features depend on
+        const { features } = this.resolveFeatures(config.features);
 
         let script = [];
 
         // Add header with features
         const enabledFeatures = Object.keys(features).filter(f => features[f]);
-        script.push(this.templates.header(scriptDescription, enabledFeatures));
-        script.push('');
+        if (this.settings.headerStyle !== 'none') {
+            script.push(this.templates.header(scriptDescription, enabledFeatures, this.settings.headerStyle));
+            script.push('');
+        }
 
         // Main function wrapper
         script.push('// Main function with descriptive name');
         script.push(`function ${this.functionNameFromScriptName(scriptName)}() {`);
         script.push('    \'use strict\';');
         script.push('    ');
+        script.push(`    const DEBUG = ${!!features.debugMode};`);
+        script.push('    ');
+        
+        // Guard on the run conditions before anything marks the script as executed
+        const runConditions = this.normalizeRunConditions(config);
+        if (runConditions.groups.length > 0) {
+            const groups = runConditions.groups.map(group => ({
+                match: group.match,
+                conditions: group.conditions.map(condition => ({
+                    code: this.compileRunCondition(condition),
+                    description: this.lineCommentText(this.describeRunCondition(condition))
+                }))
+            }));
+            const code = groups.flatMap(group => group.conditions.map(condition => condition.code)).join('\n');
+            const helpers = ['getCookie', 'getStorageItem', 'isWithinSchedule'].filter(helper => code.includes(`${helper}(`));
+
+            script.push(this.indent(this.templates.runConditions(groups, runConditions.match, helpers), 1));
+            script.push('    ');
+        }
         
         // Add prevent duplicates if enabled
         if (features.preventDuplicates) {
@@ -706,7 +962,7 @@ class ScriptBuilder {
         
         // Add debouncing if enabled
         if (features.debouncing) {
-            script.push(this.indent(this.templates.debouncing(), 1));
+            script.push(this.indent(this.templates.debouncing(this.settings.debounceDelay), 1));
             script.push('    ');
             script.push('    if (!shouldExecute()) return;');
             script.push('    ');
@@ -714,7 +970,6 @@ class ScriptBuilder {
 
         // Add debug mode
         if (features.debugMode) {
-            script.push('    const DEBUG = true;');
             script.push('    if (DEBUG) console.log(\'Script executing...\');');
             script.push('    ');
         }
@@ -731,16 +986,15 @@ class ScriptBuilder {
             script.push('    ');
         }
         
-        // Add page detection if enabled
-        if (features.vdpDetection) {
-            script.push(this.indent(this.templates.vdpDetection(), 1));
-            script.push('    ');
-        }
-        
-        if (features.srpDetection) {
-            script.push(this.indent(this.templates.srpDetection(), 1));
-            script.push('    ');
-        }
+        // Add page detection if enabled, using the checks of the detection profile
+        const detectionProfile = this.normalizeDetectionProfile(config);
+        Object.entries(this.detectionPages).forEach(([page, definition]) => {
+            if (features[definition.feature]) {
+                const checks = this.compileDetectionChecks(detectionProfile[page]);
+                script.push(this.indent(this.templates.pageDetection(definition, this.lineCommentText(detectionProfile.name), checks), 1));
+                script.push('    ');
+            }
+        });
         
         if (features.customPageDetection) {
             script.push(this.indent(this.templates.customPageDetection(), 1));
@@ -771,85 +1025,73 @@ class ScriptBuilder {
             script.push('    ');
         }
 
-        // Add modification function
-        script.push('    /**');
-        script.push('     * Apply modifications to target elements');
-        script.push('     */');
-        script.push('    function applyModifications() {');
-        
-        // Element selection based on selector type
-        const selectorType = config.selectorType || 'css';
-        
-        if (selectorType === 'xpath') {
-            script.push('        // XPath selector');
-            script.push(`        const xpath = '${targetSelector}';`);
-            script.push('        const xpathResult = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);');
-            script.push('        const elements = [];');
-            script.push('        for (let i = 0; i < xpathResult.snapshotLength; i++) {');
-            script.push('            elements.push(xpathResult.snapshotItem(i));');
-            script.push('        }');
-        } else if (fallbackSelectors && fallbackSelectors.length > 0) {
-            const allSelectors = [targetSelector, ...fallbackSelectors].filter(s => s);
-            script.push('        // Try selectors with fallbacks');
-            script.push(`        const selectors = ${JSON.stringify(allSelectors)};`);
-            script.push('        let elements = null;');
-            script.push('        ');
-            script.push('        for (const selector of selectors) {');
-            script.push('            try {');
-            script.push('                elements = document.querySelectorAll(selector);');
-            script.push('                if (elements.length > 0) {');
-            script.push('                    if (DEBUG) console.log(`Found ${elements.length} elements with selector: ${selector}`);');
-            script.push('                    break;');
-            script.push('                }');
-            script.push('            } catch (e) {');
-            script.push('                console.warn(`Invalid selector: ${selector}`);');
-            script.push('            }');
-            script.push('        }');
+        // Add modification functions, one per target when there are several
+        const targets = this.normalizeTargets(config);
+        const runners = targets.map((target, index) => ({
+            target,
+            call: targets.length === 1 ? 'applyModifications' : `applyTarget${index + 1}`
+        }));
+
+        if (targets.length === 1) {
+            script.push('    /**');
+            script.push('     * Apply modifications to target elements');
+            script.push('     */');
+            script.push('    function applyModifications() {');
+            script.push(...this.generateTargetCode(targets[0]));
+            script.push('    }');
+            script.push('    ');
         } else {
-            script.push('        // Select target elements');
-            script.push(`        const elements = document.querySelectorAll('${targetSelector}');`);
-        }
+            runners.forEach(({ target, call }, index) => {
+                script.push('    /**');
+                script.push(`     * Target ${index + 1}: ${this.commentText(target.targetSelector)}`);
+                script.push('     */');
+                script.push(`    function ${call}() {`);
+                script.push(...this.generateTargetCode(target));
+                script.push('    }');
+                script.push('    ');
+            });
 
-        script.push('        ');
-        script.push('        if (!elements || elements.length === 0) {');
-        script.push(`            console.warn('No elements found for selector: ${targetSelector}');`);
-        script.push('            return;');
-        script.push('        }');
-        script.push('        ');
+            script.push('    /**');
+            script.push('     * Apply modifications to all targets');
+            script.push('     */');
+            script.push('    function applyModifications() {');
+            runners.forEach(({ call }) => script.push(`        ${call}();`));
+            script.push('    }');
+            script.push('    ');
+        }
 
-        // Apply action to elements
-        script.push('        // Apply modifications to each element');
-        script.push('        elements.forEach((element, index) => {');
-        script.push('            try {');
-        
-        // Add action code
-        const actionCode = this.generateActionCode(actionType, actionOptions);
-        script.push(this.indent(actionCode, 4));
-        
-        script.push('                ');
-        script.push('                if (DEBUG) console.log(`Modified element ${index + 1}/${elements.length}`);');
-        script.push('            } catch (error) {');
-        script.push('                console.error(`Failed to modify element ${index}:`, error);');
-        script.push('            }');
-        script.push('        });');
-        script.push('    }');
-        script.push('    ');
+        // Add wait for element for targets that need it
+        const waitingRunners = runners.filter(({ target }) => target.waitForElement);
+        const immediateRunners = runners.filter(({ target }) => !target.waitForElement);
 
-        // Add wait for element if needed
-        if (shouldWaitForElement) {
-            script.push(this.indent(this.templates.waitForElement(targetSelector), 1));
+        if (waitingRunners.length > 0) {
+            script.push(this.indent(this.templates.waitForElement(waitingRunners[0].target.targetSelector, this.settings.waitTimeout), 1));
             script.push('    ');
-            script.push('    // Wait for element and apply modifications');
-            script.push(`    waitForElement('${targetSelector}')`);
-            script.push('        .then(() => applyModifications())');
-            script.push('        .catch(error => console.error(\'Element wait failed:\', error));');
-        } else {
+            waitingRunners.forEach(({ target, call }) => {
+                script.push('    // Wait for element and apply modifications');
+                script.push(target.selectorType === 'xpath' ?
+                    `    waitForElement(${this.literal(target.targetSelector)}, true)` :
+                    `    waitForElement(${this.literal(target.targetSelector)})`);
+                script.push(`        .then(() => ${call}())`);
+                script.push('        .catch(error => console.error(\'Element wait failed:\', error));');
+            });
+        }
+
+        if (immediateRunners.length > 0) {
+            const calls = immediateRunners.length === runners.length ?
+                ['applyModifications'] :
+                immediateRunners.map(({ call }) => call);
+
+            if (waitingRunners.length > 0) {
+                script.push('    ');
+            }
+
             // Add error handling wrapper
             if (features.errorHandling) {
-                script.push(this.indent(this.templates.errorHandling(), 1));
+                script.push(this.indent(this.templates.errorHandling(calls), 1));
             } else {
                 script.push('    // Execute modifications');
-                script.push('    applyModifications();');
+                calls.forEach(call => script.push(`    ${call}();`));
             }
         }
 
@@ -862,7 +1104,8 @@ class ScriptBuilder {
         // Add interval monitoring if enabled
         if (features.intervalMonitoring) {
             script.push('    ');
-            script.push(this.indent(this.templates.intervalMonitoring(), 1));
+            const checks = targets.flatMap(target => this.getTargetCheckCode(target));
+            script.push(this.indent(this.templates.intervalMonitoring(checks, this.settings.intervalPeriod), 1));
         }
         
         // Add URL change monitoring if enabled
@@ -911,28 +1154,731 @@ class ScriptBuilder {
 
         script.push('})();');
 
-        return script.join('\n');
+        return this.applyIndentWidth(script.join('\n'));
+    }
+
+    /**
+     * Generate element selection and modification code for one target
+     */
+    generateTargetCode(target) {
+        const { targetSelector, selectorType, fallbackSelectors, actions } = target;
+        const code = [];
+        
+        // Element selection based on selector type
+        
+        if (selectorType === 'xpath') {
+            code.push('        // XPath selector');
+            code.push(`        const xpath = ${this.literal(targetSelector)};`);
+            code.push('        const xpathResult = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);');
+            code.push('        const elements = [];');
+            code.push('        for (let i = 0; i < xpathResult.snapshotLength; i++) {');
+            code.push('            elements.push(xpathResult.snapshotItem(i));');
+            code.push('        }');
+        } else if (fallbackSelectors && fallbackSelectors.length > 0) {
+            const allSelectors = [targetSelector, ...fallbackSelectors].filter(s => s);
+            code.push('        // Try selectors with fallbacks');
+            code.push(`        const selectors = [${allSelectors.map(selector => this.literal(selector)).join(', ')}];`);
+            code.push('        let elements = null;');
+            code.push('        ');
+            code.push('        for (const selector of selectors) {');
+            code.push('            try {');
+            code.push('                elements = document.querySelectorAll(selector);');
+            code.push('                if (elements.length > 0) {');
+            code.push('                    if (DEBUG) console.log(`Found ${elements.length} elements with selector: ${selector}`);');
+            code.push('                    break;');
+            code.push('                }');
+            code.push('            } catch (e) {');
+            code.push('                console.warn(`Invalid selector: ${selector}`);');
+            code.push('            }');
+            code.push('        }');
+        } else {
+            code.push('        // Select target elements');
+            code.push(`        const elements = document.querySelectorAll(${this.literal(targetSelector)});`);
+        }
+
+        code.push('        ');
+        code.push('        if (!elements || elements.length === 0) {');
+        code.push(`            console.warn(${this.literal(`No elements found for selector: ${targetSelector}`)});`);
+        code.push('            return;');
+        code.push('        }');
+        code.push('        ');
+
+        // Apply action to elements
+        code.push('        // Apply modifications to each element');
+        code.push('        elements.forEach((element, index) => {');
+        code.push('            try {');
+        
+        // Add action code; multiple steps get their own block scope
+        if (actions.length === 1) {
+            const actionCode = this.generateActionCode(actions[0].actionType, actions[0].actionOptions);
+            code.push(this.indent(actionCode, 4));
+        } else {
+            actions.forEach((action, index) => {
+                const actionCode = this.generateActionCode(action.actionType, action.actionOptions);
+                code.push(`                // Step ${index + 1}: ${this.lineCommentText(action.actionType)}`);
+                code.push('                {');
+                code.push(this.indent(actionCode, 3));
+                code.push('                }');
+            });
+        }
+        
+        code.push('                ');
+        code.push('                if (DEBUG) console.log(`Modified element ${index + 1}/${elements.length}`);');
+        code.push('            } catch (error) {');
+        code.push('                console.error(`Failed to modify element ${index}:`, error);');
+        code.push('            }');
+        code.push('        });');
+        
+        return code;
+    }
+
+    /**
+     * Get expressions that check whether a target's elements are on the page
+     */
+    getTargetCheckCode(target) {
+        if (target.selectorType === 'xpath') {
+            return [`document.evaluate(${this.literal(target.targetSelector)}, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue !== null`];
+        }
+
+        return [target.targetSelector, ...target.fallbackSelectors]
+            .filter(selector => selector)
+            .map(selector => `document.querySelector(${this.literal(selector)}) !== null`);
+    }
+
+    /**
+     * Get the targets of a config, falling back to the single top-level
+     * selector and actions used by older configs
+     */
+    normalizeTargets(config) {
+        const targets = Array.isArray(config.targets) && config.targets.length > 0 ?
+            config.targets :
+            [config];
+
+        return targets.map(target => ({
+            ...target,
+            targetSelector: target.targetSelector || '',
+            selectorType: target.selectorType || 'css',
+            fallbackSelectors: target.fallbackSelectors || [],
+            waitForElement: !!target.waitForElement,
+            actions: this.normalizeActions(target)
+        }));
+    }
+
+    /**
+     * Get the run conditions of a config as { match, groups }, dropping
+     * conditions without a type and groups without conditions
+     */
+    normalizeRunConditions(config) {
+        const runConditions = config.runConditions || {};
+        const groups = (Array.isArray(runConditions.groups) ? runConditions.groups : [])
+            .map(group => ({
+                match: group.match === 'any' ? 'any' : 'all',
+                conditions: (group.conditions || []).filter(condition => condition && this.runConditionDefinitions.types[condition.type])
+            }))
+            .filter(group => group.conditions.length > 0);
+
+        return { match: runConditions.match === 'any' ? 'any' : 'all', groups };
+    }
+
+    /**
+     * Compile a run condition into a JavaScript expression
+     */
+    compileRunCondition(condition) {
+        const { type, operator, name, value = '' } = condition;
+        const str = (text) => this.literal(text);
+        const textMatch = (subject) => ({
+            contains: `${subject}.includes(${str(value)})`,
+            startsWith: `${subject}.startsWith(${str(value)})`,
+            matches: `new RegExp(${str(value)}).test(${subject})`
+        }[operator] || `${subject} === ${str(value)}`);
+
+        let code;
+        switch (type) {
+            case 'path':
+                code = textMatch('window.location.pathname');
+                break;
+            case 'hostname': {
+                const host = String(value).trim().toLowerCase();
+                code = operator === 'domain' ?
+                    `(window.location.hostname === ${str(host)} || window.location.hostname.endsWith(${str(`.${host}`)}))` :
+                    operator === 'equals' ? `window.location.hostname === ${str(host)}` : textMatch('window.location.hostname');
+                break;
+            }
+            case 'queryParam':
+                code = operator === 'exists' ?
+                    `new URLSearchParams(window.location.search).has(${str(name)})` :
+                    textMatch(`(new URLSearchParams(window.location.search).get(${str(name)}) || '')`);
+                break;
+            case 'cookie':
+                code = operator === 'exists' ? `getCookie(${str(name)}) !== null` : `getCookie(${str(name)}) === ${str(value)}`;
+                break;
+            case 'localStorage':
+                code = operator === 'exists' ? `getStorageItem(${str(name)}) !== null` : `getStorageItem(${str(name)}) === ${str(value)}`;
+                break;
+            case 'element':
+                code = `document.querySelector(${str(value)}) !== null`;
+                break;
+            case 'viewport': {
+                const bounds = [];
+                if (condition.min !== '' && condition.min !== undefined) bounds.push(`window.innerWidth >= ${this.numberOrDefault(condition.min, 0)}`);
+                if (condition.max !== '' && condition.max !== undefined) bounds.push(`window.innerWidth <= ${this.numberOrDefault(condition.max, 0)}`);
+                code = bounds.length > 1 ? `(${bounds.join(' && ')})` : bounds[0] || 'true';
+                break;
+            }
+            case 'schedule': {
+                const days = (condition.days || []).map(Number).filter(day => day >= 0 && day <= 6);
+                code = `isWithinSchedule([${days.join(', ')}], ${this.timeToMinutes(condition.start, 0)}, ${this.timeToMinutes(condition.end, 24 * 60)})`;
+                break;
+            }
+        }
+
+        if (!condition.negate) return code;
+        // Presence checks negate to the opposite comparison
+        return /^[^&|]* !== null$/.test(code) ? code.replace(/ !== null$/, ' === null') : `!(${code})`;
+    }
+
+    /**
+     * Describe a run condition, e.g. 'URL path contains "/inventory/"'
+     */
+    describeRunCondition(condition) {
+        const { types, operators, days } = this.runConditionDefinitions;
+        const definition = types[condition.type];
+        if (!definition) return condition.type || '';
+
+        const not = condition.negate ? 'NOT ' : '';
+        switch (condition.type) {
+            case 'element':
+                return `${not}Element exists: ${condition.value || ''}`;
+            case 'viewport': {
+                const bounds = [];
+                if (condition.min !== '' && condition.min !== undefined) bounds.push(`at least ${condition.min}px`);
+                if (condition.max !== '' && condition.max !== undefined) bounds.push(`at most ${condition.max}px`);
+                return `${not}Viewport width ${bounds.join(' and ')}`;
+            }
+            case 'schedule': {
+                const dayNames = (condition.days || []).map(day => days[day]).filter(Boolean);
+                return `${not}${dayNames.length > 0 ? dayNames.join(', ') : 'Every day'} ${condition.start || '00:00'}–${condition.end || '24:00'}`;
+            }
+        }
+
+        const subject = definition.named ? `${definition.label} "${condition.name || ''}"` : definition.label;
+        const operator = operators[condition.operator] || operators.equals;
+        return condition.operator === 'exists' ?
+            `${not}${subject} ${operator}` :
+            `${not}${subject} ${operator} "${condition.value || ''}"`;
+    }
+
+    /**
+     * Check the run conditions of a config, returning error messages
+     */
+    validateRunConditions(config) {
+        const errors = [];
+        const { groups } = this.normalizeRunConditions(config);
+        const isSet = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+        groups.forEach((group, groupIndex) => group.conditions.forEach((condition, index) => {
+            const prefix = `Run condition ${groupIndex + 1}.${index + 1}`;
+            const definition = this.runConditionDefinitions.types[condition.type];
+
+            if (definition.named && !isSet(condition.name)) {
+                errors.push(`${prefix}: a name is required`);
+            }
+            if (definition.operators && condition.operator !== 'exists' && !isSet(condition.value)) {
+                errors.push(`${prefix}: a value is required`);
+            }
+            if (condition.operator === 'matches' && isSet(condition.value)) {
+                try {
+                    new RegExp(condition.value);
+                } catch (e) {
+                    errors.push(`${prefix}: invalid regular expression`);
+                }
+            }
+
+            switch (condition.type) {
+                case 'element':
+                    if (!isSet(condition.value)) {
+                        errors.push(`${prefix}: a selector is required`);
+                    } else {
+                        try {
+                            document.querySelector(condition.value);
+                        } catch (e) {
+                            errors.push(`${prefix}: invalid CSS selector`);
+                        }
+                    }
+                    break;
+                case 'viewport': {
+                    const min = parseFloat(condition.min);
+                    const max = parseFloat(condition.max);
+                    if (!Number.isFinite(min) && !Number.isFinite(max)) {
+                        errors.push(`${prefix}: a minimum or maximum width is required`);
+                    } else if (min > max) {
+                        errors.push(`${prefix}: the minimum width is larger than the maximum`);
+                    }
+                    break;
+                }
+                case 'schedule':
+                    if ([condition.start, condition.end].some(time => isSet(time) && this.timeToMinutes(time, null) === null)) {
+                        errors.push(`${prefix}: times must be in HH:MM format`);
+                    } else if (!(condition.days || []).length && !isSet(condition.start) && !isSet(condition.end)) {
+                        errors.push(`${prefix}: pick days or a time window`);
+                    }
+                    break;
+            }
+        }));
+
+        return errors;
+    }
+
+    /**
+     * Convert an HH:MM time to minutes after midnight, falling back when it
+     * is empty or invalid
+     */
+    timeToMinutes(time, fallback) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+        if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return fallback;
+        return Math.min(24 * 60, Number(match[1]) * 60 + Number(match[2]));
+    }
+
+    /**
+     * Get the detection profile of a config with every page type's checks
+     * filled in; configs without one use the built-in profile
+     */
+    normalizeDetectionProfile(config) {
+        const profile = config.detectionProfile || this.getDefaultDetectionProfile();
+        const list = (values) => (Array.isArray(values) ? values : [])
+            .map(value => String(value).trim())
+            .filter(value => value);
+
+        // Names go into generated comments and one-line labels, so control
+        // characters and line breaks become spaces
+        const normalized = {
+            id: profile.id || '',
+            name: String(profile.name || '').replace(/\s*[\u0000-\u001f\u007f\u2028\u2029]+\s*/g, ' ').trim() || 'Untitled',
+            description: profile.description || ''
+        };
+        Object.keys(this.detectionPages).forEach(page => {
+            const checks = profile[page] || {};
+            normalized[page] = {
+                match: checks.match === 'all' ? 'all' : 'any',
+                urlPatterns: list(checks.urlPatterns),
+                requiredSelectors: list(checks.requiredSelectors),
+                forbiddenSelectors: list(checks.forbiddenSelectors),
+                metaTags: list(checks.metaTags)
+            };
+        });
+        return normalized;
+    }
+
+    /**
+     * Compile the checks of one page type into { match, indicators, excluded }
+     * expressions. With match 'all' the URL patterns count as one indicator
+     * that any of them satisfies.
+     */
+    compileDetectionChecks(checks) {
+        const urls = checks.urlPatterns.map(pattern => this.compileUrlPattern(pattern));
+        const selectors = [
+            ...checks.requiredSelectors,
+            ...checks.metaTags.map(tag => this.getMetaTagSelector(tag))
+        ].map(selector => `document.querySelector(${this.literal(selector)}) !== null`);
+
+        return {
+            match: checks.match,
+            indicators: checks.match === 'all' && urls.length > 1 ?
+                [`(${urls.join(' || ')})`, ...selectors] :
+                [...urls, ...selectors],
+            excluded: checks.forbiddenSelectors.map(selector => `document.querySelector(${this.literal(selector)}) !== null`)
+        };
+    }
+
+    /**
+     * Compile a URL path pattern, where * matches any characters, into a
+     * check of the page's pathname
+     */
+    compileUrlPattern(pattern) {
+        const path = 'window.location.pathname';
+        const inner = pattern.replace(/^\*/, '').replace(/\*$/, '');
+
+        if (!inner.includes('*')) {
+            const starts = pattern.startsWith('*');
+            const ends = pattern.endsWith('*') && pattern.length > 1;
+            if (starts && ends) return `${path}.includes(${this.literal(inner)})`;
+            if (ends) return `${path}.startsWith(${this.literal(inner)})`;
+            if (starts && inner) return `${path}.endsWith(${this.literal(inner)})`;
+            if (!starts) return `${path} === ${this.literal(pattern)}`;
+        }
+
+        // "<" is escaped like in string literals, so the script can be inlined in a <script> tag
+        const source = pattern.split('*')
+            .map(part => part.replace(/[\\^$.|?+()[\]{}/]/g, '\\$&').replace(/</g, '\\x3c'))
+            .join('.*');
+        return `/^${source}$/.test(${path})`;
+    }
+
+    /**
+     * Get the selector of a meta tag check: "name" requires the tag,
+     * "name=text" also requires its content to contain the text (any case).
+     * The name is matched against both name and property attributes.
+     */
+    getMetaTagSelector(tag) {
+        const separator = tag.indexOf('=');
+        const name = (separator === -1 ? tag : tag.slice(0, separator)).trim();
+        const content = separator === -1 ? '' : tag.slice(separator + 1).trim();
+        const quote = (value) => `"${value.replace(/["\\]/g, '\\$&')}"`;
+        const contentFilter = content ? `[content*=${quote(content)} i]` : '';
+
+        return ['name', 'property']
+            .map(attribute => `meta[${attribute}=${quote(name)}]${contentFilter}`)
+            .join(', ');
+    }
+
+    /**
+     * Describe the checks of one page type, one line each
+     */
+    describeDetectionChecks(checks) {
+        return [
+            checks.match === 'all' ? 'All of:' : 'Any of:',
+            ...checks.urlPatterns.map(pattern => `URL path ${pattern}`),
+            ...checks.requiredSelectors.map(selector => `Element ${selector}`),
+            ...checks.metaTags.map(tag => `Meta tag ${tag}`),
+            ...checks.forbiddenSelectors.map(selector => `Never with element ${selector}`)
+        ];
+    }
+
+    /**
+     * Check a detection profile, returning error messages. pages lists the
+     * page types that must have checks, e.g. those whose feature is enabled.
+     */
+    validateDetectionProfile(profile, pages = []) {
+        const errors = [];
+        const prefix = `Detection profile "${profile.name}"`;
+        const isValidSelector = (selector) => {
+            try {
+                document.querySelector(selector);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        };
+
+        Object.entries(this.detectionPages).forEach(([page, definition]) => {
+            const checks = profile[page];
+            const label = `${prefix}: ${definition.label}`;
+
+            if (pages.includes(page) && checks.urlPatterns.length + checks.requiredSelectors.length + checks.metaTags.length === 0) {
+                errors.push(`${label} detection needs a URL pattern, selector or meta tag`);
+            }
+            checks.urlPatterns
+                .filter(pattern => !/^[/*]\S*$/.test(pattern))
+                .forEach(pattern => errors.push(`${label} URL pattern "${pattern}" must start with / or * and have no spaces`));
+            [...checks.requiredSelectors, ...checks.forbiddenSelectors]
+                .filter(selector => !isValidSelector(selector))
+                .forEach(selector => errors.push(`${label} selector "${selector}" is not a valid CSS selector`));
+            checks.metaTags
+                .filter(tag => !isValidSelector(this.getMetaTagSelector(tag)) || tag.trim().startsWith('='))
+                .forEach(tag => errors.push(`${label} meta tag "${tag}" needs a name, e.g. og:type=vehicle`));
+        });
+
+        return errors;
+    }
+
+    /**
+     * Get the metadata of a config. The dealer ID falls back to the default
+     * from settings; tags are trimmed, lowercased and unique.
+     */
+    normalizeMetadata(config) {
+        const metadata = config.metadata || {};
+        const tags = Array.isArray(metadata.tags) ? metadata.tags : String(metadata.tags || '').split(',');
+
+        return {
+            dealerId: String(metadata.dealerId || '').trim() || this.settings.dealerId || '',
+            environment: metadata.environment || '',
+            tags: [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(tag => tag))],
+            ticket: String(metadata.ticket || '').trim()
+        };
+    }
+
+    /**
+     * Get the ordered action steps of a config, falling back to the single
+     * actionType/actionOptions pair used by older configs
+     */
+    normalizeActions(config) {
+        if (Array.isArray(config.actions) && config.actions.length > 0) {
+            return config.actions
+                .filter(action => action && action.actionType)
+                .map(action => ({
+                    actionType: action.actionType,
+                    actionOptions: action.actionOptions || {}
+                }));
+        }
+
+        if (config.actionType) {
+            return [{ actionType: config.actionType, actionOptions: config.actionOptions || {} }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Describe the action steps of a config for history records
+     */
+    getActionSummary(config) {
+        return this.normalizeTargets(config)
+            .map(target => target.actions.map(action => action.actionType).join(' → '))
+            .filter(summary => summary)
+            .join(' | ');
+    }
+
+    /**
+     * Enable every feature that the enabled features depend on
+     * 
+     * Returns the resolved features, the features that were added (with the
+     * feature and symbol that needed them) and pairs of conflicting features.
+     */
+    resolveFeatures(features = {}) {
+        const resolved = { ...features };
+        const added = [];
+        const isEnabled = (feature) => !!resolved[feature];
+        const definitions = this.featureDefinitions;
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            const enabled = Object.keys(definitions).filter(isEnabled);
+            const provided = new Set(this.coreSymbols);
+            enabled.forEach(feature => (definitions[feature].provides || []).forEach(symbol => provided.add(symbol)));
+
+            enabled.forEach(feature => {
+                (definitions[feature].requires || [])
+                    .filter(symbol => !provided.has(symbol))
+                    .forEach(symbol => {
+                        const provider = this.getFeatureProviding(symbol);
+                        if (provider && !isEnabled(provider)) {
+                            resolved[provider] = true;
+                            provided.add(symbol);
+                            added.push({ feature: provider, requiredBy: feature, symbol });
+                            changed = true;
+                        }
+                    });
+            });
+        }
+
+        return {
+            features: resolved,
+            added,
+            conflicts: this.getFeatureConflicts(resolved)
+        };
+    }
+
+    /**
+     * Get the enabled features that can't work without a feature
+     */
+    getDependentFeatures(feature, features = {}) {
+        const dependents = [];
+        const removed = new Set([feature]);
+        const definitions = this.featureDefinitions;
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            Object.keys(definitions)
+                .filter(candidate => features[candidate] && !removed.has(candidate))
+                .forEach(candidate => {
+                    const needsRemoved = (definitions[candidate].requires || [])
+                        .some(symbol => removed.has(this.getFeatureProviding(symbol)));
+                    if (needsRemoved) {
+                        removed.add(candidate);
+                        dependents.push(candidate);
+                        changed = true;
+                    }
+                });
+        }
+
+        return dependents;
+    }
+
+    /**
+     * Get pairs of enabled features that can't be combined
+     */
+    getFeatureConflicts(features = {}) {
+        const conflicts = [];
+        Object.keys(this.featureDefinitions)
+            .filter(feature => features[feature])
+            .forEach(feature => {
+                (this.featureDefinitions[feature].conflicts || [])
+                    .filter(other => features[other])
+                    .filter(other => !conflicts.some(([a, b]) => a === other && b === feature))
+                    .forEach(other => conflicts.push([feature, other]));
+            });
+        return conflicts;
+    }
+
+    /**
+     * Get the feature whose template declares a symbol
+     */
+    getFeatureProviding(symbol) {
+        return Object.keys(this.featureDefinitions)
+            .find(feature => (this.featureDefinitions[feature].provides || []).includes(symbol)) || null;
+    }
+
+    /**
+     * Get the display label of a feature
+     */
+    getFeatureLabel(feature) {
+        const definition = this.featureDefinitions[feature];
+        return definition && definition.label ? definition.label : feature;
+    }
+
+    /**
+     * Encode a value as a single-quoted JavaScript string literal
+     * 
+     * Every user-supplied value interpolated into generated code goes through
+     * here. Besides quotes and backslashes, line terminators are escaped so the
+     * literal stays on one line, and "</" is escaped so the script can be inlined
+     * in a <script> tag.
+     */
+    literal(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        const escaped = text.replace(/[\\'\n\r\t\b\f\v\0\u2028\u2029]|<\/|<!--/g, (match) => {
+            const escapes = {
+                '\\': '\\\\',
+                '\'': '\\\'',
+                '\n': '\\n',
+                '\r': '\\r',
+                '\t': '\\t',
+                '\b': '\\b',
+                '\f': '\\f',
+                '\v': '\\v',
+                '\0': '\\x00',
+                '\u2028': '\\u2028',
+                '\u2029': '\\u2029',
+                '</': '<\\/',
+                '<!--': '<\\!--'
+            };
+            return escapes[match];
+        });
+        return `'${escaped}'`;
+    }
+
+    /**
+     * Make a value safe to place inside a generated block comment
+     * 
+     * Line terminators become \n, so multi-line text can be split into
+     * comment lines; "*\/" can't close the comment, and "</" and "<!--" are
+     * escaped like in literal() so the script can be inlined in a <script> tag.
+     */
+    commentText(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/\r\n?|\u2028|\u2029/g, '\n')
+            .replace(/\*\//g, '*\\/')
+            .replace(/<\/|<!--/g, (match) => match === '</' ? '<\\/' : '<\\!--');
+    }
+
+    /**
+     * Make a value safe to place inside a generated // comment, which ends
+     * at the first line terminator
+     */
+    lineCommentText(value) {
+        return this.commentText(value).replace(/\n+/g, ' ');
+    }
+
+    /**
+     * Parse a numeric option, falling back when it is empty or invalid
+     */
+    numberOrDefault(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : fallback;
     }
 
     /**
      * Convert script name to function name
      */
     functionNameFromScriptName(scriptName) {
-        return scriptName
+        const name = String(scriptName || '')
             .replace(/[^a-zA-Z0-9]/g, '_')
-            .replace(/^[0-9]/, '_$&')
             .replace(/_+/g, '_')
-            .replace(/^_|_$/g, '') || 'mainFunction';
+            .replace(/^_|_$/g, '');
+
+        if (!name) return 'customScript';
+        // Identifiers can't start with a digit or be a reserved word, and the
+        // name mustn't be shadowed by a symbol the templates declare
+        const symbols = Object.values(this.featureDefinitions).flatMap(definition => definition.provides || []);
+        const taken = /^[0-9]/.test(name) || this.reservedWords.has(name) ||
+            this.coreSymbols.includes(name) || symbols.includes(name);
+        return taken ? `_${name}` : name;
     }
 
     /**
      * Indent text
+     * 
+     * Templates are written with four-space indentation; generateScript
+     * converts it to the configured width once the script is assembled.
      */
     indent(text, level = 1) {
         const spaces = '    '.repeat(level);
         return text.split('\n').map(line => spaces + line).join('\n');
     }
 
+    /**
+     * Convert four-space template indentation to the configured indent width
+     */
+    applyIndentWidth(code) {
+        const width = this.settings.indentWidth;
+        if (width === 4) return code;
+
+        return code.replace(/^ +/gm, (spaces) => {
+            return ' '.repeat(Math.floor(spaces.length / 4) * width + spaces.length % 4);
+        });
+    }
+
+    /**
+     * Build the display and file name of a script from the name pattern
+     * 
+     * Supported tokens: {name}, {dealer}, {version} and {date} (YYYYMMDD).
+     * Separators around empty tokens are collapsed.
+     */
+    formatScriptName(name, {
+        version = 'V1',
+        dealerId = this.settings.dealerId,
+        pattern = this.settings.scriptNamePattern || '{name}'
+    } = {}) {
+        const date = new Date();
+        const tokens = {
+            name: name || '',
+            dealer: dealerId || '',
+            version: version || '',
+            date: `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`
+        };
+
+        // Mark empty tokens so the separator next to them can be dropped
+        const formatted = pattern
+            .replace(/\{(name|dealer|version|date)\}/g, (match, token) => tokens[token] || '\u0000')
+            .replace(/^(\u0000[-_ .]*)+/, '')
+            .replace(/[-_ .]*\u0000/g, '')
+            .trim();
+
+        return formatted || name || 'custom-script';
+    }
+
+    /**
+     * Format a script name for a version. Patterns without {version} get the
+     * version appended from V2 on, replacing a version the name already ends with.
+     */
+    formatVersionedName(name, version, options = {}) {
+        const pattern = options.pattern || this.settings.scriptNamePattern || '{name}';
+        const formatted = this.formatScriptName(name, { ...options, version });
+
+        if (pattern.includes('{version}')) {
+            return formatted;
+        }
+
+        const versionSuffix = /([-_ .])v\d+$/i;
+        if (versionSuffix.test(formatted)) {
+            return formatted.replace(versionSuffix, `$1${version}`);
+        }
+
+        return version === 'V1' ? formatted : `${formatted}-${version}`;
+    }
+
     /**
      * Validate configuration
      */
@@ -943,21 +1889,43 @@ class ScriptBuilder {
             errors.push('Script name is required');
         }
 
-        if (!config.targetSelector) {
-            errors.push('Target selector is required');
-        }
+        const targets = this.normalizeTargets(config);
+        targets.forEach((target, index) => {
+            const prefix = targets.length > 1 ? `Target ${index + 1}: ` : '';
 
-        if (!config.actionType) {
-            errors.push('Action type is required');
-        }
+            if (!target.targetSelector) {
+                errors.push(`${prefix}Target selector is required`);
+            }
 
-        // Validate CSS selector
-        try {
-            document.querySelector(config.targetSelector);
-        } catch (e) {
-            errors.push('Invalid CSS selector');
+            if (target.actions.length === 0) {
+                errors.push(`${prefix}Action type is required`);
+            }
+
+            // Validate CSS selector
+            if (target.targetSelector && target.selectorType !== 'xpath') {
+                try {
+                    document.querySelector(target.targetSelector);
+                } catch (e) {
+                    errors.push(`${prefix}Invalid CSS selector`);
+                }
+            }
+        });
+
+        errors.push(...this.validateRunConditions(config));
+
+        const { features, conflicts } = this.resolveFeatures(config.features);
+
+        // Validate the detection profile checks of the enabled page types
+        const detectionPages = Object.keys(this.detectionPages).filter(page => features[this.detectionPages[page].feature]);
+        if (detectionPages.length > 0) {
+            errors.push(...this.validateDetectionProfile(this.normalizeDetectionProfile(config), detectionPages));
         }
 
+        // Validate feature combinations
+        conflicts.forEach(([feature, other]) => {
+            errors.push(`${this.getFeatureLabel(feature)} and ${this.getFeatureLabel(other)} can't be enabled together`);
+        });
+
         return {
             valid: errors.length === 0,
             errors
@@ -965,9 +1933,9 @@ class ScriptBuilder {
     }
 
     /**
-     * Generate and save script
+     * Generate and save script, as a new version of parentId when given
      */
-    async generateAndSave(config) {
+    async generateAndSave(config, { parentId = null } = {}) {
         // Validate config
         const validation = this.validateConfig(config);
         if (!validation.valid) {
@@ -978,23 +1946,39 @@ class ScriptBuilder {
         const code = this.generateScript(config);
 
         // Save to history
-        const scriptData = {
-            name: config.scriptName,
-            description: config.scriptDescription,
-            code: code,
-            config: config,
-            features: Object.keys(config.features).filter(f => config.features[f]),
-            actionType: config.actionType,
-            version: 'V1'
-        };
-
-        const savedScript = await window.historyManager.saveScript(scriptData);
+        const savedScript = await this.saveScript(config, code, { parentId });
         
         return {
             code,
-            script: savedScript
+            script: savedScript,
+            lint: window.scriptLinter.lint(code)
         };
     }
+
+    /**
+     * Save code generated from a config to history, as a new version of
+     * parentId when given
+     */
+    async saveScript(config, code, { parentId = null } = {}) {
+        const lineage = parentId ?
+            await window.historyManager.getNextVersion(parentId) :
+            { versionNumber: 1 };
+        const features = this.resolveFeatures(config.features || {}).features;
+        const metadata = this.normalizeMetadata(config);
+
+        return window.historyManager.saveScript({
+            name: config.scriptName ?
+                this.formatVersionedName(config.scriptName, `V${lineage.versionNumber}`, { dealerId: metadata.dealerId }) :
+                'Untitled Script',
+            description: config.scriptDescription,
+            code,
+            config,
+            features: Object.keys(features).filter(f => features[f]),
+            actionType: this.getActionSummary(config),
+            ...lineage,
+            ...metadata
+        });
+    }
 }
 
 // Export as global
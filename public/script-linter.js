@@ -0,0 +1,434 @@
+/**
+ * Script Linter Module
+ *
+ * Parses generated or hand-edited scripts with acorn and runs a small set of
+ * lint rules over the AST: syntax errors, top-level return, undeclared
+ * identifiers, unreachable code and feature blocks that are never used.
+ */
+
+class ScriptLinter {
+    constructor() {
+        this.parserOptions = {
+            ecmaVersion: 'latest',
+            sourceType: 'script',
+            allowReturnOutsideFunction: true,
+            locations: true
+        };
+
+        // Globals available to scripts running on a dealer site
+        this.globals = new Set([
+            // ECMAScript
+            'Array', 'ArrayBuffer', 'BigInt', 'Boolean', 'DataView', 'Date', 'Error', 'EvalError',
+            'Float32Array', 'Float64Array', 'Function', 'Infinity', 'Int8Array', 'Int16Array',
+            'Int32Array', 'Intl', 'JSON', 'Map', 'Math', 'NaN', 'Number', 'Object', 'Promise',
+            'Proxy', 'RangeError', 'ReferenceError', 'Reflect', 'RegExp', 'Set', 'String', 'Symbol',
+            'SyntaxError', 'TypeError', 'URIError', 'Uint8Array', 'Uint8ClampedArray', 'Uint16Array',
+            'Uint32Array', 'WeakMap', 'WeakSet', 'decodeURI', 'decodeURIComponent', 'encodeURI',
+            'encodeURIComponent', 'eval', 'globalThis', 'isFinite', 'isNaN', 'parseFloat',
+            'parseInt', 'undefined', 'arguments',
+            // Browser
+            'AbortController', 'Blob', 'CSS', 'CustomEvent', 'DOMParser', 'Element', 'Event',
+            'FormData', 'HTMLElement', 'Headers', 'Image', 'IntersectionObserver', 'MutationObserver',
+            'Node', 'NodeFilter', 'Request', 'ResizeObserver', 'Response', 'URL', 'URLSearchParams',
+            'XMLHttpRequest', 'XPathResult', 'alert', 'atob', 'btoa', 'cancelAnimationFrame',
+            'clearInterval', 'clearTimeout', 'confirm', 'console', 'crypto', 'customElements',
+            'document', 'fetch', 'getComputedStyle', 'history', 'indexedDB', 'innerHeight',
+            'innerWidth', 'localStorage', 'location', 'matchMedia', 'navigator', 'performance',
+            'prompt', 'queueMicrotask', 'requestAnimationFrame', 'requestIdleCallback', 'screen',
+            'scrollTo', 'scrollX', 'scrollY', 'self', 'sessionStorage', 'setInterval', 'setTimeout',
+            'structuredClone', 'top', 'parent', 'window'
+        ]);
+    }
+
+    /**
+     * Check whether the parser is available
+     */
+    isAvailable() {
+        return typeof window.acorn !== 'undefined';
+    }
+
+    /**
+     * Lint a script and return its diagnostics sorted by position
+     */
+    lint(code) {
+        if (!this.isAvailable()) {
+            return this.lintSyntaxOnly(code);
+        }
+
+        let ast;
+        try {
+            ast = window.acorn.parse(code, this.parserOptions);
+        } catch (error) {
+            const loc = error.loc || { line: 1, column: 0 };
+            return this.createResult([
+                this.diagnostic('syntax', 'error', error.message.replace(/\s*\(\d+:\d+\)$/, ''), loc)
+            ]);
+        }
+
+        const analysis = this.analyzeScopes(ast);
+        const diagnostics = [
+            ...this.checkTopLevelReturn(ast),
+            ...this.checkUndeclared(analysis),
+            ...this.checkUnreachable(ast),
+            ...this.checkUnused(analysis)
+        ];
+
+        return this.createResult(diagnostics);
+    }
+
+    /**
+     * Fall back to a plain syntax check when acorn failed to load
+     */
+    lintSyntaxOnly(code) {
+        try {
+            new Function(code);
+            return this.createResult([]);
+        } catch (error) {
+            return this.createResult([
+                this.diagnostic('syntax', 'error', error.message, { line: 1, column: 0 })
+            ]);
+        }
+    }
+
+    /**
+     * Build the lint result object
+     */
+    createResult(diagnostics) {
+        diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+        return {
+            valid: !diagnostics.some(d => d.severity === 'error'),
+            errors: diagnostics.filter(d => d.severity === 'error').length,
+            warnings: diagnostics.filter(d => d.severity === 'warning').length,
+            diagnostics
+        };
+    }
+
+    /**
+     * Create a diagnostic; columns are reported 1-based like editors do
+     */
+    diagnostic(rule, severity, message, loc) {
+        return {
+            rule,
+            severity,
+            message,
+            line: loc.line,
+            column: loc.column + 1
+        };
+    }
+
+    /**
+     * Report return statements outside of any function
+     */
+    checkTopLevelReturn(ast) {
+        const diagnostics = [];
+        const visit = (node) => {
+            if (!node || typeof node.type !== 'string' || this.isFunction(node)) return;
+            if (node.type === 'ReturnStatement') {
+                diagnostics.push(this.diagnostic('top-level-return', 'error',
+                    '\'return\' outside of a function', node.loc.start));
+            }
+            this.forEachChild(node, visit);
+        };
+        visit(ast);
+        return diagnostics;
+    }
+
+    /**
+     * Report references that don't resolve to a declaration or known global
+     */
+    checkUndeclared(analysis) {
+        const reported = new Set();
+        return analysis.unresolved
+            .filter(({ node, typeofGuard }) => !typeofGuard && !this.globals.has(node.name))
+            .filter(({ node }) => {
+                const key = `${node.name}:${node.loc.start.line}:${node.loc.start.column}`;
+                if (reported.has(key)) return false;
+                reported.add(key);
+                return true;
+            })
+            .map(({ node }) => this.diagnostic('no-undef', 'error',
+                `'${node.name}' is not defined`, node.loc.start));
+    }
+
+    /**
+     * Report statements that can never run
+     */
+    checkUnreachable(ast) {
+        const diagnostics = [];
+        const checkList = (statements) => {
+            const exitIndex = statements.findIndex(statement => [
+                'ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'
+            ].includes(statement.type));
+            if (exitIndex === -1) return;
+
+            const unreachable = statements.slice(exitIndex + 1)
+                .find(statement => statement.type !== 'FunctionDeclaration' && statement.type !== 'EmptyStatement');
+            if (unreachable) {
+                diagnostics.push(this.diagnostic('unreachable', 'warning',
+                    'Unreachable code', unreachable.loc.start));
+            }
+        };
+
+        const visit = (node) => {
+            if (!node || typeof node.type !== 'string') return;
+
+            if (node.type === 'Program' || node.type === 'BlockStatement') {
+                checkList(node.body);
+            } else if (node.type === 'SwitchCase') {
+                checkList(node.consequent);
+            } else if ((node.type === 'IfStatement' || node.type === 'WhileStatement') &&
+                       node.test.type === 'Literal' && !node.test.value) {
+                diagnostics.push(this.diagnostic('unreachable', 'warning',
+                    'Unreachable code: condition is always false',
+                    (node.type === 'IfStatement' ? node.consequent : node.body).loc.start));
+            }
+
+            this.forEachChild(node, visit);
+        };
+        visit(ast);
+        return diagnostics;
+    }
+
+    /**
+     * Report functions and variables inside the script that are never used
+     */
+    checkUnused(analysis) {
+        return analysis.scopes
+            .filter(scope => scope.parent)
+            .flatMap(scope => Array.from(scope.bindings.values()))
+            .filter(binding => binding.kind !== 'param' && binding.kind !== 'catch' && binding.kind !== 'self')
+            .filter(binding => !binding.references.some(reference => !this.isWithin(reference, binding.owner)))
+            .map(binding => this.diagnostic('no-unused', 'warning', binding.kind === 'function' ?
+                `Function '${binding.name}' is declared but never called` :
+                `'${binding.name}' is declared but never used`, binding.node.loc.start));
+    }
+
+    /**
+     * Build the scope tree of a program and resolve every identifier reference
+     *
+     * Returns every scope with its bindings (each binding keeps the identifier
+     * nodes declaring it and those referring to it) and the references that
+     * resolved to nothing.
+     */
+    analyzeScopes(ast) {
+        const scopes = [];
+        const references = [];
+
+        const createScope = (parent, isFunction) => {
+            const scope = { parent, isFunction, bindings: new Map() };
+            scopes.push(scope);
+            return scope;
+        };
+
+        const functionScopeOf = (scope) => {
+            while (!scope.isFunction) scope = scope.parent;
+            return scope;
+        };
+
+        const declare = (scope, identifier, kind, owner = null) => {
+            if (!scope.bindings.has(identifier.name)) {
+                scope.bindings.set(identifier.name, {
+                    name: identifier.name,
+                    kind,
+                    node: identifier,
+                    owner,
+                    declarations: [],
+                    references: []
+                });
+            }
+            // Redeclarations such as a second `var i` share the first binding
+            scope.bindings.get(identifier.name).declarations.push(identifier);
+        };
+
+        // Declare the identifiers of a binding pattern and visit its default values
+        const declarePattern = (pattern, scope, kind, valueScope) => {
+            switch (pattern.type) {
+                case 'Identifier':
+                    declare(scope, pattern, kind);
+                    break;
+                case 'ObjectPattern':
+                    pattern.properties.forEach(property => {
+                        if (property.type === 'RestElement') {
+                            declarePattern(property.argument, scope, kind, valueScope);
+                        } else {
+                            if (property.computed) visit(property.key, valueScope);
+                            declarePattern(property.value, scope, kind, valueScope);
+                        }
+                    });
+                    break;
+                case 'ArrayPattern':
+                    pattern.elements.filter(Boolean).forEach(element => declarePattern(element, scope, kind, valueScope));
+                    break;
+                case 'RestElement':
+                    declarePattern(pattern.argument, scope, kind, valueScope);
+                    break;
+                case 'AssignmentPattern':
+                    declarePattern(pattern.left, scope, kind, valueScope);
+                    visit(pattern.right, valueScope);
+                    break;
+            }
+        };
+
+        const visitFunction = (node, scope) => {
+            if (node.type === 'FunctionDeclaration' && node.id) {
+                declare(scope, node.id, 'function', node);
+            }
+
+            const functionScope = createScope(scope, true);
+            if (node.type === 'FunctionExpression' && node.id) {
+                declare(functionScope, node.id, 'self');
+            }
+            node.params.forEach(param => declarePattern(param, functionScope, 'param', functionScope));
+
+            if (node.body.type === 'BlockStatement') {
+                node.body.body.forEach(statement => visit(statement, functionScope));
+            } else {
+                visit(node.body, functionScope);
+            }
+        };
+
+        const visit = (node, scope, parent) => {
+            if (!node || typeof node.type !== 'string') return;
+
+            switch (node.type) {
+                case 'Identifier':
+                    references.push({
+                        node,
+                        scope,
+                        typeofGuard: parent && parent.type === 'UnaryExpression' && parent.operator === 'typeof'
+                    });
+                    return;
+
+                case 'FunctionDeclaration':
+                case 'FunctionExpression':
+                case 'ArrowFunctionExpression':
+                    visitFunction(node, scope);
+                    return;
+
+                case 'ClassDeclaration':
+                case 'ClassExpression': {
+                    if (node.type === 'ClassDeclaration' && node.id) declare(scope, node.id, 'class');
+                    visit(node.superClass, scope, node);
+                    const classScope = createScope(scope, false);
+                    if (node.type === 'ClassExpression' && node.id) declare(classScope, node.id, 'self');
+                    node.body.body.forEach(member => {
+                        if (member.computed) visit(member.key, classScope, member);
+                        visit(member.value, classScope, member);
+                    });
+                    return;
+                }
+
+                case 'VariableDeclaration': {
+                    const target = node.kind === 'var' ? functionScopeOf(scope) : scope;
+                    node.declarations.forEach(declarator => {
+                        declarePattern(declarator.id, target, node.kind, scope);
+                        visit(declarator.init, scope, declarator);
+                    });
+                    return;
+                }
+
+                case 'BlockStatement': {
+                    const blockScope = createScope(scope, false);
+                    node.body.forEach(statement => visit(statement, blockScope, node));
+                    return;
+                }
+
+                case 'ForStatement':
+                case 'ForInStatement':
+                case 'ForOfStatement': {
+                    const loopScope = createScope(scope, false);
+                    this.forEachChild(node, child => visit(child, loopScope, node));
+                    return;
+                }
+
+                case 'CatchClause': {
+                    const catchScope = createScope(scope, false);
+                    if (node.param) declarePattern(node.param, catchScope, 'catch', catchScope);
+                    node.body.body.forEach(statement => visit(statement, catchScope, node.body));
+                    return;
+                }
+
+                case 'MemberExpression':
+                    visit(node.object, scope, node);
+                    if (node.computed) visit(node.property, scope, node);
+                    return;
+
+                case 'Property':
+                case 'PropertyDefinition':
+                case 'MethodDefinition':
+                    if (node.computed) visit(node.key, scope, node);
+                    visit(node.value, scope, node);
+                    return;
+
+                case 'LabeledStatement':
+                    visit(node.body, scope, node);
+                    return;
+
+                case 'BreakStatement':
+                case 'ContinueStatement':
+                case 'MetaProperty':
+                    return;
+            }
+
+            this.forEachChild(node, child => visit(child, scope, node));
+        };
+
+        const globalScope = createScope(null, true);
+        ast.body.forEach(statement => visit(statement, globalScope, ast));
+
+        // Resolve references once every declaration has been hoisted
+        const unresolved = [];
+        references.forEach(reference => {
+            let scope = reference.scope;
+            while (scope && !scope.bindings.has(reference.node.name)) {
+                scope = scope.parent;
+            }
+
+            if (scope) {
+                scope.bindings.get(reference.node.name).references.push(reference.node);
+            } else {
+                unresolved.push(reference);
+            }
+        });
+
+        return { scopes, unresolved };
+    }
+
+    /**
+     * Check whether a node lies inside another node, e.g. a recursive call
+     * inside its own function
+     */
+    isWithin(node, container) {
+        return !!container && node.start >= container.start && node.end <= container.end;
+    }
+
+    /**
+     * Check whether a node is a function
+     */
+    isFunction(node) {
+        return node.type === 'FunctionDeclaration' ||
+               node.type === 'FunctionExpression' ||
+               node.type === 'ArrowFunctionExpression';
+    }
+
+    /**
+     * Call a callback for every child node of a node
+     */
+    forEachChild(node, callback) {
+        Object.keys(node).forEach(key => {
+            if (key === 'loc' || key === 'start' || key === 'end') return;
+
+            const value = node[key];
+            if (Array.isArray(value)) {
+                value.forEach(child => {
+                    if (child && typeof child.type === 'string') callback(child);
+                });
+            } else if (value && typeof value.type === 'string') {
+                callback(value);
+            }
+        });
+    }
+}
+
+// Export as global
+window.scriptLinter = new ScriptLinter();
@@ -0,0 +1,421 @@
+/**
+ * Script Minifier Module
+ *
+ * Builds the production variant of a script. The script is parsed with acorn
+ * and shrunk in three steps: code for disabled features is dropped (branches
+ * on constant flags such as `if (DEBUG)` and functions or variables nothing
+ * uses), local names are shortened using the linter's scope analysis, and the
+ * tokens are written back without comments or whitespace. Names declared at
+ * the top level are kept, as the page may refer to them.
+ */
+
+class ScriptMinifier {
+    constructor() {
+        this.parserOptions = {
+            ecmaVersion: 'latest',
+            sourceType: 'script',
+            allowReturnOutsideFunction: true,
+            locations: true
+        };
+
+        // Removing one declaration can leave another unused; stop after this many passes
+        this.maxPasses = 10;
+
+        // Names of the removals, singular and plural
+        this.labels = {
+            branch: ['constant branch', 'constant branches'],
+            function: ['unused function', 'unused functions'],
+            variable: ['unused variable', 'unused variables'],
+            renamed: ['local name shortened', 'local names shortened']
+        };
+
+        // Statements that end with a semicolon, written or inserted
+        this.semicolonTypes = new Set([
+            'ExpressionStatement', 'VariableDeclaration', 'ReturnStatement', 'BreakStatement',
+            'ContinueStatement', 'ThrowStatement', 'DoWhileStatement', 'DebuggerStatement',
+            'PropertyDefinition'
+        ]);
+
+        // Constructors that have no side effects when called without arguments
+        this.pureConstructors = new Set(['Map', 'Set', 'WeakMap', 'WeakSet', 'Array', 'Object']);
+
+        this.nameStart = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_$';
+        this.nameChars = `${this.nameStart}0123456789`;
+        this.reserved = new Set([
+            'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+            'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if',
+            'import', 'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this',
+            'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'let',
+            'static', 'implements', 'interface', 'package', 'private', 'protected', 'public',
+            'await', 'arguments', 'eval', 'undefined', 'NaN', 'Infinity'
+        ]);
+    }
+
+    /**
+     * Check whether the parser is available
+     */
+    isAvailable() {
+        return typeof window.acorn !== 'undefined';
+    }
+
+    /**
+     * Minify a script. Returns { code, removed, issues }: removed summarizes
+     * what was dropped or renamed (e.g. "2 unused functions") and issues lists
+     * why the script was left as written, as { line, column, message }.
+     */
+    minify(code) {
+        if (!this.isAvailable()) {
+            return {
+                code,
+                removed: [],
+                issues: [{ line: 1, column: 1, message: 'The JavaScript parser didn\'t load. Reload the page to try again.' }]
+            };
+        }
+
+        const counts = new Map();
+        let source = code;
+
+        try {
+            for (let pass = 0; pass < this.maxPasses; pass++) {
+                const next = this.removeDeadCode(source, counts);
+                if (next === source) break;
+                source = next;
+            }
+            source = this.compact(source, counts);
+        } catch (error) {
+            return {
+                code,
+                removed: [],
+                issues: [{
+                    line: error.loc ? error.loc.line : 1,
+                    column: error.loc ? error.loc.column + 1 : 1,
+                    message: `Syntax error: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`
+                }]
+            };
+        }
+
+        // A broken rewrite must never reach production
+        try {
+            window.acorn.parse(source, this.parserOptions);
+        } catch (error) {
+            return {
+                code,
+                removed: [],
+                issues: [{ line: 1, column: 1, message: `The minified script didn't parse: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}` }]
+            };
+        }
+
+        return {
+            code: source,
+            removed: Array.from(counts, ([key, count]) => `${count} ${this.labels[key][count === 1 ? 0 : 1]}`),
+            issues: []
+        };
+    }
+
+    /**
+     * Count a removal or rename for the summary
+     */
+    count(counts, key, amount = 1) {
+        if (amount > 0) counts.set(key, (counts.get(key) || 0) + amount);
+    }
+
+    /**
+     * Visit every node with its parent; returning false skips the children
+     */
+    walk(node, callback, parent = null) {
+        if (callback(node, parent) === false) return;
+        window.scriptLinter.forEachChild(node, child => this.walk(child, callback, node));
+    }
+
+    /**
+     * Check whether a node is a statement in a list, where it can be removed
+     * or unwrapped without changing the syntax around it
+     */
+    isListed(node, parent) {
+        if (!parent) return false;
+        if (parent.type === 'Program' || parent.type === 'BlockStatement' || parent.type === 'StaticBlock') {
+            return parent.body.includes(node);
+        }
+        return parent.type === 'SwitchCase' && parent.consequent.includes(node);
+    }
+
+    /**
+     * Check whether evaluating an initializer can have side effects
+     */
+    isPure(node) {
+        if (!node) return true;
+
+        switch (node.type) {
+            case 'Literal':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return true;
+            case 'TemplateLiteral':
+                return node.expressions.length === 0;
+            case 'UnaryExpression':
+                return ['!', '-', '+', 'void'].includes(node.operator) && this.isPure(node.argument);
+            case 'ArrayExpression':
+                return node.elements.every(element => !element || (element.type !== 'SpreadElement' && this.isPure(element)));
+            case 'ObjectExpression':
+                return node.properties.every(property => property.type === 'Property' &&
+                    (!property.computed || this.isPure(property.key)) && this.isPure(property.value));
+            case 'NewExpression':
+                return node.callee.type === 'Identifier' && this.pureConstructors.has(node.callee.name) &&
+                    node.arguments.length === 0;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Get the value of a constant condition as { value }, or null if it
+     * depends on anything but literals and constants bound to literals
+     */
+    evaluate(node, constants) {
+        if (node.type === 'Literal' && !node.regex) return { value: node.value };
+        if (node.type === 'Identifier' && constants.has(node)) return { value: constants.get(node) };
+        if (node.type === 'UnaryExpression' && node.operator === '!') {
+            const result = this.evaluate(node.argument, constants);
+            return result && { value: !result.value };
+        }
+        return null;
+    }
+
+    /**
+     * Check for eval and with, which can reach variables by name, so no
+     * declaration may be removed or renamed
+     */
+    usesDynamicScope(ast) {
+        let found = false;
+        this.walk(ast, node => {
+            if (node.type === 'WithStatement' ||
+                (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'eval')) {
+                found = true;
+            }
+            return !found;
+        });
+        return found;
+    }
+
+    /**
+     * Drop branches that can never run or always run, and declarations
+     * nothing refers to. Returns the new source, or the same source when
+     * there was nothing to remove.
+     */
+    removeDeadCode(source, counts) {
+        const ast = window.acorn.parse(source, this.parserOptions);
+        if (this.usesDynamicScope(ast)) return source;
+
+        const { scopes } = window.scriptLinter.analyzeScopes(ast);
+
+        const parents = new Map();
+        this.walk(ast, (node, parent) => { parents.set(node, parent); });
+
+        // References to constants bound to literals, e.g. `const DEBUG = false;`
+        const constants = new Map();
+        const unused = new Set();
+        scopes.filter(scope => scope.parent).forEach(scope => scope.bindings.forEach(binding => {
+            const declarator = parents.get(binding.node);
+            const isDeclarator = declarator && declarator.type === 'VariableDeclarator' && declarator.id === binding.node;
+
+            if (binding.kind === 'const' && isDeclarator && declarator.init &&
+                declarator.init.type === 'Literal' && !declarator.init.regex) {
+                binding.references.forEach(reference => constants.set(reference, declarator.init.value));
+            }
+
+            const used = binding.references.some(reference => !window.scriptLinter.isWithin(reference, binding.owner));
+            if (!used && binding.declarations.length === 1 &&
+                (binding.kind === 'function' || (isDeclarator && ['var', 'let', 'const'].includes(binding.kind)))) {
+                unused.add(binding.node);
+            }
+        }));
+
+        const edits = [];
+        this.walk(ast, (node, parent) => {
+            if (node.type === 'IfStatement') {
+                const test = this.evaluate(node.test, constants);
+                if (!test) return true;
+
+                const branch = test.value ? node.consequent : node.alternate;
+                // Braces keep the branch a single statement wherever the if stood
+                const text = !branch ? ';' :
+                    branch.type === 'BlockStatement' ? source.slice(branch.start, branch.end) :
+                    `{${source.slice(branch.start, branch.end)}}`;
+                edits.push({ start: node.start, end: node.end, text });
+                this.count(counts, 'branch');
+                return false;
+            }
+
+            if (node.type === 'FunctionDeclaration' && unused.has(node.id) && this.isListed(node, parent)) {
+                edits.push({ start: node.start, end: node.end, text: '' });
+                this.count(counts, 'function');
+                return false;
+            }
+
+            if (node.type === 'VariableDeclaration' && this.isListed(node, parent) &&
+                node.declarations.every(declarator => unused.has(declarator.id) && this.isPure(declarator.init))) {
+                edits.push({ start: node.start, end: node.end, text: '' });
+                this.count(counts, 'variable', node.declarations.length);
+                return false;
+            }
+
+            return true;
+        });
+
+        if (edits.length === 0) return source;
+
+        // Apply from the end so earlier positions stay valid
+        return edits
+            .sort((a, b) => b.start - a.start)
+            .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), source);
+    }
+
+    /**
+     * Shorten local names and write the tokens back with only the spaces
+     * and semicolons the syntax needs
+     */
+    compact(source, counts) {
+        const tokens = [];
+        const ast = window.acorn.parse(source, { ...this.parserOptions, onToken: tokens });
+
+        const semicolons = new Set();
+        const skipped = new Set();
+        const shorthand = new Set();
+
+        this.walk(ast, (node, parent) => {
+            // Statements ended by a line break need an explicit semicolon once lines are joined
+            if (this.semicolonTypes.has(node.type) && source[node.end - 1] !== ';' &&
+                !(node.type === 'VariableDeclaration' && parent && (parent.init === node || parent.left === node))) {
+                semicolons.add(node.end);
+            }
+
+            if (node.type === 'EmptyStatement' && this.isListed(node, parent)) {
+                skipped.add(node.start);
+            }
+
+            // Blocks without block-scoped declarations add nothing inside a statement list
+            if (node.type === 'BlockStatement' && this.isListed(node, parent) && !node.body.some(statement =>
+                statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration' ||
+                (statement.type === 'VariableDeclaration' && statement.kind !== 'var'))) {
+                skipped.add(node.start);
+                skipped.add(node.end - 1);
+            }
+
+            if (node.type === 'Property' && node.shorthand) {
+                shorthand.add(node.key.start);
+            }
+        });
+
+        const { renames, renamed } = this.usesDynamicScope(ast) ? { renames: new Map(), renamed: 0 } : this.assignNames(ast);
+        this.count(counts, 'renamed', renamed);
+
+        let output = '';
+        let previous = null;
+        tokens.forEach(token => {
+            if (token.type.label === 'eof' || skipped.has(token.start)) return;
+
+            let text = source.slice(token.start, token.end);
+            if (renames.has(token.start)) {
+                text = shorthand.has(token.start) ? `${text}:${renames.get(token.start)}` : renames.get(token.start);
+            }
+
+            if (output && this.needsSpace(output, text, token, previous)) output += ' ';
+            output += text;
+            previous = { token, text };
+
+            if (semicolons.has(token.end)) {
+                output += ';';
+                previous = null;
+            }
+        });
+
+        return output;
+    }
+
+    /**
+     * Check whether two tokens would run together or change meaning when
+     * written without a space between them
+     */
+    needsSpace(output, text, token, previous) {
+        // Template text is written as is
+        if (['template', 'invalidTemplate', '${'].includes(token.type.label)) return false;
+
+        const last = output[output.length - 1];
+        const first = text[0];
+        const isWord = (char) => /[\w$\\\u0080-\uffff]/.test(char);
+
+        if (isWord(last) && isWord(first)) return true;
+        // a + +b, a - --b
+        if ((last === '+' || last === '-') && first === last) return true;
+        // x / /re/ and /re/ * 2 would start comments
+        if (last === '/' && (first === '/' || first === '*')) return true;
+        // <!-- and --> start HTML-style comments in scripts
+        if ((last === '<' && first === '!') || (last === '-' && first === '>')) return true;
+        // 1 .toString() would read as a decimal point
+        if (first === '.' && previous && previous.token.type.label === 'num' && /^\d+$/.test(previous.text)) return true;
+        return false;
+    }
+
+    /**
+     * Pick short names for the bindings of every scope below the top level.
+     * Returns { renames, renamed }: a map from identifier position to new
+     * name, and how many bindings got a different name.
+     */
+    assignNames(ast) {
+        const { scopes, unresolved } = window.scriptLinter.analyzeScopes(ast);
+        const renames = new Map();
+        const scopeNames = new Map();
+
+        // Globals and top-level names must stay reachable, so no new name may shadow them
+        const kept = new Set(unresolved.map(reference => reference.node.name));
+        scopes.filter(scope => !scope.parent).forEach(scope => scope.bindings.forEach((binding, name) => kept.add(name)));
+
+        let renamed = 0;
+        scopes.forEach(scope => {
+            if (!scope.parent) return;
+
+            const taken = new Set();
+            for (let outer = scope.parent; outer; outer = outer.parent) {
+                (scopeNames.get(outer) || []).forEach(name => taken.add(name));
+            }
+
+            const own = [];
+            let index = 0;
+            Array.from(scope.bindings.values())
+                // A name also used as a global could be a sloppy-mode hoist the analysis can't follow
+                .filter(binding => !kept.has(binding.name))
+                .sort((a, b) => b.references.length - a.references.length)
+                .forEach(binding => {
+                    let name;
+                    do {
+                        name = this.generateName(index++);
+                    } while (taken.has(name) || kept.has(name) || this.reserved.has(name));
+
+                    own.push(name);
+                    if (name !== binding.name) renamed++;
+                    [...binding.declarations, ...binding.references].forEach(identifier => renames.set(identifier.start, name));
+                });
+
+            scopeNames.set(scope, own);
+        });
+
+        return { renames, renamed };
+    }
+
+    /**
+     * Generate the nth short name: a..$, then aa, ba, ...
+     */
+    generateName(index) {
+        let name = this.nameStart[index % this.nameStart.length];
+        let rest = Math.floor(index / this.nameStart.length);
+        while (rest > 0) {
+            rest--;
+            name += this.nameChars[rest % this.nameChars.length];
+            rest = Math.floor(rest / this.nameChars.length);
+        }
+        return name;
+    }
+}
+
+// Export as global
+window.scriptMinifier = new ScriptMinifier();
@@ -0,0 +1,630 @@
+/**
+ * Script Transpiler Module
+ *
+ * Converts scripts to ES5 for tag managers that reject newer syntax, such as
+ * Google Tag Manager's Custom HTML tags. The script is parsed with acorn and
+ * rebuilt from its own source text, rewriting the constructs generated
+ * scripts use: template literals, arrow functions, let/const, for...of,
+ * default and rest parameters, simple destructuring, spread arguments and
+ * shorthand properties. Anything else newer than ES5 is reported and left as
+ * written.
+ */
+
+class ScriptTranspiler {
+    constructor() {
+        this.parserOptions = {
+            ecmaVersion: 'latest',
+            sourceType: 'script',
+            allowReturnOutsideFunction: true,
+            locations: true
+        };
+        this.es5ParserOptions = {
+            ecmaVersion: 5,
+            sourceType: 'script',
+            allowReturnOutsideFunction: true,
+            locations: true
+        };
+
+        // Names of the conversions, singular and plural
+        this.labels = {
+            template: ['template literal', 'template literals'],
+            arrow: ['arrow function', 'arrow functions'],
+            declaration: ['let/const declaration', 'let/const declarations'],
+            forOf: ['for...of loop', 'for...of loops'],
+            defaultParam: ['default parameter', 'default parameters'],
+            restParam: ['rest parameter', 'rest parameters'],
+            destructuring: ['destructuring pattern', 'destructuring patterns'],
+            spread: ['spread', 'spreads'],
+            shorthand: ['shorthand property', 'shorthand properties'],
+            method: ['method shorthand', 'method shorthands']
+        };
+
+        this.loopTypes = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'];
+    }
+
+    /**
+     * Check whether the parser is available
+     */
+    isAvailable() {
+        return typeof window.acorn !== 'undefined';
+    }
+
+    /**
+     * Convert a script to ES5. Returns { code, converted, issues }: converted
+     * summarizes what was rewritten (e.g. "3 template literals") and issues
+     * lists what couldn't be, as { line, column, message }.
+     */
+    toES5(code) {
+        let ast;
+        try {
+            ast = window.acorn.parse(code, this.parserOptions);
+        } catch (error) {
+            return {
+                code,
+                converted: [],
+                issues: [this.issue(error.loc || { line: 1, column: 0 }, `Syntax error: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`)]
+            };
+        }
+
+        const run = {
+            source: code,
+            issues: [],
+            counts: new Map(),
+            names: new Set(),
+            functions: [],
+            loops: []
+        };
+
+        this.walk(ast, node => {
+            if (node.type === 'Identifier') run.names.add(node.name);
+            if (window.scriptLinter.isFunction(node)) run.functions.push(node);
+            if (this.loopTypes.includes(node.type)) run.loops.push(node);
+        });
+
+        this.checkBlockScoping(ast, run);
+        const output = this.emit(ast, run, null);
+
+        // Anything the conversion missed must not slip through
+        if (run.issues.length === 0) {
+            try {
+                window.acorn.parse(output, this.es5ParserOptions);
+            } catch (error) {
+                run.issues.push({
+                    line: error.loc ? error.loc.line : 1,
+                    column: error.loc ? error.loc.column + 1 : 1,
+                    message: `The converted script isn't valid ES5: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')} (position in the converted script)`
+                });
+            }
+        }
+
+        return {
+            code: output,
+            converted: Array.from(run.counts, ([key, count]) => `${count} ${this.labels[key][count === 1 ? 0 : 1]}`),
+            issues: run.issues.sort((a, b) => a.line - b.line || a.column - b.column)
+        };
+    }
+
+    /**
+     * Create an issue; columns are reported 1-based like lint diagnostics
+     */
+    issue(loc, message) {
+        return { line: loc.line, column: loc.column + 1, message };
+    }
+
+    /**
+     * Report a construct and keep it as written
+     */
+    unsupported(node, run, construct) {
+        run.issues.push(this.issue(node.loc.start, `${construct} can't be converted to ES5`));
+        return run.source.slice(node.start, node.end);
+    }
+
+    /**
+     * Count a conversion for the summary
+     */
+    count(run, key) {
+        run.counts.set(key, (run.counts.get(key) || 0) + 1);
+    }
+
+    /**
+     * Get a variable name the script doesn't use yet
+     */
+    uniqueName(run, base) {
+        let name = base;
+        for (let suffix = 2; run.names.has(name); suffix++) {
+            name = `${base}${suffix}`;
+        }
+        run.names.add(name);
+        return name;
+    }
+
+    /**
+     * Call a callback for a node and all of its descendants
+     */
+    walk(node, callback) {
+        callback(node);
+        window.scriptLinter.forEachChild(node, child => this.walk(child, callback));
+    }
+
+    /**
+     * Check whether a node lies inside another
+     */
+    contains(outer, inner) {
+        return outer.start <= inner.start && inner.end <= outer.end;
+    }
+
+    /**
+     * Check whether code uses an identifier or this of its own function scope,
+     * looking into arrow functions but not regular ones
+     */
+    usesOwn(node, test) {
+        if (!node || typeof node.type !== 'string') return false;
+        if (test(node)) return true;
+        if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' ||
+            node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+            return false;
+        }
+
+        let found = false;
+        window.scriptLinter.forEachChild(node, child => {
+            found = found || this.usesOwn(child, test);
+        });
+        return found;
+    }
+
+    /**
+     * Report let/const bindings that would behave differently as var: ones
+     * that shadow a variable of the same function, and ones captured by a
+     * function created inside a loop, where every iteration would share them
+     */
+    checkBlockScoping(ast, run) {
+        const { scopes } = window.scriptLinter.analyzeScopes(ast);
+
+        scopes.forEach(scope => scope.bindings.forEach(binding => {
+            if (binding.kind !== 'let' && binding.kind !== 'const') return;
+
+            for (let outer = scope.isFunction ? null : scope.parent; outer; outer = outer.isFunction ? null : outer.parent) {
+                if (outer.bindings.has(binding.name)) {
+                    run.issues.push(this.issue(binding.node.loc.start,
+                        `'${binding.name}' shadows another variable of the same name; as var they would be merged`));
+                    return;
+                }
+            }
+
+            const declaration = binding.node;
+            const owner = run.functions.filter(fn => this.contains(fn, declaration))
+                .sort((a, b) => (a.end - a.start) - (b.end - b.start))[0];
+            const loop = run.loops
+                .filter(candidate => this.contains(candidate, declaration) && (!owner || this.contains(owner, candidate)))
+                .sort((a, b) => (a.end - a.start) - (b.end - b.start))[0];
+            if (!loop) return;
+
+            const captured = binding.references.some(reference => run.functions.some(fn =>
+                this.contains(loop, fn) && this.contains(fn, reference) && !this.contains(fn, declaration)));
+            if (captured) {
+                run.issues.push(this.issue(declaration.loc.start,
+                    `'${binding.name}' is used by a function created inside a loop; as var every iteration would share it`));
+            }
+        }));
+    }
+
+    /**
+     * Rebuild the source of a node with its children converted
+     */
+    emit(node, run, parent) {
+        switch (node.type) {
+            case 'TemplateLiteral':
+                return this.emitTemplate(node, run);
+            case 'ArrowFunctionExpression':
+                return this.emitArrow(node, run);
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+                return this.emitFunction(node, run);
+            case 'VariableDeclaration':
+                return this.emitDeclaration(node, run, parent);
+            case 'ForOfStatement':
+                return this.emitForOf(node, run);
+            case 'CallExpression':
+                return this.emitCall(node, run);
+            case 'ArrayExpression':
+                if (node.elements.some(element => element && element.type === 'SpreadElement')) {
+                    this.count(run, 'spread');
+                    return this.emitSpreadList(node.elements, run, node);
+                }
+                break;
+            case 'Property':
+                if (parent && parent.type === 'ObjectExpression') {
+                    return this.emitProperty(node, run);
+                }
+                break;
+        }
+
+        const construct = this.describeUnsupported(node, parent);
+        if (construct) {
+            return this.unsupported(node, run, construct);
+        }
+        return this.splice(node, run);
+    }
+
+    /**
+     * Copy the source of a node, replacing each child with its conversion
+     */
+    splice(node, run, emitChild = (child) => this.emit(child, run, node)) {
+        const children = [];
+        window.scriptLinter.forEachChild(node, child => children.push(child));
+        children.sort((a, b) => a.start - b.start);
+
+        let output = '';
+        let position = node.start;
+        children.forEach(child => {
+            if (child.start < position) return; // Shorthand properties share one node for key and value
+            output += run.source.slice(position, child.start) + emitChild(child);
+            position = child.end;
+        });
+
+        return output + run.source.slice(position, node.end);
+    }
+
+    /**
+     * Name the ES2015+ construct a node uses that isn't converted, if any
+     */
+    describeUnsupported(node, parent) {
+        switch (node.type) {
+            case 'ClassDeclaration':
+            case 'ClassExpression':
+                return 'Classes';
+            case 'TaggedTemplateExpression':
+                return 'Tagged templates';
+            case 'ChainExpression':
+                return 'Optional chaining (?.)';
+            case 'LogicalExpression':
+            case 'BinaryExpression':
+            case 'AssignmentExpression':
+                return ['??', '**', '**=', '??=', '||=', '&&='].includes(node.operator) ? `The ${node.operator} operator` : null;
+            case 'ObjectPattern':
+            case 'ArrayPattern':
+                return 'Destructuring';
+            case 'RestElement':
+                return 'Rest elements';
+            case 'AssignmentPattern':
+                return 'Default values';
+            case 'SpreadElement':
+                return parent && parent.type === 'ObjectExpression' ? 'Object spread' : 'Spread';
+            case 'Literal':
+                if (node.bigint) return 'BigInt literals';
+                if (node.regex && /[^gim]/.test(node.regex.flags)) return `Regular expression flags "${node.regex.flags}"`;
+                return null;
+            case 'MetaProperty':
+                return `${node.meta.name}.${node.property.name}`;
+            case 'ImportExpression':
+                return 'Dynamic import()';
+            case 'CatchClause':
+                return node.param ? null : 'catch without a binding';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * `a ${b} c` → ('a ' + (b) + ' c')
+     */
+    emitTemplate(node, run) {
+        const parts = [];
+        node.quasis.forEach((quasi, index) => {
+            if (quasi.value.cooked) {
+                parts.push(this.stringLiteral(quasi.value.cooked));
+            }
+            if (index < node.expressions.length) {
+                parts.push(`(${this.emit(node.expressions[index], run, node)})`);
+            }
+        });
+
+        // Start with a string so + concatenates instead of adding
+        if (!node.quasis[0].value.cooked) {
+            parts.unshift('\'\'');
+        }
+
+        this.count(run, 'template');
+        return parts.length === 1 ? parts[0] : `(${parts.join(' + ')})`;
+    }
+
+    /**
+     * Quote a string as an ES5 single-quoted literal
+     */
+    stringLiteral(value) {
+        const escaped = JSON.stringify(value).slice(1, -1)
+            .replace(/\\"/g, '"')
+            .replace(/'/g, '\\\'')
+            .replace(/[\u2028\u2029]/g, character => `\\u${character.charCodeAt(0).toString(16)}`);
+        return `'${escaped}'`;
+    }
+
+    /**
+     * Check whether a destructuring pattern only binds plain names, which
+     * can be unpacked with one assignment per name
+     */
+    isSimplePattern(pattern) {
+        if (pattern.type === 'ObjectPattern') {
+            return pattern.properties.every(property => property.type === 'Property' && !property.computed &&
+                (property.key.type === 'Identifier' || property.key.type === 'Literal') && property.value.type === 'Identifier');
+        }
+        if (pattern.type === 'ArrayPattern') {
+            return pattern.elements.every(element => !element || element.type === 'Identifier');
+        }
+        return false;
+    }
+
+    /**
+     * Unpack a simple pattern from an expression: ['a = source.a', ...]
+     */
+    destructure(pattern, source) {
+        if (pattern.type === 'ObjectPattern') {
+            return pattern.properties.map(property => `${property.value.name} = ${source}${property.key.type === 'Identifier' ?
+                `.${property.key.name}` : `[${property.key.raw}]`}`);
+        }
+        return pattern.elements
+            .map((element, index) => element && `${element.name} = ${source}[${index}]`)
+            .filter(assignment => assignment);
+    }
+
+    /**
+     * Find the first parameter that can't be converted, if any
+     */
+    findUnsupportedParam(node) {
+        return node.params.find(param => !(
+            param.type === 'Identifier' ||
+            (param.type === 'AssignmentPattern' && param.left.type === 'Identifier') ||
+            (param.type === 'RestElement' && param.argument.type === 'Identifier') ||
+            this.isSimplePattern(param)
+        ));
+    }
+
+    /**
+     * Convert a parameter list to plain names, moving defaults, rest and
+     * destructuring into statements for the top of the body
+     */
+    convertParams(node, run) {
+        const params = [];
+        const prologue = [];
+
+        node.params.forEach((param, index) => {
+            if (param.type === 'Identifier') {
+                params.push(param.name);
+            } else if (param.type === 'AssignmentPattern') {
+                params.push(param.left.name);
+                prologue.push(`if (${param.left.name} === undefined) ${param.left.name} = ${this.emit(param.right, run, param)};`);
+                this.count(run, 'defaultParam');
+            } else if (param.type === 'RestElement') {
+                prologue.push(`var ${param.argument.name} = Array.prototype.slice.call(arguments, ${index});`);
+                this.count(run, 'restParam');
+            } else {
+                const name = this.uniqueName(run, '_ref');
+                params.push(name);
+                prologue.push(`var ${this.destructure(param, name).join(', ')};`);
+                this.count(run, 'destructuring');
+            }
+        });
+
+        return { params, prologue };
+    }
+
+    /**
+     * Convert a function body, adding statements after its directives
+     */
+    emitBody(body, prologue, run) {
+        const output = this.emit(body, run, null);
+        if (prologue.length === 0) return output;
+
+        // Directives aren't converted, so offsets up to them match the source
+        const directives = body.body.filter(statement => statement.directive);
+        const offset = (directives.length > 0 ? directives[directives.length - 1].end : body.start + 1) - body.start;
+
+        const first = body.body[0];
+        const indent = first && /\n([ \t]*)$/.exec(run.source.slice(body.start, first.start));
+        const separator = indent ? `\n${indent[1]}` : ' ';
+
+        return output.slice(0, offset) + prologue.map(statement => separator + statement).join('') + output.slice(offset);
+    }
+
+    /**
+     * Convert the parameters of a function declaration or expression
+     */
+    emitFunction(node, run) {
+        if (node.async) return this.unsupported(node, run, 'Async functions');
+        if (node.generator) return this.unsupported(node, run, 'Generator functions');
+        if (node.params.every(param => param.type === 'Identifier')) return this.splice(node, run);
+
+        const unsupportedParam = this.findUnsupportedParam(node);
+        if (unsupportedParam) {
+            return this.unsupported(unsupportedParam, run, this.describeUnsupported(unsupportedParam) || 'This parameter');
+        }
+
+        const { params, prologue } = this.convertParams(node, run);
+        const lastParam = node.params[node.params.length - 1];
+        const afterParams = run.source.slice(lastParam.end, node.body.start);
+
+        return run.source.slice(node.start, node.params[0].start) +
+            params.join(', ') +
+            afterParams.slice(afterParams.indexOf(')')) +
+            this.emitBody(node.body, prologue, run);
+    }
+
+    /**
+     * (a) => b → function (a) { return b; }, bound to this when it uses this
+     */
+    emitArrow(node, run) {
+        if (node.async) return this.unsupported(node, run, 'Async arrow functions');
+
+        const unsupportedParam = this.findUnsupportedParam(node);
+        if (unsupportedParam) {
+            return this.unsupported(unsupportedParam, run, this.describeUnsupported(unsupportedParam) || 'This parameter');
+        }
+        if (this.usesOwn(node.body, child => child.type === 'Identifier' && child.name === 'arguments')) {
+            return this.unsupported(node, run, 'Arrow functions using the outer function\'s arguments');
+        }
+
+        const { params, prologue } = this.convertParams(node, run);
+        const body = node.body.type === 'BlockStatement' ?
+            this.emitBody(node.body, prologue, run) :
+            `{ ${[...prologue, `return ${this.emit(node.body, run, node)};`].join(' ')} }`;
+
+        this.count(run, 'arrow');
+        const fn = `function (${params.join(', ')}) ${body}`;
+        return this.usesOwn(node.body, child => child.type === 'ThisExpression') ? `${fn}.bind(this)` : fn;
+    }
+
+    /**
+     * let/const → var. let without a value gets undefined so that it is
+     * reset each time the block runs, as it would be as a block variable.
+     */
+    emitDeclaration(node, run, parent) {
+        const loopHead = parent && (parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === node;
+        const reset = node.kind === 'let' && !loopHead;
+        const output = this.splice(node, run, declarator => this.emitDeclarator(declarator, run, reset));
+
+        if (node.kind === 'var') return output;
+        this.count(run, 'declaration');
+        return output.replace(/^(let|const)\b/, 'var');
+    }
+
+    /**
+     * Convert one declarator, unpacking simple destructuring
+     */
+    emitDeclarator(node, run, reset) {
+        if (node.id.type === 'Identifier') {
+            return !node.init && reset ? `${node.id.name} = undefined` : this.splice(node, run);
+        }
+        if (!node.init || !this.isSimplePattern(node.id)) {
+            return this.unsupported(node.id, run, 'Destructuring');
+        }
+
+        this.count(run, 'destructuring');
+        const init = this.emit(node.init, run, node);
+        if (node.init.type === 'Identifier') {
+            return this.destructure(node.id, init).join(', ');
+        }
+
+        const name = this.uniqueName(run, '_ref');
+        return [`${name} = ${init}`, ...this.destructure(node.id, name)].join(', ');
+    }
+
+    /**
+     * for (const x of list) → an index loop. Works for arrays and array-likes
+     * such as NodeLists, which is what generated scripts iterate.
+     */
+    emitForOf(node, run) {
+        if (node.await) return this.unsupported(node, run, 'for await...of');
+
+        const declared = node.left.type === 'VariableDeclaration';
+        const target = declared ? node.left.declarations[0].id : node.left;
+        const supported = target.type === 'Identifier' || target.type === 'MemberExpression' ||
+            (declared && this.isSimplePattern(target));
+        if (!supported) return this.unsupported(target, run, 'Destructuring');
+
+        const index = this.uniqueName(run, '_i');
+        const list = this.uniqueName(run, '_list');
+        const item = `${list}[${index}]`;
+
+        let binding;
+        if (target.type === 'Identifier') {
+            binding = `${declared ? 'var ' : ''}${target.name} = ${item};`;
+        } else if (target.type === 'MemberExpression') {
+            binding = `${this.emit(target, run, node)} = ${item};`;
+        } else {
+            binding = `var ${this.destructure(target, item).join(', ')};`;
+            this.count(run, 'destructuring');
+        }
+
+        if (declared && node.left.kind !== 'var') this.count(run, 'declaration');
+        this.count(run, 'forOf');
+
+        const head = `for (var ${index} = 0, ${list} = ${this.emit(node.right, run, node)}; ${index} < ${list}.length; ${index}++) `;
+        const body = node.body.type === 'BlockStatement' ?
+            this.emitBody(node.body, [binding], run) :
+            `{ ${binding} ${this.emit(node.body, run, node)} }`;
+
+        return head + body;
+    }
+
+    /**
+     * Build an array from elements with spreads: [a].concat(Array.prototype.slice.call(b))
+     */
+    emitSpreadList(elements, run, parent) {
+        const groups = [];
+        let current = [];
+
+        elements.forEach(element => {
+            if (element && element.type === 'SpreadElement') {
+                if (current.length > 0) groups.push(`[${current.join(', ')}]`);
+                current = [];
+                groups.push(`Array.prototype.slice.call(${this.emit(element.argument, run, element)})`);
+            } else {
+                current.push(element ? this.emit(element, run, parent) : '');
+            }
+        });
+        if (current.length > 0) groups.push(`[${current.join(', ')}]`);
+
+        if (groups.length === 1) return groups[0];
+        return groups[0].startsWith('[') ?
+            `${groups[0]}.concat(${groups.slice(1).join(', ')})` :
+            `[].concat(${groups.join(', ')})`;
+    }
+
+    /**
+     * Check whether an expression can be evaluated twice without side effects
+     */
+    isPure(node) {
+        return node.type === 'Identifier' || node.type === 'ThisExpression' ||
+            (node.type === 'MemberExpression' && !node.computed && this.isPure(node.object));
+    }
+
+    /**
+     * f(a, ...b) → f.apply(receiver, [a].concat(...))
+     */
+    emitCall(node, run) {
+        if (!node.arguments.some(arg => arg.type === 'SpreadElement')) {
+            return this.splice(node, run);
+        }
+
+        const callee = node.callee;
+        if (callee.type === 'Super' || node.optional ||
+            (callee.type === 'MemberExpression' && (callee.optional || !this.isPure(callee.object)))) {
+            return this.unsupported(node, run, 'Spread in this call');
+        }
+
+        const receiver = callee.type === 'MemberExpression' ? this.emit(callee.object, run, callee) : 'null';
+        const calleeText = this.emit(callee, run, node);
+        const args = node.arguments.length === 1 ?
+            this.emit(node.arguments[0].argument, run, node.arguments[0]) :
+            this.emitSpreadList(node.arguments, run, node);
+
+        this.count(run, 'spread');
+        const fn = callee.type === 'Identifier' || callee.type === 'MemberExpression' ? calleeText : `(${calleeText})`;
+        return `${fn}.apply(${receiver}, ${args})`;
+    }
+
+    /**
+     * { a } → { a: a }, { f() {} } → { f: function () {} }
+     */
+    emitProperty(node, run) {
+        if (node.computed) return this.unsupported(node, run, 'Computed property names');
+
+        if (node.shorthand) {
+            this.count(run, 'shorthand');
+            return `${node.key.name}: ${this.emit(node.value, run, node)}`;
+        }
+
+        if (node.method) {
+            if (node.value.async || node.value.generator) {
+                return this.unsupported(node, run, node.value.async ? 'Async methods' : 'Generator methods');
+            }
+            this.count(run, 'method');
+            return `${run.source.slice(node.key.start, node.key.end)}: function ${this.emit(node.value, run, node)}`;
+        }
+
+        return this.splice(node, run);
+    }
+}
+
+// Export as global
+window.scriptTranspiler = new ScriptTranspiler();
@@ -0,0 +1,297 @@
+/**
+ * Selector Tester Module
+ *
+ * Evaluates selectors against a saved HTML snapshot of the dealer page instead
+ * of the Script Builder's own page. Snapshots are stored in IndexedDB and the
+ * attached one is saved with the script configuration; it is parsed with
+ * DOMParser, so the page's scripts never run.
+ */
+
+class SelectorTester {
+    constructor() {
+        this.snapshotId = '';
+        this.snapshots = [];
+        this.documents = new Map();
+        this.maxListedMatches = 50;
+        this.onChange = () => {};
+    }
+
+    /**
+     * Bind the snapshot controls and load the saved snapshots
+     */
+    init({ onChange } = {}) {
+        if (onChange) {
+            this.onChange = onChange;
+        }
+
+        document.getElementById('snapshotSelect').addEventListener('change', (e) => {
+            this.setSnapshotId(e.target.value);
+            this.onChange();
+        });
+        document.getElementById('saveSnapshotBtn').addEventListener('click', () => this.saveSnapshot());
+        document.getElementById('deleteSnapshotBtn').addEventListener('click', () => this.deleteSnapshot());
+
+        // Editing the HTML detaches the snapshot it was loaded from
+        document.getElementById('sandboxHtml').addEventListener('input', debounce(() => {
+            const snapshot = this.getAttachedSnapshot();
+            if (snapshot && snapshot.html !== getInputValue('sandboxHtml')) {
+                this.setSnapshotId('');
+                this.onChange();
+                showToast('Snapshot detached. Save the edited HTML to attach it again.', 'info');
+            }
+        }, 500));
+
+        window.historyManager.on('snapshotAdded', () => this.refresh());
+        window.historyManager.on('snapshotDeleted', (id) => {
+            this.documents.delete(id);
+            this.refresh();
+        });
+
+        this.refresh();
+    }
+
+    /**
+     * Reload the snapshot list
+     */
+    async refresh() {
+        try {
+            this.snapshots = (await window.historyManager.getAllSnapshots())
+                .sort((a, b) => b.timestamp - a.timestamp);
+        } catch (error) {
+            console.error('Failed to load snapshots:', error);
+            this.snapshots = [];
+        }
+
+        this.renderOptions();
+    }
+
+    /**
+     * Fill the snapshot select, keeping the attached snapshot selected
+     */
+    renderOptions() {
+        const select = document.getElementById('snapshotSelect');
+        select.innerHTML = '<option value="">None (use pasted HTML)</option>' + this.snapshots
+            .map(snapshot => `<option value="${escapeHTML(snapshot.id)}">${escapeHTML(snapshot.name)} (${window.historyManager.formatDate(snapshot.timestamp)})</option>`)
+            .join('');
+        select.value = this.snapshotId;
+        document.getElementById('deleteSnapshotBtn').disabled = !this.snapshotId;
+    }
+
+    /**
+     * Get the ID of the attached snapshot, or an empty string
+     */
+    getSnapshotId() {
+        return this.snapshotId;
+    }
+
+    /**
+     * Get the attached snapshot record if it is loaded
+     */
+    getAttachedSnapshot() {
+        return this.snapshots.find(snapshot => snapshot.id === this.snapshotId) || null;
+    }
+
+    /**
+     * Attach a snapshot and load its HTML into the snapshot field
+     */
+    async setSnapshotId(id) {
+        this.snapshotId = id || '';
+
+        if (this.snapshotId) {
+            let snapshot = null;
+            try {
+                snapshot = this.getAttachedSnapshot() || await window.historyManager.getSnapshot(this.snapshotId);
+            } catch (error) {
+                console.error('Failed to load snapshot:', error);
+            }
+
+            if (!snapshot) {
+                showToast('The attached snapshot no longer exists', 'warning');
+                this.snapshotId = '';
+            } else {
+                setInputValue('sandboxHtml', snapshot.html);
+                if (snapshot.url && !getInputValue('testUrl').trim()) {
+                    setInputValue('testUrl', snapshot.url);
+                }
+            }
+        }
+
+        this.renderOptions();
+    }
+
+    /**
+     * Save the pasted HTML as a snapshot and attach it
+     */
+    async saveSnapshot() {
+        const html = getInputValue('sandboxHtml');
+        if (!html.trim()) {
+            showToast('Paste or upload the page HTML first', 'warning');
+            return;
+        }
+
+        const url = getInputValue('testUrl').trim();
+        const title = this.parseHTML(html).title.trim();
+
+        try {
+            const snapshot = await window.historyManager.saveSnapshot({
+                name: title || url || 'Untitled Snapshot',
+                url,
+                html
+            });
+            this.snapshots.unshift(snapshot);
+            await this.setSnapshotId(snapshot.id);
+            this.onChange();
+            showToast(`Snapshot "${snapshot.name}" saved and attached`, 'success');
+        } catch (error) {
+            console.error('Failed to save snapshot:', error);
+            showToast('Failed to save snapshot', 'error');
+        }
+    }
+
+    /**
+     * Delete the attached snapshot
+     */
+    async deleteSnapshot() {
+        const snapshot = this.getAttachedSnapshot();
+        if (!snapshot) return;
+
+        if (!confirm(`Are you sure you want to delete the snapshot "${snapshot.name}"? Scripts it is attached to will no longer find it.`)) {
+            return;
+        }
+
+        try {
+            await window.historyManager.deleteSnapshot(snapshot.id);
+            this.snapshotId = '';
+            this.onChange();
+            showToast('Snapshot deleted', 'success');
+        } catch (error) {
+            console.error('Failed to delete snapshot:', error);
+            showToast('Failed to delete snapshot', 'error');
+        }
+    }
+
+    /**
+     * Parse HTML into an inert document
+     */
+    parseHTML(html) {
+        return new DOMParser().parseFromString(html, 'text/html');
+    }
+
+    /**
+     * Get the document to test against: the attached snapshot, otherwise the
+     * pasted HTML, otherwise null
+     */
+    getDocument() {
+        const snapshot = this.getAttachedSnapshot();
+        if (snapshot) {
+            if (!this.documents.has(snapshot.id)) {
+                this.documents.set(snapshot.id, this.parseHTML(snapshot.html));
+            }
+            return this.documents.get(snapshot.id);
+        }
+
+        const html = getInputValue('sandboxHtml');
+        return html.trim() ? this.parseHTML(html) : null;
+    }
+
+    /**
+     * Get a label for the document being tested against
+     */
+    getDocumentLabel() {
+        const snapshot = this.getAttachedSnapshot();
+        return snapshot ? `snapshot "${snapshot.name}"` : 'pasted HTML';
+    }
+
+    /**
+     * Evaluate one selector against a document
+     */
+    evaluate(doc, selector, selectorType = 'css') {
+        const result = { selector, selectorType, count: 0, matches: [], error: null };
+
+        try {
+            let elements = [];
+            if (selectorType === 'xpath') {
+                const snapshot = doc.evaluate(selector, doc, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                for (let i = 0; i < snapshot.snapshotLength; i++) {
+                    elements.push(snapshot.snapshotItem(i));
+                }
+                // Text and attribute nodes can't be modified as elements
+                elements = elements.filter(node => node.nodeType === Node.ELEMENT_NODE);
+            } else {
+                elements = Array.from(doc.querySelectorAll(selector));
+            }
+
+            result.count = elements.length;
+            result.matches = elements.slice(0, this.maxListedMatches).map(element => this.describeElement(element));
+        } catch (error) {
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    /**
+     * Evaluate a target's selector and fallbacks the way the generated script
+     * does: XPath targets use their expression only, CSS targets use the first
+     * selector that matches
+     */
+    testTarget(doc, target) {
+        const selectorType = target.selectorType === 'xpath' ? 'xpath' : 'css';
+        const results = [];
+
+        if (target.targetSelector) {
+            results.push({ ...this.evaluate(doc, target.targetSelector, selectorType), fallback: false });
+        }
+        (target.fallbackSelectors || []).forEach(selector => {
+            results.push({ ...this.evaluate(doc, selector, 'css'), fallback: true });
+        });
+
+        const candidates = selectorType === 'xpath' ? results.slice(0, 1) : results;
+        const used = candidates.find(result => result.count > 0);
+
+        return {
+            results,
+            usedIndex: used ? results.indexOf(used) : -1,
+            fallbacksIgnored: selectorType === 'xpath' && results.length > 1
+        };
+    }
+
+    /**
+     * Describe a matched element by tag, ID, classes and path
+     */
+    describeElement(element) {
+        return {
+            tag: element.tagName.toLowerCase(),
+            id: element.id || '',
+            classes: Array.from(element.classList),
+            path: this.getElementPath(element)
+        };
+    }
+
+    /**
+     * Build a CSS path from the nearest ancestor with an ID (or the root)
+     */
+    getElementPath(element) {
+        const segments = [];
+        let current = element;
+
+        while (current && current.nodeType === Node.ELEMENT_NODE) {
+            const tag = current.tagName.toLowerCase();
+
+            if (current.id) {
+                segments.unshift(`${tag}#${current.id}`);
+                break;
+            }
+
+            const parent = current.parentElement;
+            const sameTag = parent ? Array.from(parent.children).filter(child => child.tagName === current.tagName) : [];
+            segments.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+            current = parent;
+        }
+
+        return segments.join(' > ');
+    }
+}
+
+// Export as global
+window.selectorTester = new SelectorTester();
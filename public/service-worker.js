@@ -5,6 +5,9 @@
  * for the Script Builder application.
  */
 
+// IndexedDB schema migrations, shared with the page
+importScripts('/db-migrations.js');
+
 const CACHE_NAME = 'script-builder-v1';
 const DYNAMIC_CACHE_NAME = 'script-builder-dynamic-v1';
 
@@ -14,12 +17,34 @@ const STATIC_ASSETS = [
     '/index.html',
     '/styles.css',
     '/utils.js',
+    '/zip.js',
+    '/db-migrations.js',
+    '/storage-adapters.js',
     '/history.js',
+    '/history-compare.js',
+    '/history-import.js',
+    '/history-search.js',
+    '/history-list.js',
+    '/extension-export.js',
+    '/script-linter.js',
+    '/script-transpiler.js',
+    '/script-minifier.js',
     '/script-builder.js',
+    '/output-formats.js',
+    '/sandbox-runner.js',
+    '/selector-tester.js',
+    '/templates.js',
+    '/detection-profiles.js',
+    '/settings.js',
+    '/action-steps.js',
+    '/target-blocks.js',
+    '/feature-toggles.js',
+    '/run-conditions.js',
     '/app.js',
     'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/themes/prism-tomorrow.min.css',
     'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/prism.min.js',
     'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/components/prism-javascript.min.js',
+    'https://cdn.jsdelivr.net/npm/acorn@8.11.3/dist/acorn.js',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css'
 ];
 
@@ -284,11 +309,8 @@ async function getCacheSize() {
 
 // IndexedDB helpers
 async function openDB() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open('ScriptBuilderHistory', 1);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-    });
+    // Same migrations as the page, so whichever opens the database first upgrades it
+    return self.dbMigrations.open();
 }
 
 async function getPendingScripts(db) {
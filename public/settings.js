@@ -0,0 +1,161 @@
+/**
+ * Settings Module
+ *
+ * Persisted generator defaults behind the Settings button: default features,
+ * indent width, script name pattern, header style and the timings used by
+ * the generated templates. Settings are stored in localStorage and applied to
+ * ScriptBuilder via configure().
+ */
+
+class SettingsPanel {
+    constructor() {
+        this.storageKey = 'scriptBuilderSettings';
+    }
+
+    /**
+     * Load persisted settings into the builder and bind the modal
+     */
+    init() {
+        window.scriptBuilder.configure(storage.get(this.storageKey) || {});
+        this.renderFeatureOptions();
+
+        document.getElementById('closeSettingsModal').addEventListener('click', () => {
+            modalManager.closeModal('settingsModal');
+        });
+
+        document.getElementById('settingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+
+        document.getElementById('resetSettings').addEventListener('click', () => this.reset());
+        document.getElementById('applyDefaultFeatures').addEventListener('click', () => {
+            window.featureToggles.setFeatures(this.getDefaultFeatures());
+            showToast('Default features applied to the form', 'success');
+        });
+
+        ['settingsNamePattern', 'settingsDealerId'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateNamePreview());
+        });
+    }
+
+    /**
+     * Get the current settings
+     */
+    getSettings() {
+        return window.scriptBuilder.settings;
+    }
+
+    /**
+     * Get every feature with its default checked state
+     */
+    getDefaultFeatures() {
+        const defaults = this.getSettings().defaultFeatures || {};
+        return Object.keys(window.scriptBuilder.featureDefinitions).reduce((features, feature) => {
+            features[feature] = !!defaults[feature];
+            return features;
+        }, {});
+    }
+
+    /**
+     * Render a checkbox per feature for the default features
+     */
+    renderFeatureOptions() {
+        const builder = window.scriptBuilder;
+        document.getElementById('settingsFeatures').innerHTML = Object.keys(builder.featureDefinitions)
+            .map(feature => `
+                <div class="form-check">
+                    <input type="checkbox" id="defaultFeature-${feature}" data-feature="${feature}">
+                    <label for="defaultFeature-${feature}">${escapeHTML(builder.getFeatureLabel(feature))}</label>
+                </div>`)
+            .join('');
+    }
+
+    /**
+     * Open the modal with the current settings filled in
+     */
+    open() {
+        this.writeForm(this.getSettings());
+        modalManager.openModal('settingsModal');
+    }
+
+    /**
+     * Fill the form from settings
+     */
+    writeForm(settings) {
+        setInputValue('settingsIndentWidth', settings.indentWidth);
+        setInputValue('settingsHeaderStyle', settings.headerStyle);
+        setInputValue('settingsNamePattern', settings.scriptNamePattern);
+        setInputValue('settingsDealerId', settings.dealerId);
+        setInputValue('settingsWaitTimeout', settings.waitTimeout);
+        setInputValue('settingsDebounceDelay', settings.debounceDelay);
+        setInputValue('settingsIntervalPeriod', settings.intervalPeriod);
+
+        document.querySelectorAll('#settingsFeatures [data-feature]').forEach(checkbox => {
+            checkbox.checked = !!(settings.defaultFeatures || {})[checkbox.dataset.feature];
+        });
+
+        this.updateNamePreview();
+    }
+
+    /**
+     * Read settings from the form
+     */
+    readForm() {
+        const defaultFeatures = {};
+        document.querySelectorAll('#settingsFeatures [data-feature]').forEach(checkbox => {
+            if (checkbox.checked) {
+                defaultFeatures[checkbox.dataset.feature] = true;
+            }
+        });
+
+        return {
+            indentWidth: getInputValue('settingsIndentWidth'),
+            headerStyle: getInputValue('settingsHeaderStyle'),
+            scriptNamePattern: getInputValue('settingsNamePattern').trim() || '{name}',
+            dealerId: getInputValue('settingsDealerId').trim(),
+            waitTimeout: getInputValue('settingsWaitTimeout'),
+            debounceDelay: getInputValue('settingsDebounceDelay'),
+            intervalPeriod: getInputValue('settingsIntervalPeriod'),
+            defaultFeatures
+        };
+    }
+
+    /**
+     * Show an example name for the pattern being edited
+     */
+    updateNamePreview() {
+        const example = window.scriptBuilder.formatScriptName(getInputValue('scriptName') || 'my-script', {
+            pattern: getInputValue('settingsNamePattern').trim() || '{name}',
+            dealerId: getInputValue('settingsDealerId').trim()
+        });
+
+        document.getElementById('settingsNamePreview').textContent = `Example: ${example}`;
+    }
+
+    /**
+     * Validate, persist and apply the form
+     */
+    save() {
+        const settings = window.scriptBuilder.configure(this.readForm());
+
+        if (!storage.set(this.storageKey, settings)) {
+            showToast('Failed to save settings', 'error');
+            return;
+        }
+
+        modalManager.closeModal('settingsModal');
+        showToast('Settings saved. New scripts will use them.', 'success');
+    }
+
+    /**
+     * Restore the default settings in the form (saved on submit)
+     */
+    reset() {
+        this.writeForm(window.scriptBuilder.getDefaultSettings());
+        showToast('Defaults restored. Click Save to keep them.', 'info');
+    }
+}
+
+// Export as global
+window.settingsPanel = new SettingsPanel();
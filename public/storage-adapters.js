@@ -0,0 +1,410 @@
+/**
+ * Storage Adapters Module
+ *
+ * Storage backends for ScriptHistoryManager. Every adapter exposes the same
+ * promise-based record API over named stores (scripts, templates, snapshots,
+ * profiles): save, get, getAll, update, delete, search, getIndexValues, count,
+ * getPage and clear.
+ *
+ * IndexedDB is preferred. When it can't be opened (private browsing, locked
+ * down profiles) history falls back to localStorage, and when that is
+ * unavailable too, to memory for the current tab.
+ */
+
+class IndexedDBAdapter {
+    constructor() {
+        this.name = 'indexeddb';
+        this.label = 'IndexedDB';
+        this.warning = '';
+        this.db = null;
+    }
+
+    /**
+     * Open the database, running any pending migrations
+     */
+    async open() {
+        const db = await window.dbMigrations.open();
+        db.onversionchange = () => {
+            // A newer tab is upgrading the schema; reconnect on the next operation
+            db.close();
+            this.db = null;
+        };
+        this.db = db;
+        return this;
+    }
+
+    /**
+     * Run a request against a store in its own transaction
+     */
+    async request(storeName, mode, createRequest) {
+        if (!this.db) {
+            await this.open();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], mode);
+            const request = createRequest(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save a new record; fails if its ID already exists
+     */
+    async save(storeName, record) {
+        await this.request(storeName, 'readwrite', store => store.add(record));
+        return record;
+    }
+
+    /**
+     * Get a record by ID
+     */
+    get(storeName, id) {
+        return this.request(storeName, 'readonly', store => store.get(id));
+    }
+
+    /**
+     * Get every record of a store
+     */
+    async getAll(storeName) {
+        return (await this.request(storeName, 'readonly', store => store.getAll())) || [];
+    }
+
+    /**
+     * Replace a stored record
+     */
+    async update(storeName, record) {
+        await this.request(storeName, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Delete a record by ID
+     */
+    async delete(storeName, id) {
+        await this.request(storeName, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Get the records whose indexed field matches a value
+     */
+    async search(storeName, indexName, value) {
+        return (await this.request(storeName, 'readonly', store => store.index(indexName).getAll(value))) || [];
+    }
+
+    /**
+     * Get the distinct non-empty values of an index, in index order
+     */
+    async getIndexValues(storeName, indexName) {
+        if (!this.db) {
+            await this.open();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).index(indexName).openKeyCursor(null, 'nextunique');
+            const values = [];
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    if (cursor.key !== '') {
+                        values.push(cursor.key);
+                    }
+                    cursor.continue();
+                } else {
+                    resolve(values);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Count the records of a store
+     */
+    count(storeName) {
+        return this.request(storeName, 'readonly', store => store.count());
+    }
+
+    /**
+     * Get up to limit records in index order ('next' ascending, 'prev'
+     * descending), continuing after the position returned with the previous
+     * page. Resolves with { records, next }; next is null on the last page.
+     */
+    async getPage(storeName, indexName, { direction = 'next', after = null, limit = 50 } = {}) {
+        if (!this.db) {
+            await this.open();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const index = transaction.objectStore(storeName).index(indexName);
+            const range = after ?
+                (direction === 'prev' ? IDBKeyRange.upperBound(after.key) : IDBKeyRange.lowerBound(after.key)) :
+                null;
+            const request = index.openCursor(range, direction);
+            const records = [];
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve({ records, next: null });
+                    return;
+                }
+
+                // Records sharing the boundary key were returned up to after.primaryKey
+                const sameKey = after && indexedDB.cmp(cursor.key, after.key) === 0;
+                const order = sameKey ? indexedDB.cmp(cursor.primaryKey, after.primaryKey) : 0;
+                if (sameKey && (direction === 'prev' ? order >= 0 : order <= 0)) {
+                    cursor.continue();
+                    return;
+                }
+
+                records.push(cursor.value);
+                if (records.length === limit) {
+                    resolve({ records, next: { key: cursor.key, primaryKey: cursor.primaryKey } });
+                    return;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete every record of a store
+     */
+    async clear(storeName) {
+        await this.request(storeName, 'readwrite', store => store.clear());
+    }
+}
+
+/**
+ * Keeps records in memory for the lifetime of the page. Indexes are emulated:
+ * an index reads the record field of the same name, and array fields match
+ * any of their values, like the multiEntry tags index.
+ */
+class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.label = 'memory';
+        this.warning = 'Browser storage is unavailable, so history is only kept in memory. Scripts, templates and snapshots will be lost when this tab is closed; export anything you want to keep.';
+        this.stores = new Map();
+    }
+
+    /**
+     * Nothing to open; memory is always available
+     */
+    async open() {
+        return this;
+    }
+
+    /**
+     * Read a store as a Map of ID to record
+     */
+    readStore(storeName) {
+        if (!this.stores.has(storeName)) {
+            this.stores.set(storeName, new Map());
+        }
+        return this.stores.get(storeName);
+    }
+
+    /**
+     * Persist a store after a change; memory has nothing to write
+     */
+    writeStore(storeName, records) {
+        this.stores.set(storeName, records);
+    }
+
+    /**
+     * Copy a record so callers can't change the stored one in place
+     */
+    copy(record) {
+        return record === undefined ? undefined : structuredClone(record);
+    }
+
+    /**
+     * Save a new record; fails if its ID already exists
+     */
+    async save(storeName, record) {
+        const records = this.readStore(storeName);
+        if (records.has(record.id)) {
+            throw new Error(`A record with ID ${record.id} already exists`);
+        }
+
+        records.set(record.id, this.copy(record));
+        this.writeStore(storeName, records);
+        return record;
+    }
+
+    /**
+     * Get a record by ID
+     */
+    async get(storeName, id) {
+        return this.copy(this.readStore(storeName).get(id));
+    }
+
+    /**
+     * Get every record of a store
+     */
+    async getAll(storeName) {
+        return Array.from(this.readStore(storeName).values(), record => this.copy(record));
+    }
+
+    /**
+     * Replace a stored record
+     */
+    async update(storeName, record) {
+        const records = this.readStore(storeName);
+        records.set(record.id, this.copy(record));
+        this.writeStore(storeName, records);
+        return record;
+    }
+
+    /**
+     * Delete a record by ID
+     */
+    async delete(storeName, id) {
+        const records = this.readStore(storeName);
+        records.delete(id);
+        this.writeStore(storeName, records);
+    }
+
+    /**
+     * Get the records whose indexed field matches a value
+     */
+    async search(storeName, indexName, value) {
+        const records = await this.getAll(storeName);
+
+        return records.filter(record => {
+            const field = record[indexName];
+            return Array.isArray(field) ? field.includes(value) : field === value;
+        });
+    }
+
+    /**
+     * Get the distinct non-empty values of an index, sorted like IndexedDB keys
+     */
+    async getIndexValues(storeName, indexName) {
+        const values = new Set();
+
+        this.readStore(storeName).forEach(record => {
+            const field = record[indexName];
+            (Array.isArray(field) ? field : [field])
+                .filter(value => value !== undefined && value !== null && value !== '')
+                .forEach(value => values.add(value));
+        });
+
+        return Array.from(values).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    }
+
+    /**
+     * Count the records of a store
+     */
+    async count(storeName) {
+        return this.readStore(storeName).size;
+    }
+
+    /**
+     * Get up to limit records in index order, like IndexedDBAdapter.getPage()
+     */
+    async getPage(storeName, indexName, { direction = 'next', after = null, limit = 50 } = {}) {
+        const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+        const sign = direction === 'prev' ? -1 : 1;
+        const records = (await this.getAll(storeName))
+            .filter(record => record[indexName] !== undefined)
+            .sort((a, b) => sign * (compare(a[indexName], b[indexName]) || compare(a.id, b.id)));
+
+        const start = after ?
+            records.findIndex(record => sign * (compare(record[indexName], after.key) || compare(record.id, after.primaryKey)) > 0) :
+            0;
+        const page = start === -1 ? [] : records.slice(start, start + limit);
+        const last = page[page.length - 1];
+
+        return {
+            records: page,
+            next: page.length === limit ? { key: last[indexName], primaryKey: last.id } : null
+        };
+    }
+
+    /**
+     * Delete every record of a store
+     */
+    async clear(storeName) {
+        this.writeStore(storeName, new Map());
+    }
+}
+
+/**
+ * Stores each store as a JSON array under its own localStorage key. Stores
+ * are read on every operation so that other tabs' changes are picked up.
+ */
+class LocalStorageAdapter extends MemoryAdapter {
+    constructor() {
+        super();
+        this.name = 'localstorage';
+        this.label = 'localStorage';
+        this.warning = 'IndexedDB is unavailable, so history is saved in localStorage instead. It holds only about 5 MB, so long histories and large page snapshots may not fit; export your history regularly.';
+        this.keyPrefix = 'scriptBuilderHistory.';
+    }
+
+    /**
+     * Check that localStorage can be written to
+     */
+    async open() {
+        const testKey = `${this.keyPrefix}test`;
+        localStorage.setItem(testKey, '1');
+        localStorage.removeItem(testKey);
+        return this;
+    }
+
+    /**
+     * Read a store from localStorage
+     */
+    readStore(storeName) {
+        const records = JSON.parse(localStorage.getItem(this.keyPrefix + storeName) || '[]');
+        return new Map(records.map(record => [record.id, record]));
+    }
+
+    /**
+     * Write a store back to localStorage
+     */
+    writeStore(storeName, records) {
+        try {
+            localStorage.setItem(this.keyPrefix + storeName, JSON.stringify(Array.from(records.values())));
+        } catch (error) {
+            if (error.name === 'QuotaExceededError') {
+                throw new Error('Browser storage is full. Delete or export old scripts and snapshots to free up space.');
+            }
+            throw error;
+        }
+    }
+}
+
+class StorageAdapters {
+    constructor() {
+        // Tried in order until one opens
+        this.adapters = [IndexedDBAdapter, LocalStorageAdapter, MemoryAdapter];
+    }
+
+    /**
+     * Open the first available storage backend
+     */
+    async select() {
+        for (const Adapter of this.adapters) {
+            const adapter = new Adapter();
+            try {
+                return await adapter.open();
+            } catch (error) {
+                console.warn(`History storage: ${adapter.label} is unavailable`, error);
+            }
+        }
+
+        throw new Error('No storage backend is available');
+    }
+}
+
+// Export as global
+window.storageAdapters = new StorageAdapters();
@@ -0,0 +1,161 @@
+/**
+ * Target Blocks Module
+ * 
+ * Manages the list of independent targets a script addresses. The Target Element
+ * and Actions cards always edit the active target; switching targets stores the
+ * form state and loads the selected target into the form.
+ */
+
+class TargetBlocksEditor {
+    constructor() {
+        this.targets = [];
+        this.activeIndex = 0;
+        this.list = null;
+        this.readForm = () => this.createEmptyTarget();
+        this.writeForm = () => {};
+        this.onChange = () => {};
+    }
+
+    /**
+     * Bind the editor to the DOM
+     * 
+     * readForm returns the target currently in the form, writeForm loads a
+     * target into the form.
+     */
+    init({ readForm, writeForm, onChange }) {
+        this.list = document.getElementById('targetList');
+        this.readForm = readForm;
+        this.writeForm = writeForm;
+        if (onChange) {
+            this.onChange = onChange;
+        }
+
+        document.getElementById('addTarget').addEventListener('click', () => {
+            this.addTarget();
+            this.onChange();
+        });
+
+        // Target tabs (delegated)
+        this.list.addEventListener('click', (e) => {
+            const tab = e.target.closest('.target-tab');
+            if (!tab) return;
+
+            const index = parseInt(tab.dataset.index, 10);
+            if (e.target.closest('.remove-target')) {
+                this.removeTarget(index);
+            } else {
+                this.selectTarget(index);
+            }
+            this.onChange();
+        });
+
+        if (this.targets.length === 0) {
+            this.targets = [this.readForm()];
+        }
+        this.render();
+    }
+
+    createEmptyTarget() {
+        return {
+            selectorType: 'css',
+            targetSelector: '',
+            fallbackSelectors: [],
+            waitForElement: false,
+            multipleElements: false,
+            actions: []
+        };
+    }
+
+    /**
+     * Store the form state in the active target
+     */
+    commitActive() {
+        this.targets[this.activeIndex] = this.readForm();
+    }
+
+    /**
+     * Get all targets, including unsaved form changes to the active one
+     */
+    getTargets() {
+        this.commitActive();
+        return this.targets.map(target => ({ ...target }));
+    }
+
+    /**
+     * Replace all targets and load the first one into the form
+     */
+    setTargets(targets = []) {
+        this.targets = targets.length > 0 ?
+            targets.map(target => ({ ...this.createEmptyTarget(), ...target })) :
+            [this.createEmptyTarget()];
+        this.activeIndex = 0;
+        this.writeForm(this.targets[0]);
+        this.render();
+    }
+
+    addTarget() {
+        this.commitActive();
+        this.targets.push(this.createEmptyTarget());
+        this.activeIndex = this.targets.length - 1;
+        this.writeForm(this.targets[this.activeIndex]);
+        this.render();
+    }
+
+    selectTarget(index) {
+        if (index === this.activeIndex || !this.targets[index]) return;
+
+        this.commitActive();
+        this.activeIndex = index;
+        this.writeForm(this.targets[index]);
+        this.render();
+    }
+
+    removeTarget(index) {
+        if (this.targets.length === 1) return;
+
+        this.commitActive();
+        this.targets.splice(index, 1);
+        if (this.activeIndex >= index && this.activeIndex > 0) {
+            this.activeIndex--;
+        }
+        this.writeForm(this.targets[this.activeIndex]);
+        this.render();
+    }
+
+    /**
+     * Render the target tabs
+     */
+    render() {
+        this.list.innerHTML = '';
+
+        this.targets.forEach((target, index) => {
+            const tab = document.createElement('button');
+            tab.className = 'target-tab' + (index === this.activeIndex ? ' active' : '');
+            tab.dataset.index = index;
+            tab.title = target.targetSelector || 'No selector yet';
+
+            const label = document.createElement('span');
+            label.textContent = `Target ${index + 1}`;
+            tab.appendChild(label);
+
+            if (this.targets.length > 1) {
+                const remove = document.createElement('span');
+                remove.className = 'remove-target';
+                remove.innerHTML = '&times;';
+                tab.appendChild(remove);
+            }
+
+            this.list.appendChild(tab);
+        });
+
+        const hint = document.getElementById('actionTargetHint');
+        if (hint) {
+            hint.textContent = this.targets.length > 1 ?
+                `Actions applied to Target ${this.activeIndex + 1}` :
+                'Actions applied to the target element';
+        }
+    }
+}
+
+// Export as global
+window.targetBlocks = new TargetBlocksEditor();
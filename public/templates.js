@@ -0,0 +1,448 @@
+/**
+ * Templates Module
+ *
+ * Library of complete script configurations (targets, actions and features)
+ * behind the Templates button. Ships with built-in templates for common dealer
+ * customizations; users can save their current configuration as a template,
+ * stored in IndexedDB next to the history.
+ */
+
+class TemplateLibrary {
+    constructor() {
+        this.builtInTemplates = this.loadBuiltInTemplates();
+        this.templates = [];
+        this.selectedId = null;
+        this.getConfig = () => ({});
+    }
+
+    /**
+     * Build a full features object with only the given features enabled
+     */
+    features(...enabled) {
+        return Object.keys(window.scriptBuilder.featureDefinitions).reduce((features, feature) => {
+            features[feature] = enabled.includes(feature);
+            return features;
+        }, {});
+    }
+
+    /**
+     * Build a CSS target with its action steps
+     */
+    target(targetSelector, actions, overrides = {}) {
+        return {
+            selectorType: 'css',
+            targetSelector,
+            conditions: [],
+            fallbackSelectors: [],
+            waitForElement: false,
+            multipleElements: true,
+            actions,
+            ...overrides
+        };
+    }
+
+    /**
+     * Load the built-in templates
+     */
+    loadBuiltInTemplates() {
+        const core = ['spaFriendly', 'domReady', 'errorHandling', 'preventDuplicates'];
+
+        return [
+            {
+                id: 'builtin_vdp_hide_price_disclaimer',
+                name: 'VDP hide price disclaimer',
+                category: 'VDP',
+                description: 'Hides the price disclaimer text on vehicle detail pages, including disclaimers rendered after load.',
+                config: {
+                    scriptName: 'vdp-hide-price-disclaimer',
+                    scriptDescription: 'Hide the price disclaimer on VDPs',
+                    targets: [
+                        this.target('.price-disclaimer', [
+                            { actionType: 'toggle-visibility', actionOptions: { visibilityAction: 'hide' } }
+                        ], { fallbackSelectors: ['.vehicle-price-disclaimer', '[data-price-disclaimer]'] })
+                    ],
+                    features: this.features(...core, 'mutationObserver', 'vdpDetection')
+                }
+            },
+            {
+                id: 'builtin_vdp_highlight_cta',
+                name: 'VDP highlight primary CTA',
+                category: 'VDP',
+                description: 'Adds a highlight class and accent styles to the primary call-to-action button.',
+                config: {
+                    scriptName: 'vdp-highlight-cta',
+                    scriptDescription: 'Highlight the primary CTA on VDPs',
+                    targets: [
+                        this.target('.vehicle-cta .btn-primary', [
+                            { actionType: 'add-class', actionOptions: { className: 'cta-highlight' } },
+                            { actionType: 'apply-styles', actionOptions: { styles: 'box-shadow: 0 0 0 3px #ffb300;\nfont-weight: 700;' } }
+                        ], { waitForElement: true })
+                    ],
+                    features: this.features(...core, 'vdpDetection')
+                }
+            },
+            {
+                id: 'builtin_srp_add_badge',
+                name: 'SRP add badge',
+                category: 'SRP',
+                description: 'Inserts a badge at the top of every vehicle card on search results pages.',
+                config: {
+                    scriptName: 'srp-add-badge',
+                    scriptDescription: 'Add a badge to vehicle cards on SRPs',
+                    targets: [
+                        this.target('.vehicle-card', [
+                            {
+                                actionType: 'add-element',
+                                actionOptions: {
+                                    elementCreationMode: 'standard',
+                                    elementType: 'span',
+                                    position: 'afterbegin',
+                                    elementText: 'Hot Deal',
+                                    className: 'custom-badge',
+                                    elementId: '',
+                                    elementAttributes: '',
+                                    innerHTML: ''
+                                }
+                            }
+                        ])
+                    ],
+                    features: this.features(...core, 'mutationObserver', 'srpDetection')
+                }
+            },
+            {
+                id: 'builtin_srp_rename_eprice',
+                name: 'SRP rename ePrice button',
+                category: 'SRP',
+                description: 'Changes the label of the "Get ePrice" button on search results pages.',
+                config: {
+                    scriptName: 'srp-rename-eprice',
+                    scriptDescription: 'Rename the ePrice button on SRPs',
+                    targets: [
+                        this.target('.vehicle-card .eprice-button', [
+                            { actionType: 'modify-text', actionOptions: { newText: 'Unlock Price' } }
+                        ])
+                    ],
+                    features: this.features(...core, 'srpDetection')
+                }
+            },
+            {
+                id: 'builtin_insert_chat_widget',
+                name: 'Insert chat widget',
+                category: 'Widgets',
+                description: 'Adds a chat widget container to the page and loads the vendor script.',
+                config: {
+                    scriptName: 'insert-chat-widget',
+                    scriptDescription: 'Insert the chat widget on every page',
+                    targets: [
+                        this.target('body', [
+                            {
+                                actionType: 'insert-widget',
+                                actionOptions: {
+                                    widgetId: 'chat-widget',
+                                    widgetHTML: '<div class="chat-widget-launcher"></div>',
+                                    widgetScript: 'https://example.com/chat-widget.js'
+                                }
+                            }
+                        ], { multipleElements: false })
+                    ],
+                    features: this.features(...core)
+                }
+            },
+            {
+                id: 'builtin_tag_lead_forms',
+                name: 'Tag lead forms for tracking',
+                category: 'Site-wide',
+                description: 'Sets a data attribute on lead forms so analytics can identify them.',
+                config: {
+                    scriptName: 'tag-lead-forms',
+                    scriptDescription: 'Tag lead forms with a tracking attribute',
+                    targets: [
+                        this.target('form.lead-form', [
+                            { actionType: 'set-attribute', actionOptions: { attrName: 'data-tracking', attrValue: 'lead-form' } }
+                        ], { fallbackSelectors: ['form[name*="lead"]'] })
+                    ],
+                    features: this.features(...core, 'mutationObserver')
+                }
+            }
+        ].map(template => ({ ...template, builtIn: true }));
+    }
+
+    /**
+     * Bind the library to the DOM
+     *
+     * getConfig returns the configuration currently in the form.
+     */
+    init({ getConfig }) {
+        this.getConfig = getConfig;
+
+        document.getElementById('templatesSearch').addEventListener('input', debounce(() => this.render(), 200));
+        document.getElementById('templatesCategory').addEventListener('change', () => this.render());
+        document.getElementById('closeTemplatesModal').addEventListener('click', () => {
+            modalManager.closeModal('templatesModal');
+        });
+
+        document.getElementById('showSaveTemplate').addEventListener('click', () => this.toggleSaveForm(true));
+        document.getElementById('cancelSaveTemplate').addEventListener('click', () => this.toggleSaveForm(false));
+        document.getElementById('saveTemplateForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCurrentAsTemplate();
+        });
+
+        document.getElementById('templatesList').addEventListener('click', (e) => {
+            const item = e.target.closest('.template-item');
+            if (item) {
+                this.selectTemplate(item.dataset.id);
+            }
+        });
+
+        document.getElementById('loadTemplateBtn').addEventListener('click', () => this.loadTemplate(this.selectedId));
+        document.getElementById('deleteTemplateBtn').addEventListener('click', () => this.deleteTemplate(this.selectedId));
+    }
+
+    /**
+     * Open the library modal
+     */
+    async open() {
+        this.toggleSaveForm(false);
+        modalManager.openModal('templatesModal');
+        await this.refresh();
+    }
+
+    /**
+     * Reload built-in and saved templates and re-render
+     */
+    async refresh() {
+        let savedTemplates = [];
+        try {
+            savedTemplates = await window.historyManager.getAllTemplates();
+        } catch (error) {
+            console.error('Failed to load saved templates:', error);
+            showToast('Failed to load saved templates', 'error');
+        }
+
+        this.templates = [
+            ...this.builtInTemplates,
+            ...savedTemplates.sort((a, b) => b.timestamp - a.timestamp)
+        ];
+        this.renderCategories();
+        this.render();
+    }
+
+    /**
+     * Get a template by ID
+     */
+    getTemplate(id) {
+        return this.templates.find(template => template.id === id) || null;
+    }
+
+    /**
+     * Get the sorted list of categories in use
+     */
+    getCategories() {
+        return [...new Set(this.templates.map(template => template.category))].sort();
+    }
+
+    /**
+     * Filter templates by search text and category
+     */
+    filterTemplates(query, category) {
+        const searchTerm = query.trim().toLowerCase();
+
+        return this.templates.filter(template => {
+            if (category && template.category !== category) return false;
+            if (!searchTerm) return true;
+
+            return [
+                template.name,
+                template.description,
+                template.category,
+                window.scriptBuilder.getActionSummary(template.config)
+            ].some(value => (value || '').toLowerCase().includes(searchTerm));
+        });
+    }
+
+    /**
+     * Fill the category filter and the category suggestions of the save form
+     */
+    renderCategories() {
+        const select = document.getElementById('templatesCategory');
+        const current = select.value;
+        const categories = this.getCategories();
+
+        select.innerHTML = '<option value="">All Categories</option>' + categories
+            .map(category => `<option value="${escapeHTML(category)}">${escapeHTML(category)}</option>`)
+            .join('');
+        select.value = categories.includes(current) ? current : '';
+
+        document.getElementById('templateCategoryOptions').innerHTML = categories
+            .map(category => `<option value="${escapeHTML(category)}"></option>`)
+            .join('');
+    }
+
+    /**
+     * Render the filtered template list
+     */
+    render() {
+        const list = document.getElementById('templatesList');
+        const empty = document.getElementById('templatesEmpty');
+        const templates = this.filterTemplates(
+            document.getElementById('templatesSearch').value,
+            document.getElementById('templatesCategory').value
+        );
+
+        list.innerHTML = templates.map(template => this.createTemplateItemHTML(template)).join('');
+        list.style.display = templates.length > 0 ? 'grid' : 'none';
+        empty.style.display = templates.length > 0 ? 'none' : 'block';
+
+        // Keep the selection if it's still visible, otherwise select the first match
+        const selected = templates.find(template => template.id === this.selectedId) || templates[0];
+        this.selectTemplate(selected ? selected.id : null);
+    }
+
+    /**
+     * Create template list item HTML
+     */
+    createTemplateItemHTML(template) {
+        const actionSummary = window.scriptBuilder.getActionSummary(template.config);
+
+        return `
+            <div class="template-item" data-id="${escapeHTML(template.id)}">
+                <div class="template-item-header">
+                    <div class="template-item-title">${escapeHTML(template.name)}</div>
+                    <span class="template-category">${escapeHTML(template.category)}</span>
+                </div>
+                ${template.description ? `<div class="template-item-description">${escapeHTML(template.description)}</div>` : ''}
+                <div class="template-item-meta">
+                    ${actionSummary ? `<span><i class="fas fa-code"></i> ${escapeHTML(actionSummary)}</span>` : ''}
+                    <span><i class="fas ${template.builtIn ? 'fa-box' : 'fa-user'}"></i> ${template.builtIn ? 'Built-in' : 'Saved'}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Select a template and preview its generated code
+     */
+    selectTemplate(id) {
+        const template = id ? this.getTemplate(id) : null;
+        this.selectedId = template ? template.id : null;
+
+        document.querySelectorAll('#templatesList .template-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.id === this.selectedId);
+        });
+
+        const title = document.getElementById('templatePreviewTitle');
+        const description = document.getElementById('templatePreviewDescription');
+        const codeElement = document.getElementById('templatePreviewCode');
+        const loadBtn = document.getElementById('loadTemplateBtn');
+        const deleteBtn = document.getElementById('deleteTemplateBtn');
+
+        loadBtn.disabled = !template;
+        deleteBtn.style.display = template && !template.builtIn ? '' : 'none';
+
+        if (!template) {
+            title.textContent = 'No template selected';
+            description.textContent = '';
+            codeElement.textContent = '';
+            return;
+        }
+
+        title.textContent = template.name;
+        description.textContent = template.description;
+
+        try {
+            codeElement.textContent = window.scriptBuilder.generateScript(template.config);
+        } catch (error) {
+            console.error('Failed to preview template:', error);
+            codeElement.textContent = `// Failed to generate preview: ${error.message}`;
+        }
+
+        if (window.Prism) {
+            Prism.highlightElement(codeElement);
+        }
+    }
+
+    /**
+     * Load a template's configuration into the form
+     */
+    loadTemplate(id) {
+        const template = this.getTemplate(id);
+        if (!template) return;
+
+        // Copy so edits in the form never touch the stored template
+        restoreScriptToEditor({ config: JSON.parse(JSON.stringify(template.config)) });
+        modalManager.closeModal('templatesModal');
+        showToast(`Template "${template.name}" loaded`, 'success');
+    }
+
+    /**
+     * Show or hide the save form
+     */
+    toggleSaveForm(show) {
+        const form = document.getElementById('saveTemplateForm');
+        form.style.display = show ? 'grid' : 'none';
+
+        if (show) {
+            const config = this.getConfig();
+            setInputValue('templateName', config.scriptName);
+            setInputValue('templateCategory', '');
+            setInputValue('templateDescription', config.scriptDescription);
+            document.getElementById('templateName').focus();
+        }
+    }
+
+    /**
+     * Save the current form configuration as a template
+     */
+    async saveCurrentAsTemplate() {
+        const name = getInputValue('templateName').trim();
+        if (!name) {
+            showToast('Template name is required', 'error');
+            return;
+        }
+
+        // Templates are reused across dealers, so the script's metadata stays out
+        const { metadata, ...config } = this.getConfig();
+
+        try {
+            const template = await window.historyManager.saveTemplate({
+                name,
+                category: getInputValue('templateCategory').trim() || 'Custom',
+                description: getInputValue('templateDescription').trim(),
+                config: JSON.parse(JSON.stringify(config))
+            });
+
+            this.toggleSaveForm(false);
+            this.selectedId = template.id;
+            await this.refresh();
+            showToast('Template saved', 'success');
+        } catch (error) {
+            console.error('Failed to save template:', error);
+            showToast('Failed to save template', 'error');
+        }
+    }
+
+    /**
+     * Delete a saved template
+     */
+    async deleteTemplate(id) {
+        const template = this.getTemplate(id);
+        if (!template || template.builtIn) return;
+
+        if (!confirm(`Are you sure you want to delete the template "${template.name}"?`)) {
+            return;
+        }
+
+        try {
+            await window.historyManager.deleteTemplate(id);
+            this.selectedId = null;
+            await this.refresh();
+            showToast('Template deleted', 'success');
+        } catch (error) {
+            showToast('Failed to delete template', 'error');
+        }
+    }
+}
+
+// Export as global
+window.templateLibrary = new TemplateLibrary();
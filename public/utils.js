@@ -103,11 +103,31 @@ window.showScriptPreview = function(script) {
     metadata.innerHTML = `
         <div>
             <strong>Script Name:</strong>
-            <span>${script.name}</span>
+            <span>${escapeHTML(script.name)}</span>
+        </div>
+        <div>
+            <strong>Version:</strong>
+            <span>V${escapeHTML(window.historyManager.getVersionNumber(script))}</span>
+        </div>
+        <div>
+            <strong>Dealer / Site ID:</strong>
+            <span>${escapeHTML(script.dealerId || 'N/A')}</span>
+        </div>
+        <div>
+            <strong>Environment:</strong>
+            <span>${escapeHTML(script.environment || 'N/A')}</span>
+        </div>
+        <div>
+            <strong>Tags:</strong>
+            <span>${escapeHTML((script.tags || []).join(', ') || 'N/A')}</span>
+        </div>
+        <div>
+            <strong>Ticket:</strong>
+            <span>${escapeHTML(script.ticket || 'N/A')}</span>
         </div>
         <div>
             <strong>Action Type:</strong>
-            <span>${script.actionType || 'N/A'}</span>
+            <span>${escapeHTML(script.actionType || 'N/A')}</span>
         </div>
         <div>
             <strong>Generated:</strong>
@@ -119,7 +139,7 @@ window.showScriptPreview = function(script) {
         </div>
         <div>
             <strong>Lines:</strong>
-            <span>${script.stats?.lines || 0}</span>
+            <span>${escapeHTML(script.stats?.lines || 0)}</span>
         </div>
     `;
     
@@ -165,6 +185,113 @@ window.showScriptPreview = function(script) {
     modalManager.openModal('previewModal');
 };
 
+// ===== HTML Escaping =====
+window.escapeHTML = function(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+// ===== Highlight Matches =====
+// Escapes text for HTML and wraps every case-insensitive occurrence of the
+// given terms in <mark>
+window.highlightText = function(value, terms = []) {
+    const text = String(value === undefined || value === null ? '' : value);
+    const lowerText = text.toLowerCase();
+    const ranges = [];
+
+    terms.filter(term => term).forEach(term => {
+        const lowerTerm = term.toLowerCase();
+        let index = lowerText.indexOf(lowerTerm);
+        while (index !== -1) {
+            ranges.push([index, index + lowerTerm.length]);
+            index = lowerText.indexOf(lowerTerm, index + lowerTerm.length);
+        }
+    });
+
+    // Merge overlapping ranges so marks never nest
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    ranges.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+    });
+
+    let html = '';
+    let position = 0;
+    merged.forEach(([start, end]) => {
+        html += escapeHTML(text.slice(position, start)) + `<mark>${escapeHTML(text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHTML(text.slice(position));
+};
+
+// ===== Line Diff =====
+// Returns [{ type: 'same' | 'added' | 'removed', text }] describing how to turn
+// the old lines into the new ones. Common leading/trailing lines are matched
+// first; the rest uses an LCS table unless it would be too large.
+window.diffLines = function(oldLines, newLines, maxCells = 4000000) {
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+    
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+    
+    const oldMiddle = oldLines.slice(start, oldEnd);
+    const newMiddle = newLines.slice(start, newEnd);
+    const middle = [];
+    
+    if (oldMiddle.length * newMiddle.length > maxCells) {
+        oldMiddle.forEach(text => middle.push({ type: 'removed', text }));
+        newMiddle.forEach(text => middle.push({ type: 'added', text }));
+    } else {
+        // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+        const lengths = Array.from({ length: oldMiddle.length + 1 }, () => new Uint32Array(newMiddle.length + 1));
+        for (let i = oldMiddle.length - 1; i >= 0; i--) {
+            for (let j = newMiddle.length - 1; j >= 0; j--) {
+                lengths[i][j] = oldMiddle[i] === newMiddle[j] ?
+                    lengths[i + 1][j + 1] + 1 :
+                    Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        
+        let i = 0;
+        let j = 0;
+        while (i < oldMiddle.length && j < newMiddle.length) {
+            if (oldMiddle[i] === newMiddle[j]) {
+                middle.push({ type: 'same', text: oldMiddle[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                middle.push({ type: 'removed', text: oldMiddle[i++] });
+            } else {
+                middle.push({ type: 'added', text: newMiddle[j++] });
+            }
+        }
+        while (i < oldMiddle.length) middle.push({ type: 'removed', text: oldMiddle[i++] });
+        while (j < newMiddle.length) middle.push({ type: 'added', text: newMiddle[j++] });
+    }
+    
+    return [
+        ...oldLines.slice(0, start).map(text => ({ type: 'same', text })),
+        ...middle,
+        ...oldLines.slice(oldEnd).map(text => ({ type: 'same', text }))
+    ];
+};
+
 // ===== File Download Helper =====
 window.downloadFile = function(filename, content, mimeType = 'text/plain') {
     const blob = new Blob([content], { type: mimeType });
@@ -187,38 +314,45 @@ window.restoreScriptToEditor = function(script) {
         // Basic info
         setInputValue('scriptName', config.scriptName);
         setInputValue('scriptDescription', config.scriptDescription);
+        setInputValue('urlPatterns', (config.urlPatterns || []).join('\n'));
+        
+        // Targets and their action steps (older configs only have a single target)
+        if (window.targetBlocks) {
+            window.targetBlocks.setTargets(window.scriptBuilder.normalizeTargets(config));
+        }
         
-        // Target selector
-        setInputValue('targetSelector', config.targetSelector);
-        setInputValue('fallbackSelectors', (config.fallbackSelectors || []).join('\n'));
-        setCheckboxValue('waitForElement', config.waitForElement);
+        // Features
+        if (config.features && window.featureToggles) {
+            window.featureToggles.setFeatures(config.features);
+        }
         
-        // Action type and options
-        setInputValue('actionType', config.actionType);
+        // Run conditions
+        if (window.runConditions) {
+            window.runConditions.setConditions(config.runConditions);
+        }
         
-        // Trigger action type change to show options
-        const actionSelect = document.getElementById('actionType');
-        if (actionSelect) {
-            actionSelect.dispatchEvent(new Event('change'));
-            
-            // Restore action options after a small delay
-            setTimeout(() => {
-                if (config.actionOptions) {
-                    Object.keys(config.actionOptions).forEach(key => {
-                        setInputValue(key, config.actionOptions[key]);
-                    });
-                }
-            }, 100);
+        // Detection profile; configs saved before profiles existed use the built-in one
+        if (window.detectionProfiles) {
+            window.detectionProfiles.setSelectedProfile(config.detectionProfile);
         }
         
-        // Features
-        if (config.features) {
-            Object.keys(config.features).forEach(feature => {
-                setCheckboxValue(feature, config.features[feature]);
-            });
+        // Metadata; configs saved before metadata existed keep the current values
+        if (config.metadata) {
+            setInputValue('metaDealerId', config.metadata.dealerId);
+            setInputValue('metaEnvironment', config.metadata.environment);
+            setInputValue('metaTags', (config.metadata.tags || []).join(', '));
+            setInputValue('metaTicket', config.metadata.ticket);
+        }
+        
+        // Attached page snapshot
+        if (window.selectorTester) {
+            window.selectorTester.setSnapshotId(config.snapshotId);
         }
     }
     
+    // Saved scripts become the parent of the next version; bare configs start a new script
+    window.historyManager.emit('scriptRestored', script.id ? script : null);
+    
     // Update generated code
     const codeElement = document.getElementById('generatedCode');
     if (codeElement) {
@@ -228,6 +362,13 @@ window.restoreScriptToEditor = function(script) {
         }
     }
     
+    // Clear lint diagnostics of the previous script
+    const lintResults = document.getElementById('lintResults');
+    if (lintResults) {
+        lintResults.innerHTML = '';
+        lintResults.classList.remove('show');
+    }
+    
     // Enable output actions
     enableOutputActions();
     
@@ -260,44 +401,42 @@ window.getCheckboxValue = function(id) {
 };
 
 // ===== History List Refresh =====
-window.refreshHistoryList = async function() {
-    const historyList = document.getElementById('historyList');
-    const historyEmpty = document.getElementById('historyEmpty');
-    const searchInput = document.getElementById('historySearch');
-    const sortSelect = document.getElementById('historySort');
+// Fill the dealer, environment and tag filters from the index values, keeping
+// the selection. Environments use the labels of the metadata form's options.
+async function refreshHistoryFilters() {
+    const environmentLabels = new Map(Array.from(document.querySelectorAll('#metaEnvironment option'))
+        .filter(option => option.value)
+        .map(option => [option.value, option.textContent]));
     
-    if (!historyList) return;
+    const filters = [
+        ['historyDealerFilter', 'dealerId', 'All Dealers'],
+        ['historyEnvironmentFilter', 'environment', 'All Environments', environmentLabels],
+        ['historyTagFilter', 'tags', 'All Tags']
+    ];
     
-    try {
-        // Get all scripts
-        let scripts = await window.historyManager.getAllScripts();
+    for (const [id, indexName, allLabel, labels = new Map()] of filters) {
+        const select = document.getElementById(id);
+        if (!select) continue;
         
-        // Apply search filter
-        const searchTerm = searchInput ? searchInput.value : '';
-        if (searchTerm) {
-            scripts = await window.historyManager.searchScripts(searchTerm);
+        const selected = select.value;
+        const values = await window.historyManager.getIndexValues(indexName);
+        if (selected && !values.includes(selected)) {
+            values.push(selected);
         }
         
-        // Apply sorting
-        const sortBy = sortSelect ? sortSelect.value : 'date-desc';
-        scripts = window.historyManager.sortScripts(scripts, sortBy);
-        
-        // Update UI
-        if (scripts.length === 0) {
-            historyList.style.display = 'none';
-            if (historyEmpty) historyEmpty.style.display = 'block';
-        } else {
-            historyList.style.display = 'grid';
-            if (historyEmpty) historyEmpty.style.display = 'none';
-            
-            // Render history items
-            historyList.innerHTML = scripts.map(script => 
-                window.historyManager.createHistoryItemHTML(script)
-            ).join('');
-        }
-        
-        // Update count
-        window.historyManager.updateHistoryCount();
+        select.innerHTML = `<option value="">${allLabel}</option>` + values
+            .map(value => `<option value="${escapeHTML(value)}">${escapeHTML(labels.get(value) || value)}</option>`)
+            .join('');
+        select.value = selected;
+    }
+}
+
+window.refreshHistoryList = async function() {
+    if (!document.getElementById('historyList')) return;
+    
+    try {
+        // Paging, virtualization and selection live in history-list.js
+        await window.historyListView.refresh();
     } catch (error) {
         console.error('Failed to refresh history list:', error);
         showToast('Failed to load history', 'error');
@@ -447,6 +586,7 @@ window.formatCode = function(code) {
         code = code.replace(/\n{3,}/g, '\n\n');
         
         // Ensure consistent indentation
+        const indentUnit = ' '.repeat(window.scriptBuilder ? window.scriptBuilder.settings.indentWidth : 4);
         const lines = code.split('\n');
         let indentLevel = 0;
         const formattedLines = [];
@@ -461,7 +601,7 @@ window.formatCode = function(code) {
             
             // Add indented line
             if (trimmedLine) {
-                formattedLines.push('    '.repeat(indentLevel) + trimmedLine);
+                formattedLines.push(indentUnit.repeat(indentLevel) + trimmedLine);
             } else {
                 formattedLines.push('');
             }
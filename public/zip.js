@@ -0,0 +1,122 @@
+/**
+ * Zip Module
+ *
+ * Builds zip archives in the browser, so exports can bundle several files
+ * without a server. Entries are stored uncompressed: generated scripts are
+ * small and every unzip tool reads stored entries.
+ */
+
+class ZipWriter {
+    constructor() {
+        this.crcTable = null;
+    }
+
+    /**
+     * Build a zip from [{ name, content }]. content is a string (written as
+     * UTF-8) or a Uint8Array; names may contain folders ("icons/icon.png").
+     * Returns a Blob.
+     */
+    createZip(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, day } = this.toDosDate(date);
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);   // Local file header signature
+            local.setUint16(4, 20, true);           // Version needed to extract (2.0)
+            local.setUint16(6, 0x0800, true);       // Flags: names are UTF-8
+            local.setUint16(8, 0, true);            // Method: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true); // Compressed size
+            local.setUint32(22, data.length, true); // Uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);           // Extra field length
+            localParts.push(local, name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory header signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);         // Version needed to extract
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            // Extra, comment, disk number and attributes stay 0
+            central.setUint32(42, offset, true);    // Offset of the local header
+            centralParts.push(central, name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+        end.setUint16(8, files.length, true);       // Entries on this disk
+        end.setUint16(10, files.length, true);      // Total entries
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);            // Offset of the central directory
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    /**
+     * Convert a date to MS-DOS time and date fields (local time, 2s precision)
+     */
+    toDosDate(date) {
+        const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * CRC-32 checksum of the bytes, as zip requires
+     */
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Make a string safe to use as a file name in the archive
+     */
+    sanitizeFileName(name, fallback = 'untitled') {
+        const safe = String(name || '')
+            .replace(/[\\/:*?"<>|\x00-\x1f]+/g, '-')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s.-]+|[\s.]+$/g, '')
+            .slice(0, 100);
+        return safe || fallback;
+    }
+}
+
+// Export as global
+window.zipWriter = new ZipWriter();
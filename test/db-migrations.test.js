@@ -0,0 +1,198 @@
+/**
+ * Opening the history database must upgrade every older schema to the latest
+ * one, backfill records saved before version 5, and leave the database as it
+ * was when a migration fails.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { IDBFactory } = require('fake-indexeddb');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'db-migrations.js'), 'utf8');
+
+/**
+ * Load the module the way the service worker does and return a fresh
+ * DBMigrations instance with its console output
+ */
+function loadMigrations() {
+    const messages = [];
+    const log = (...args) => messages.push(args.map(String).join(' '));
+    const context = { console: { log, warn: log, error: log } };
+    context.self = context;
+    vm.createContext(context);
+    vm.runInContext(source, context);
+    return { dbMigrations: context.dbMigrations, messages };
+}
+
+/**
+ * Promise for an IndexedDB request or transaction
+ */
+function done(target) {
+    return new Promise((resolve, reject) => {
+        if ('oncomplete' in target) {
+            target.oncomplete = () => resolve();
+            target.onabort = () => reject(target.error);
+        } else {
+            target.onsuccess = () => resolve(target.result);
+        }
+        target.onerror = () => reject(target.error);
+    });
+}
+
+/**
+ * Create the database at an old version, as an older release of the app left it
+ */
+async function createAtVersion(factory, dbMigrations, version, seed = () => {}) {
+    const request = factory.open(dbMigrations.dbName, version);
+    request.onupgradeneeded = () => {
+        dbMigrations.upgrade(request.result, request.transaction, 0, version);
+        seed(request.transaction);
+    };
+    const db = await done(request);
+    db.close();
+}
+
+const getAll = (db, storeName) => done(db.transaction(storeName).objectStore(storeName).getAll());
+
+const schema = (db) => Object.fromEntries(Array.from(db.objectStoreNames, name => {
+    const store = db.transaction(name).objectStore(name);
+    return [name, Array.from(store.indexNames).sort()];
+}));
+
+/**
+ * Schema of a database created from scratch
+ */
+async function latestSchema() {
+    const db = await loadMigrations().dbMigrations.open(new IDBFactory());
+    const result = schema(db);
+    db.close();
+    return result;
+}
+
+describe('database migrations', () => {
+    let factory;
+    let dbMigrations;
+    let messages;
+
+    beforeEach(() => {
+        factory = new IDBFactory();
+        ({ dbMigrations, messages } = loadMigrations());
+    });
+
+    it('creates the latest schema in an empty database', async () => {
+        const db = await dbMigrations.open(factory);
+        assert.equal(db.version, dbMigrations.latestVersion);
+        assert.deepEqual(schema(db), {
+            profiles: ['name'],
+            scripts: ['actionType', 'dealerId', 'environment', 'lineageId', 'name', 'tags', 'ticket', 'timestamp'],
+            snapshots: ['name', 'timestamp'],
+            templates: ['category', 'name']
+        });
+        db.close();
+    });
+
+    for (let version = 1; version < 7; version++) {
+        it(`upgrades from version ${version}`, async () => {
+            await createAtVersion(factory, dbMigrations, version);
+            messages.length = 0;
+
+            const db = await dbMigrations.open(factory);
+            const expected = await latestSchema();
+
+            assert.equal(db.version, dbMigrations.latestVersion);
+            assert.deepEqual(schema(db), expected);
+            // Only the migrations newer than the stored version run
+            assert.deepEqual(
+                messages.map(message => Number(/^Database migration (\d+)/.exec(message)[1])),
+                [...dbMigrations.migrations].map(migration => migration.version).filter(number => number > version)
+            );
+            db.close();
+        });
+    }
+
+    it('backfills lineage and metadata on scripts saved before version 5', async () => {
+        await createAtVersion(factory, dbMigrations, 4, (transaction) => {
+            const scripts = transaction.objectStore('scripts');
+            scripts.put({
+                id: 'script_1',
+                name: 'Old script',
+                version: 'V3',
+                config: { metadata: { dealerId: 'D100', environment: 'staging', ticket: 'JIRA-1', tags: [' Homepage ', 'homepage', 'VDP', ''] } }
+            });
+            scripts.put({ id: 'script_2', name: 'No metadata' });
+            scripts.put({
+                id: 'script_3',
+                name: 'Already migrated',
+                lineageId: 'lineage_1',
+                parentId: 'script_0',
+                versionNumber: 4,
+                tags: ['kept']
+            });
+        });
+
+        const db = await dbMigrations.open(factory);
+        const scripts = Object.fromEntries((await getAll(db, 'scripts')).map(script => [script.id, script]));
+
+        assert.deepEqual(
+            { ...scripts.script_1, config: undefined },
+            {
+                id: 'script_1',
+                name: 'Old script',
+                version: 'V3',
+                config: undefined,
+                lineageId: 'script_1',
+                parentId: null,
+                versionNumber: 3,
+                dealerId: 'D100',
+                environment: 'staging',
+                tags: ['homepage', 'vdp'],
+                ticket: 'JIRA-1'
+            }
+        );
+        assert.equal(scripts.script_2.lineageId, 'script_2');
+        assert.equal(scripts.script_2.versionNumber, 1);
+        assert.deepEqual(scripts.script_2.tags, []);
+        assert.deepEqual(scripts.script_3, {
+            id: 'script_3',
+            name: 'Already migrated',
+            lineageId: 'lineage_1',
+            parentId: 'script_0',
+            versionNumber: 4,
+            tags: ['kept']
+        });
+
+        // The version 6 index covers the backfilled lineages
+        const lineage = db.transaction('scripts').objectStore('scripts').index('lineageId');
+        assert.deepEqual((await done(lineage.getAll('script_1'))).map(script => script.id), ['script_1']);
+        db.close();
+    });
+
+    it('rolls the whole upgrade back when a migration throws', async () => {
+        await createAtVersion(factory, dbMigrations, 4, (transaction) => {
+            transaction.objectStore('scripts').put({ id: 'script_1', name: 'Old script' });
+        });
+
+        dbMigrations.migrations.push({
+            version: 8,
+            description: 'Broken migration',
+            upgrade: (db) => {
+                db.createObjectStore('broken', { keyPath: 'id' });
+                throw new Error('Migration bug');
+            }
+        });
+
+        await assert.rejects(dbMigrations.open(factory));
+        assert.ok(messages.some(message => message.includes('Migration bug')), 'The failure is logged');
+
+        // Reopen at whatever version is stored, without upgrading
+        const db = await done(factory.open(dbMigrations.dbName));
+        assert.equal(db.version, 4);
+        assert.deepEqual(Array.from(db.objectStoreNames).sort(), ['scripts', 'snapshots', 'templates']);
+        assert.equal(db.transaction('scripts').objectStore('scripts').indexNames.contains('lineageId'), false);
+        assert.deepEqual(await getAll(db, 'scripts'), [{ id: 'script_1', name: 'Old script' }]);
+        db.close();
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Detection profile names end up in a comment of the generated script, so
+ * line breaks and control characters must not survive a save or an import,
+ * nor break out of the comment when an old config still has them.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const acorn = require('acorn');
+const { bootApp, wait } = require('./helpers');
+
+const nastyName = 'Dealer\nwindow.PWNED = 1;//\r  \u0000\u001b\u007f Inspire';
+const cleanName = 'Dealer window.PWNED = 1;// Inspire';
+
+describe('detection profile names', () => {
+    let app;
+
+    before(async () => {
+        app = await bootApp();
+    });
+
+    after(() => app.close());
+
+    const checks = (pattern) => ({ match: 'any', urlPatterns: [pattern], requiredSelectors: [], forbiddenSelectors: [], metaTags: [] });
+    const savedNames = async () => (await app.historyManager.getAllProfiles()).map(profile => profile.name);
+
+    it('keeps the name inside the page detection comment', () => {
+        const features = { vdpDetection: true, customPageDetection: true };
+        for (const name of [nastyName, '*/ window.PWNED = 1; /*', '</script><script>window.PWNED = 1</script>']) {
+            const code = app.scriptBuilder.generateScript({
+                scriptName: 'profile-test',
+                features,
+                detectionProfile: { name, vdp: checks('*/vehicle/*'), srp: checks('*/search*') },
+                targets: [{ targetSelector: '.target', selectorType: 'css', fallbackSelectors: [], actions: [{ actionType: 'add-class', actionOptions: { className: 'x' } }] }]
+            });
+
+            const names = [...acorn.tokenizer(code, { ecmaVersion: 'latest' })].filter(token => token.value === 'PWNED');
+            assert.deepEqual(names, [], `Injected code outside a comment:\n${code}`);
+            assert.doesNotMatch(code, /<\/script/i);
+        }
+    });
+
+    it('cleans the name when a profile is saved', async () => {
+        const { document } = app;
+        app.detectionProfiles.editProfile(null);
+        document.getElementById('detectionProfileName').value = ' Saved\u0007profile ';
+        document.querySelector('#detectionProfilePages [data-page="vdp"] [data-field="urlPatterns"]').value = '*/vehicle/*';
+
+        await app.detectionProfiles.saveProfile();
+        assert.ok((await savedNames()).includes('Saved profile'));
+    });
+
+    it('cleans the name when a profile is imported', async () => {
+        const file = {
+            text: async () => JSON.stringify({
+                profiles: [{ id: 'profile_imported', name: nastyName, vdp: checks('*/vehicle/*') }]
+            })
+        };
+        await app.detectionProfiles.importFile({ target: { files: [file], value: 'profiles.json' } });
+        await wait(50);
+
+        assert.ok((await savedNames()).includes(cleanName));
+    });
+});
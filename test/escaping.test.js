@@ -0,0 +1,165 @@
+/**
+ * Nasty inputs in every text field must generate a script that parses, can
+ * be inlined in a <script> tag, runs without injected code and uses the
+ * exact original value.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const acorn = require('acorn');
+const { bootApp, runScript } = require('./helpers');
+
+const nastyValues = {
+    'single quote': 'it\'s',
+    'double quote': 'say "hi"',
+    'backtick and template': '`${window.PWNED = 1}`',
+    'backslashes': 'C:\\path\\n\\\\',
+    'script end tag': '</script><script>window.PWNED = 1</script>',
+    'html comment': '<!-- hidden -->',
+    'comment end': '*/ window.PWNED = 1; /*',
+    'newline': 'line one\nwindow.PWNED = 1;//',
+    'carriage return': 'line one\r\nwindow.PWNED = 1;//',
+    'line separator': 'line one\u2028window.PWNED = 1;//',
+    'paragraph separator': 'line one\u2029window.PWNED = 1;//',
+    'null and tab': 'a\0b\tc'
+};
+
+const everything = Object.values(nastyValues).join(' | ');
+
+describe('escaping of interpolated values', () => {
+    let app;
+    let builder;
+
+    before(async () => {
+        app = await bootApp();
+        builder = app.scriptBuilder;
+    });
+
+    const target = (overrides) => ({
+        targetSelector: '.target',
+        selectorType: 'css',
+        fallbackSelectors: [],
+        multipleElements: true,
+        actions: [{ actionType: 'modify-text', actionOptions: { newText: 'ok' } }],
+        ...overrides
+    });
+
+    /**
+     * Generate a script and check it parses and can be inlined in HTML
+     */
+    function generate(config) {
+        const code = builder.generateScript({
+            scriptName: 'escaping-test',
+            features: {},
+            ...config
+        });
+
+        assert.doesNotThrow(() => acorn.parse(code, { ecmaVersion: 'latest' }), `Generated code doesn't parse:\n${code}`);
+        assert.doesNotMatch(code, /<\/script|<!--/i, 'Generated code would end an inline <script> tag');
+
+        // Injected code may sit in a branch that never runs, so look for it
+        // outside strings and comments too
+        const injected = [...acorn.tokenizer(code, { ecmaVersion: 'latest' })].some(token => token.value === 'PWNED');
+        assert.equal(injected, false, 'Injected code outside a string or comment');
+        return code;
+    }
+
+    /**
+     * Run a generated script and check no injected code ran
+     */
+    async function run(code, html = '<p class="target">original</p>') {
+        const result = await runScript(code, { html });
+        assert.equal(result.window.PWNED, undefined, 'Injected code ran');
+        return result;
+    }
+
+    for (const [name, value] of Object.entries(nastyValues)) {
+        describe(name, () => {
+            it('round-trips through modify-text', async () => {
+                const code = generate({ targets: [target({ actions: [{ actionType: 'modify-text', actionOptions: { newText: value } }] })] });
+                const { window } = await run(code);
+                assert.equal(window.document.querySelector('.target').textContent, value);
+            });
+
+            it('round-trips through set-attribute', async () => {
+                const code = generate({ targets: [target({ actions: [{ actionType: 'set-attribute', actionOptions: { attrName: 'data-value', attrValue: value } }] })] });
+                const { window } = await run(code);
+                assert.equal(window.document.querySelector('.target').getAttribute('data-value'), value);
+            });
+
+            it('round-trips through add-element text and ID', async () => {
+                const code = generate({
+                    targets: [target({
+                        actions: [{
+                            actionType: 'add-element',
+                            actionOptions: { elementCreationMode: 'standard', elementType: 'span', elementText: value, elementId: value, position: 'beforeend' }
+                        }]
+                    })]
+                });
+                const { window } = await run(code);
+                const added = window.document.querySelector('.target span');
+                assert.equal(added.textContent, value);
+                assert.equal(added.id, value);
+            });
+
+            it('round-trips through localStorage keys and values', async () => {
+                const code = generate({
+                    targets: [target({ actions: [{ actionType: 'local-storage', actionOptions: { storageAction: 'set', storageKey: value, storageValue: value } }] })]
+                });
+                const { window } = await run(code);
+                assert.equal(window.localStorage.getItem(value), value);
+            });
+
+            it('round-trips through a selector attribute value', async () => {
+                const attribute = value.replace(/\0/g, '');
+                const selector = `[data-note="${attribute.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ').replace(/\r/g, '\\d ')}"]`;
+                const code = generate({ targets: [target({ targetSelector: selector, fallbackSelectors: [selector], actions: [{ actionType: 'add-class', actionOptions: { className: 'matched' } }] })] });
+
+                const { window } = await runScript('', { html: '<p>x</p>' });
+                window.document.querySelector('p').setAttribute('data-note', attribute);
+                window.eval(code);
+                assert.equal(window.PWNED, undefined, 'Injected code ran');
+                assert.ok(window.document.querySelector('p').classList.contains('matched'), `No match for ${selector}`);
+            });
+
+            it('stays inside comments and strings elsewhere', async () => {
+                const code = generate({
+                    scriptName: value,
+                    scriptDescription: value,
+                    features: { [value]: true, waitForElement: true },
+                    targets: [
+                        target({ targetSelector: value, waitForElement: true, fallbackSelectors: [value] }),
+                        target({
+                            selectorType: 'xpath',
+                            targetSelector: `//p[@data-x=${JSON.stringify(value)}]`,
+                            actions: [
+                                { actionType: value, actionOptions: {} },
+                                { actionType: 'modify-html', actionOptions: { newHTML: value } },
+                                { actionType: 'form-manipulation', actionOptions: { formAction: 'setValue', formValue: value } },
+                                { actionType: 'cookie-management', actionOptions: { cookieAction: 'set', cookieName: value, cookieValue: value } },
+                                { actionType: 'insert-widget', actionOptions: { widgetId: value, widgetHTML: value, widgetScript: value } },
+                                { actionType: 'wrap-element', actionOptions: { wrapperTag: 'div', wrapperClass: value } },
+                                { actionType: 'apply-styles', actionOptions: { styles: `content: ${value}; --custom-${value}: 1` } },
+                                { actionType: 'ajax-request', actionOptions: { ajaxUrl: value, ajaxMethod: value, ajaxData: value } }
+                            ]
+                        })
+                    ]
+                });
+                await run(code);
+            });
+        });
+    }
+
+    it('keeps every nasty value combined in the script description', () => {
+        const code = generate({ scriptDescription: everything, targets: [target()] });
+        const header = code.slice(0, code.indexOf('*/') + 2);
+        assert.match(header, /it's/);
+        assert.equal(acorn.parse(header + '\n', { ecmaVersion: 'latest' }).body.length, 0, 'Description escaped the header comment');
+    });
+
+    it('turns any script name into a valid function name', () => {
+        for (const name of ['1st-script', 'class', '!!!', 'mainFunction', 'handleNavigation', 'originalPushState', everything]) {
+            generate({ scriptName: name, features: { spaFriendly: true, domReady: true }, targets: [target()] });
+        }
+    });
+});
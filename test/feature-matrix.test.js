@@ -0,0 +1,114 @@
+/**
+ * Every feature alone, every pair of features and all features together must
+ * generate a script that runs without ReferenceErrors or TypeErrors, in
+ * development and production builds.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, runScript, wait } = require('./helpers');
+
+const page = {
+    url: 'https://dealer.example/inventory/2020-honda-civic/',
+    html: `
+        <div class="vehicle-details" data-vehicle-id="123">
+            <p class="target">original</p>
+            <p class="target">second</p>
+        </div>`
+};
+
+describe('feature combinations', () => {
+    let app;
+    let builder;
+
+    before(async () => {
+        app = await bootApp();
+        builder = app.scriptBuilder;
+    });
+
+    after(() => app.close());
+
+    const config = (features) => ({
+        scriptName: 'feature-matrix',
+        scriptDescription: 'Feature matrix',
+        features,
+        targets: [{
+            targetSelector: '.target',
+            selectorType: 'css',
+            fallbackSelectors: ['p'],
+            multipleElements: true,
+            waitForElement: !!features.waitForElement,
+            actions: [
+                { actionType: 'modify-text', actionOptions: { newText: 'changed' } },
+                { actionType: 'add-class', actionOptions: { className: 'touched' } }
+            ]
+        }]
+    });
+
+    /**
+     * Run a script, then navigate and change the DOM so listeners, observers
+     * and intervals get to run too
+     */
+    async function exercise(code) {
+        const { window, errors } = await runScript(code, page);
+        try {
+            window.history.pushState({}, '', '/inventory/2021-honda-accord/');
+            window.dispatchEvent(new window.PopStateEvent('popstate'));
+            window.location.hash = '#photos';
+            const added = window.document.createElement('p');
+            added.className = 'target';
+            window.document.body.appendChild(added);
+            await wait(50);
+            window.dispatchEvent(new window.Event('beforeunload'));
+            window.dispatchEvent(new window.Event('pagehide'));
+            await wait(10);
+            return { errors: [...errors], modified: !!window.document.querySelector('.target.touched') };
+        } finally {
+            window.close();
+        }
+    }
+
+    /**
+     * Check a combination in both builds
+     */
+    async function check(features) {
+        const code = builder.generateScript(config(features));
+        const builds = { development: code, production: app.scriptMinifier.minify(code).code };
+
+        for (const [build, source] of Object.entries(builds)) {
+            const { errors, modified } = await exercise(source);
+            const failures = errors.filter(error => /ReferenceError|TypeError|SyntaxError|is not defined/.test(error));
+            assert.deepEqual(failures, [], `${build} build with ${Object.keys(features).join(', ') || 'no features'}`);
+            assert.ok(modified, `${build} build didn't modify the page`);
+        }
+    }
+
+    const featureNames = () => Object.keys(builder.featureDefinitions);
+    const conflicting = (a, b) => (builder.featureDefinitions[a].conflicts || []).includes(b);
+
+    it('runs with no features', () => check({}));
+
+    it('runs with each feature alone', async () => {
+        for (const feature of featureNames()) {
+            await check({ [feature]: true });
+        }
+    });
+
+    it('runs with each pair of features', async () => {
+        const names = featureNames();
+        for (let i = 0; i < names.length; i++) {
+            for (let j = i + 1; j < names.length; j++) {
+                if (conflicting(names[i], names[j])) continue;
+                await check({ [names[i]]: true, [names[j]]: true });
+            }
+        }
+    });
+
+    it('runs with every feature', async () => {
+        const names = featureNames();
+        for (const excluded of ['vdpDetection', 'srpDetection']) {
+            const features = Object.fromEntries(names.filter(name => name !== excluded).map(name => [name, true]));
+            await check(features);
+        }
+    });
+});
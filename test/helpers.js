@@ -0,0 +1,83 @@
+/**
+ * Test helpers
+ *
+ * bootApp() loads public/index.html in jsdom with the app's own scripts and
+ * a fake IndexedDB; CDN scripts are skipped and acorn comes from
+ * node_modules. runScript() runs a generated script on a separate page and
+ * collects its console output and uncaught errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { indexedDB, IDBKeyRange } = require('fake-indexeddb');
+
+const publicDir = path.join(__dirname, '..', 'public');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Load the app and resolve with its window once the modules are initialized
+ */
+async function bootApp({ url = 'http://localhost/' } = {}) {
+    const html = fs.readFileSync(path.join(publicDir, 'index.html'), 'utf8');
+    const files = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+        .map(match => match[1])
+        .filter(file => !/^https?:/.test(file));
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => console.error(error));
+
+    const dom = new JSDOM(html.replace(/<script src="[^"]*"><\/script>/g, ''), {
+        url,
+        runScripts: 'dangerously',
+        virtualConsole,
+        beforeParse(window) {
+            window.indexedDB = indexedDB;
+            window.IDBKeyRange = IDBKeyRange;
+            window.structuredClone = structuredClone;
+            window.acorn = require('acorn');
+            window.requestAnimationFrame = (callback) => setTimeout(callback, 0);
+            window.confirm = () => true;
+        }
+    });
+
+    // Script elements share one global scope like the page's own tags, and
+    // adding them after parsing keeps "<!--" in the sources away from the
+    // HTML parser
+    const { document } = dom.window;
+    for (const file of files) {
+        const script = document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(publicDir, file), 'utf8');
+        document.body.appendChild(script);
+    }
+
+    await wait(300);
+    return dom.window;
+}
+
+/**
+ * Run code on a page built from html and resolve with { window, logs,
+ * errors } after timers had time to settle. errors holds uncaught errors and
+ * console.error output.
+ */
+async function runScript(code, { html = '<body></body>', url = 'https://dealer.example/', settle = 50 } = {}) {
+    const logs = [];
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('log', (...args) => logs.push(args.join(' ')));
+    virtualConsole.on('warn', (...args) => logs.push(args.join(' ')));
+    virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+    virtualConsole.on('jsdomError', error => errors.push(String(error.detail || error.message || error)));
+
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    try {
+        dom.window.eval(code);
+    } catch (error) {
+        errors.push(String(error));
+    }
+    await wait(settle);
+    return { window: dom.window, logs, errors };
+}
+
+module.exports = { bootApp, runScript, wait };
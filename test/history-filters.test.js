@@ -0,0 +1,51 @@
+/**
+ * The history filters must offer every dealer ID, environment and tag as soon
+ * as a save or an edit adds it, without reopening the history.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, wait } = require('./helpers');
+
+describe('history filters', () => {
+    let app;
+
+    before(async () => {
+        app = await bootApp();
+    });
+
+    after(() => app.close());
+
+    const options = (id) => Array.from(app.document.getElementById(id).options, option => [option.value, option.textContent]);
+
+    it('adds the values of a saved script', async () => {
+        await app.historyManager.saveScript({ name: 'Saved', code: '', dealerId: 'D100', environment: 'staging', tags: ['vdp'] });
+        await wait(50);
+
+        assert.deepEqual(options('historyDealerFilter'), [['', 'All Dealers'], ['D100', 'D100']]);
+        assert.deepEqual(options('historyEnvironmentFilter'), [['', 'All Environments'], ['staging', 'Staging']]);
+        assert.deepEqual(options('historyTagFilter'), [['', 'All Tags'], ['vdp', 'vdp']]);
+    });
+
+    it('adds the values of an edited script and keeps the selection', async () => {
+        const script = await app.historyManager.saveScript({ name: 'Edited', code: '', dealerId: 'D100' });
+        await wait(50);
+        app.document.getElementById('historyDealerFilter').value = 'D100';
+
+        await app.historyManager.updateScript(script.id, { dealerId: 'D200', environment: 'qa' });
+        await wait(50);
+
+        assert.deepEqual(options('historyDealerFilter'), [['', 'All Dealers'], ['D100', 'D100'], ['D200', 'D200']]);
+        assert.deepEqual(options('historyEnvironmentFilter'), [['', 'All Environments'], ['qa', 'qa'], ['staging', 'Staging']]);
+        assert.equal(app.document.getElementById('historyDealerFilter').value, 'D100');
+    });
+
+    it('drops the values of deleted scripts', async () => {
+        app.document.getElementById('historyDealerFilter').value = '';
+        await app.historyManager.clearHistory();
+        await wait(50);
+
+        assert.deepEqual(options('historyDealerFilter'), [['', 'All Dealers']]);
+        assert.deepEqual(options('historyEnvironmentFilter'), [['', 'All Environments']]);
+    });
+});
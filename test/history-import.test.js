@@ -0,0 +1,96 @@
+/**
+ * History import files come from outside the app, so only the known fields
+ * of each script may be imported, with the right types, and what the import
+ * preview and the history list render from them must stay text.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, wait } = require('./helpers');
+
+const payload = '<img src=x onerror="window.PWNED = 1">';
+
+const importFile = (scripts) => JSON.stringify({ version: '1.0', exportDate: '', scripts });
+
+const nastyScript = {
+    id: 'script_nasty',
+    name: `Nasty ${payload}`,
+    code: 'console.log("imported");',
+    actionType: payload,
+    versionNumber: `1${payload}`,
+    version: `V1${payload}`,
+    tags: ['ok', { toString: () => payload }, 3],
+    config: 'not an object',
+    timestamp: '2026-10-19',
+    stats: { lines: payload, size: 10, characters: 10 },
+    isAdmin: true
+};
+
+describe('history import', () => {
+    let app;
+
+    before(async () => {
+        app = await bootApp();
+    });
+
+    // Let the debounced history list refresh finish before closing the page
+    after(async () => {
+        await wait(200);
+        app.close();
+    });
+
+    const render = (html) => {
+        const container = app.document.createElement('div');
+        container.innerHTML = html;
+        return container;
+    };
+
+    it('keeps only the known fields with the right types', () => {
+        const { scripts, invalid } = app.historyManager.parseImport(importFile([
+            nastyScript,
+            { name: 'No code' },
+            { code: 'ok();', versionNumber: 3, tags: ['vdp'], config: { scriptName: 'ok' }, timestamp: 1 }
+        ]));
+
+        assert.equal(invalid, 1);
+        assert.deepEqual(JSON.parse(JSON.stringify(scripts)), [
+            {
+                code: 'console.log("imported");',
+                id: 'script_nasty',
+                name: `Nasty ${payload}`,
+                actionType: payload,
+                version: `V1${payload}`,
+                tags: ['ok']
+            },
+            { code: 'ok();', versionNumber: 3, tags: ['vdp'], config: { scriptName: 'ok' }, timestamp: 1 }
+        ]);
+    });
+
+    it('renders the import preview as text', async () => {
+        const importData = app.historyManager.parseImport(importFile([nastyScript]));
+        const [entry] = await app.historyManager.planImport(importData);
+        const description = render(app.historyImport.describeScript(entry.script));
+
+        assert.equal(description.querySelector('img'), null);
+        assert.equal(description.querySelector('.version-badge').textContent, 'V1');
+    });
+
+    it('saves the cleaned script and renders it as text', async () => {
+        const result = await app.historyManager.importHistory(importFile([nastyScript]));
+        assert.equal(result.added, 1);
+
+        const saved = (await app.historyManager.getAllScripts()).find(script => script.name === nastyScript.name);
+        assert.equal(saved.versionNumber, 1);
+        assert.equal(saved.isAdmin, undefined);
+        assert.deepEqual(saved.config, {});
+
+        const item = render(app.historyManager.createHistoryItemHTML(saved));
+        assert.equal(item.querySelector('img'), null);
+        assert.ok(item.textContent.includes(payload));
+
+        app.showScriptPreview(saved);
+        assert.equal(app.document.querySelector('#previewMetadata img'), null);
+        assert.ok(app.document.getElementById('previewMetadata').textContent.includes(payload));
+        assert.equal(app.PWNED, undefined);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * The history list selects whole lineages, so deleting one version of a
+ * selected script must keep it selected until its last version is gone.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, wait } = require('./helpers');
+
+describe('history list selection', () => {
+    let app;
+    let versions;
+
+    before(async () => {
+        app = await bootApp();
+        const { historyManager } = app;
+        const first = await historyManager.saveScript({ name: 'Selected', code: '' });
+        const second = await historyManager.saveScript({ name: 'Selected', code: '', ...await historyManager.getNextVersion(first.id) });
+        const third = await historyManager.saveScript({ name: 'Selected', code: '', ...await historyManager.getNextVersion(second.id) });
+        versions = [first, second, third];
+        app.historyListView.toggleSelection(first.id, true);
+    });
+
+    // Let the debounced history list refresh finish before closing the page
+    after(async () => {
+        await wait(200);
+        app.close();
+    });
+
+    const status = () => app.document.getElementById('bulkStatus').textContent;
+
+    it('keeps the lineage selected when a later version is deleted', async () => {
+        await app.historyManager.deleteScript(versions[2].id);
+        await wait(50);
+
+        assert.deepEqual(Array.from(app.historyListView.selected), [versions[0].id]);
+        assert.equal(status(), '1 script selected');
+    });
+
+    it('keeps the lineage selected when its first version is deleted', async () => {
+        await app.historyManager.deleteScript(versions[0].id);
+        await wait(50);
+
+        assert.deepEqual(Array.from(app.historyListView.selected), [versions[0].id]);
+        assert.equal(status(), '1 script selected');
+    });
+
+    it('unselects the lineage when its last version is deleted', async () => {
+        await app.historyManager.deleteScript(versions[1].id);
+        await wait(50);
+
+        assert.equal(app.historyListView.selected.size, 0);
+        assert.equal(app.document.getElementById('bulkBar').style.display, 'none');
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Version numbers are rendered into the history list and used in sorts, so
+ * anything but a positive integer must fall back to the version label.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, wait } = require('./helpers');
+
+describe('history version numbers', () => {
+    let app;
+
+    before(async () => {
+        app = await bootApp();
+    });
+
+    // Let the debounced history list refresh finish before closing the page
+    after(async () => {
+        await wait(200);
+        app.close();
+    });
+
+    it('only trusts positive integers', () => {
+        const { historyManager } = app;
+        const cases = [
+            [{ versionNumber: 4 }, 4],
+            [{ versionNumber: '1<img src=x onerror=alert(1)>' }, 1],
+            [{ versionNumber: '7', version: 'V3' }, 3],
+            [{ versionNumber: { valueOf: () => 2 } }, 1],
+            [{ versionNumber: 2.5, version: 'V2' }, 2],
+            [{ versionNumber: -1 }, 1],
+            [{ versionNumber: 0, version: 'v6' }, 6],
+            [{}, 1]
+        ];
+        cases.forEach(([script, expected]) => assert.equal(historyManager.getVersionNumber(script), expected, JSON.stringify(script)));
+    });
+
+    it('saves invalid version numbers as version 1', async () => {
+        const script = await app.historyManager.saveScript({ name: 'Invalid version', code: '', versionNumber: '2<b>' });
+        assert.equal(script.versionNumber, 1);
+        assert.equal(script.version, 'V1');
+    });
+
+    it('renders the badge as text', () => {
+        const html = app.historyManager.createHistoryItemHTML({
+            id: 'script_1',
+            name: 'Badge',
+            code: '',
+            timestamp: Date.now(),
+            versionNumber: '1<img src=x onerror=alert(1)>',
+            version: 'V1<img>'
+        });
+        const container = app.document.createElement('div');
+        container.innerHTML = html;
+        assert.equal(container.querySelector('img'), null);
+        assert.equal(container.querySelector('.version-badge').textContent, 'V1');
+    });
+});
